@@ -0,0 +1,312 @@
+/**
+ * Analytics Dashboard
+ * The internal admin/analytics page. The sales team opens the collector's daily NDJSON files
+ * and picks a date range; the files are read in the browser and never uploaded anywhere.
+ */
+
+class AnalyticsDashboard {
+    constructor() {
+        this.events = [];
+        this.modelLabels = {};
+        this.listeners = new AbortController();
+        this.destroyed = false;
+        this.init();
+    }
+
+    destroy() {
+        this.destroyed = true;
+        this.listeners.abort();
+    }
+
+    // Dashboard page markup, rendered by the navigation system
+    static getDashboardHTML() {
+        return Template.html`
+            <section class="page-section analytics-dashboard" aria-labelledby="analytics-heading">
+                <div class="container">
+                    <h2 id="analytics-heading">${I18n.t('analytics.heading')}</h2>
+                    <p class="section-subtitle">${I18n.t('analytics.subtitle')}</p>
+
+                    <form id="analyticsFilters" class="analytics-filters" novalidate>
+                        <div class="form-group">
+                            <label for="analyticsFiles">${I18n.t('analytics.files')}</label>
+                            <input type="file" id="analyticsFiles" accept=".ndjson,.jsonl,.json,.txt" multiple>
+                        </div>
+                        <div class="form-group">
+                            <label for="analyticsFrom">${I18n.t('analytics.from')}</label>
+                            <input type="date" id="analyticsFrom">
+                        </div>
+                        <div class="form-group">
+                            <label for="analyticsTo">${I18n.t('analytics.to')}</label>
+                            <input type="date" id="analyticsTo">
+                        </div>
+                    </form>
+
+                    <p id="analyticsStatus" class="analytics-status" role="status" aria-live="polite"></p>
+                    <div id="analyticsReport" class="analytics-report" hidden></div>
+                </div>
+            </section>
+        `;
+    }
+
+    async init() {
+        this.setupEventListeners();
+
+        // Model names are a nicety; the report falls back to model ids
+        try {
+            await Pricing.load();
+            Pricing.getTariffs().forEach(tariff => {
+                this.modelLabels[tariff.id] = tariff.label;
+            });
+        } catch (error) {
+            console.error('Tariffs load error:', error);
+        }
+    }
+
+    setupEventListeners() {
+        const { signal } = this.listeners;
+
+        const fileInput = document.getElementById('analyticsFiles');
+        if (fileInput) {
+            fileInput.addEventListener('change', () => this.loadFiles(fileInput.files), { signal });
+        }
+
+        ['analyticsFrom', 'analyticsTo'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', () => this.render(), { signal });
+            }
+        });
+
+        const form = document.getElementById('analyticsFilters');
+        if (form) {
+            form.addEventListener('submit', (e) => e.preventDefault(), { signal });
+        }
+    }
+
+    async loadFiles(files) {
+        let texts;
+        try {
+            texts = await Promise.all(Array.from(files, file => file.text()));
+        } catch (error) {
+            console.error('Event file read error:', error);
+            this.showStatus(I18n.t('analytics.readFailed'));
+            return;
+        }
+        if (this.destroyed) return;
+
+        this.events = [];
+        let skipped = 0;
+        texts.forEach(text => {
+            const parsed = AnalyticsReport.parse(text);
+            this.events.push(...parsed.events);
+            skipped += parsed.skipped;
+        });
+
+        const status = I18n.t('analytics.loaded', {
+            files: I18n.t('analytics.fileCount', { count: files.length }),
+            events: I18n.t('analytics.eventCount', { count: this.events.length })
+        });
+        this.showStatus(skipped > 0 ? I18n.t('analytics.skipped', { status, count: skipped }) : status);
+        this.setDefaultRange();
+        this.render();
+    }
+
+    // Start with everything the files cover
+    setDefaultRange() {
+        const days = this.events.map(event => AnalyticsReport.getDay(event)).filter(Boolean).sort();
+        if (days.length === 0) return;
+
+        const from = document.getElementById('analyticsFrom');
+        const to = document.getElementById('analyticsTo');
+        from.min = to.min = days[0];
+        from.max = to.max = days[days.length - 1];
+        from.value = days[0];
+        to.value = days[days.length - 1];
+    }
+
+    render() {
+        const container = document.getElementById('analyticsReport');
+        if (!container || this.events.length === 0) return;
+
+        let from = document.getElementById('analyticsFrom').value;
+        let to = document.getElementById('analyticsTo').value;
+        if (from && to && from > to) {
+            [from, to] = [to, from];
+        }
+
+        const report = AnalyticsReport.build(this.events, { from, to });
+        container.hidden = false;
+
+        if (report.sessions === 0) {
+            Template.render(container, Template.html`<p>${I18n.t('analytics.noVisits')}</p>`);
+            return;
+        }
+
+        Template.render(container, Template.html`
+            <div class="analytics-summary">
+                <div class="result-item">
+                    <span class="result-label">${I18n.t('analytics.visits')}</span>
+                    <strong class="result-value">${this.formatCount(report.sessions)}</strong>
+                </div>
+                <div class="result-item">
+                    <span class="result-label">${I18n.t('analytics.pageViews')}</span>
+                    <strong class="result-value">${this.formatCount(report.pageViews)}</strong>
+                </div>
+                <div class="result-item">
+                    <span class="result-label">${I18n.t('analytics.calculatorCompletion')}</span>
+                    <strong class="result-value">${this.formatRate(report.calculator.rate)}</strong>
+                </div>
+            </div>
+            <p class="analytics-range">${report.from === report.to
+                ? I18n.t('analytics.day', { day: report.from })
+                : I18n.t('analytics.range', { from: report.from, to: report.to })}</p>
+
+            ${this.getFunnelHTML(report.funnel)}
+            ${this.getCalculatorHTML(report)}
+            ${this.getFormsHTML(report.forms)}
+            ${this.getLoadTimesHTML(report.loadTimes)}
+        `);
+    }
+
+    getFunnelHTML(funnel) {
+        return Template.html`
+            <h3>${I18n.t('analytics.funnel')}</h3>
+            <div class="table-scroll">
+                <table class="projection-table analytics-table">
+                    <caption class="sr-only">${I18n.t('analytics.funnelCaption')}</caption>
+                    <thead>
+                        <tr>
+                            <th scope="col">${I18n.t('analytics.page')}</th>
+                            <th scope="col">${I18n.t('analytics.visits')}</th>
+                            <th scope="col">${I18n.t('analytics.ofFirstStep')}</th>
+                            <th scope="col">${I18n.t('analytics.ofPreviousStep')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${funnel.map(step => Template.html`
+                            <tr>
+                                <th scope="row">${this.getPageLabel(step.page)}</th>
+                                <td>${this.formatCount(step.sessions)}</td>
+                                <td><meter min="0" max="1" value="${step.ofStart || 0}"></meter> ${this.formatRate(step.ofStart)}</td>
+                                <td>${step.ofPrevious === null ? '-' : this.formatRate(step.ofPrevious)}</td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    getCalculatorHTML(report) {
+        const { calculator, models } = report;
+
+        return Template.html`
+            <h3>${I18n.t('analytics.calculator')}</h3>
+            <p>${I18n.t('analytics.calculatorSummary', {
+                completed: calculator.completed,
+                count: calculator.viewed,
+                rate: this.formatRate(calculator.rate)
+            })}</p>
+            ${models.length === 0 ? Template.html`<p>${I18n.t('analytics.noQuotes')}</p>` : Template.html`
+                <div class="table-scroll">
+                    <table class="projection-table analytics-table">
+                        <caption class="sr-only">${I18n.t('analytics.modelsCaption')}</caption>
+                        <thead>
+                            <tr>
+                                <th scope="col">${I18n.t('analytics.model')}</th>
+                                <th scope="col">${I18n.t('analytics.visits')}</th>
+                                <th scope="col">${I18n.t('analytics.share')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${models.map(model => Template.html`
+                                <tr>
+                                    <th scope="row">${this.modelLabels[model.model] || model.model}</th>
+                                    <td>${this.formatCount(model.sessions)}</td>
+                                    <td><meter min="0" max="1" value="${model.share}"></meter> ${this.formatRate(model.share)}</td>
+                                </tr>
+                            `)}
+                        </tbody>
+                    </table>
+                </div>
+            `}
+        `;
+    }
+
+    getFormsHTML(forms) {
+        return Template.html`
+            <h3>${I18n.t('analytics.forms')}</h3>
+            <div class="table-scroll">
+                <table class="projection-table analytics-table">
+                    <caption class="sr-only">${I18n.t('analytics.formsCaption')}</caption>
+                    <thead>
+                        <tr>
+                            <th scope="col">${I18n.t('analytics.form')}</th>
+                            <th scope="col">${I18n.t('analytics.pageVisits')}</th>
+                            <th scope="col">${I18n.t('analytics.submitted')}</th>
+                            <th scope="col">${I18n.t('analytics.sent')}</th>
+                            <th scope="col">${I18n.t('analytics.conversion')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${forms.map(form => Template.html`
+                            <tr>
+                                <th scope="row">${AnalyticsDashboard.formNames[form.formId] ? I18n.t(AnalyticsDashboard.formNames[form.formId]) : form.formId}</th>
+                                <td>${this.formatCount(form.viewed)}</td>
+                                <td>${this.formatCount(form.submitted)}</td>
+                                <td>${this.formatCount(form.sent)}</td>
+                                <td>${this.formatRate(form.rate)}</td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    getLoadTimesHTML(loadTimes) {
+        if (!loadTimes) {
+            return Template.html`<h3>${I18n.t('analytics.loadTimes')}</h3><p>${I18n.t('analytics.noLoadTimes')}</p>`;
+        }
+
+        return Template.html`
+            <h3>${I18n.t('analytics.loadTimes')}</h3>
+            <p>${I18n.t('analytics.loadCount', { count: loadTimes.count })}</p>
+            <div class="analytics-summary">
+                ${AnalyticsReport.percentiles.map(percentile => Template.html`
+                    <div class="result-item">
+                        <span class="result-label">${I18n.t('analytics.percentile', { percentile })}</span>
+                        <strong class="result-value">${I18n.t('analytics.milliseconds', { value: loadTimes[`p${percentile}`] })}</strong>
+                    </div>
+                `)}
+            </div>
+        `;
+    }
+
+    // Funnel steps by their page title, e.g. "Savings Calculator" for calculator
+    getPageLabel(page) {
+        const registered = typeof Navigation !== 'undefined' && Navigation.pages.get(page);
+        return registered ? I18n.t(registered.title) : page;
+    }
+
+    formatCount(value) {
+        return I18n.formatNumber(value);
+    }
+
+    formatRate(rate) {
+        return rate === null ? '-' : I18n.formatNumber(rate, { style: 'percent', maximumFractionDigits: 1 });
+    }
+
+    showStatus(message) {
+        const status = document.getElementById('analyticsStatus');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+}
+
+// Form id -> name in the report
+AnalyticsDashboard.formNames = {
+    contactForm: 'analytics.form.contactForm',
+    bookingForm: 'analytics.form.bookingForm'
+};
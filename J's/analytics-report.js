@@ -0,0 +1,207 @@
+/**
+ * Analytics Reports
+ * Turns the events stored by the /api/events collector (server/data/events/events-YYYY-MM-DD.ndjson)
+ * into the figures the sales team asks for: the page funnel, calculator completion, the PPA models
+ * chosen, form conversion and page load times.
+ *
+ * Everything is worked out from the files alone; a session is one visit (one sessionId), so
+ * "sessions" below means visits, not people.
+ */
+
+class AnalyticsReporter {
+    constructor() {
+        this.funnelPages = ['home', 'calculator', 'contact'];
+        // Form id -> the page it is on, for conversion rates
+        this.forms = {
+            contactForm: 'contact',
+            bookingForm: 'booking'
+        };
+        this.percentiles = [50, 75, 95];
+    }
+
+    /**
+     * Read events from NDJSON text. Lines that are not events (e.g. torn by a crash) are skipped.
+     * @returns {{events: Object[], skipped: number}}
+     */
+    parse(text) {
+        const events = [];
+        let skipped = 0;
+
+        String(text).split('\n').forEach(line => {
+            if (!line.trim()) return;
+            try {
+                const event = JSON.parse(line);
+                if (event && typeof event.sessionId === 'string' && typeof event.type === 'string') {
+                    events.push(event);
+                } else {
+                    skipped++;
+                }
+            } catch (error) {
+                skipped++;
+            }
+        });
+
+        return { events, skipped };
+    }
+
+    // The server's receipt time decides the day, as it does for the daily files
+    getDay(event) {
+        return String(event.receivedAt || event.timestamp || '').slice(0, 10);
+    }
+
+    // Within a visit, events are ordered by the browser's clock
+    getTime(event) {
+        const time = Date.parse(event.timestamp || event.receivedAt);
+        return Number.isNaN(time) ? 0 : time;
+    }
+
+    /**
+     * Build a report.
+     * @param {Object[]} events
+     * @param {Object} [range]
+     * @param {string} [range.from] - First day to include, YYYY-MM-DD (UTC)
+     * @param {string} [range.to] - Last day to include, YYYY-MM-DD (UTC)
+     */
+    build(events, range = {}) {
+        const included = events.filter(event => {
+            const day = this.getDay(event);
+            return day && (!range.from || day >= range.from) && (!range.to || day <= range.to);
+        });
+        const sessions = this.groupSessions(included);
+        const days = included.map(event => this.getDay(event)).sort();
+
+        return {
+            from: days.length > 0 ? days[0] : null,
+            to: days.length > 0 ? days[days.length - 1] : null,
+            events: included.length,
+            sessions: sessions.length,
+            pageViews: included.filter(event => event.type === 'page_view').length,
+            funnel: this.getFunnel(sessions),
+            calculator: this.getCalculatorCompletion(sessions),
+            models: this.getModels(sessions),
+            forms: this.getFormConversion(sessions),
+            loadTimes: this.getLoadTimes(included)
+        };
+    }
+
+    groupSessions(events) {
+        const sessions = new Map();
+        events.forEach(event => {
+            if (!sessions.has(event.sessionId)) {
+                sessions.set(event.sessionId, []);
+            }
+            sessions.get(event.sessionId).push(event);
+        });
+
+        return Array.from(sessions.values()).map(sessionEvents =>
+            sessionEvents.sort((a, b) => this.getTime(a) - this.getTime(b)));
+    }
+
+    viewedPage(session, page) {
+        return session.some(event => event.type === 'page_view' && event.page === page);
+    }
+
+    /**
+     * Visits that reached each funnel page in order (a visit to contact before the calculator does not count).
+     * @returns {Array<{page: string, sessions: number, ofStart: number|null, ofPrevious: number|null}>}
+     */
+    getFunnel(sessions) {
+        const reached = this.funnelPages.map(() => 0);
+
+        sessions.forEach(session => {
+            let step = 0;
+            session
+                .filter(event => event.type === 'page_view')
+                .forEach(event => {
+                    if (step < this.funnelPages.length && event.page === this.funnelPages[step]) {
+                        reached[step]++;
+                        step++;
+                    }
+                });
+        });
+
+        return this.funnelPages.map((page, index) => ({
+            page,
+            sessions: reached[index],
+            ofStart: this.rate(reached[index], reached[0]),
+            ofPrevious: index === 0 ? null : this.rate(reached[index], reached[index - 1])
+        }));
+    }
+
+    // A calculation is complete when the visitor changed the inputs and settled on a quote
+    getCalculatorCompletion(sessions) {
+        const viewed = sessions.filter(session => this.viewedPage(session, 'calculator'));
+        const completed = viewed.filter(session => session.some(event => event.type === 'calculator_result'));
+
+        return { viewed: viewed.length, completed: completed.length, rate: this.rate(completed.length, viewed.length) };
+    }
+
+    /**
+     * The PPA model of each visit's last quote, most chosen first.
+     * @returns {Array<{model: string, sessions: number, share: number}>}
+     */
+    getModels(sessions) {
+        const counts = new Map();
+
+        sessions.forEach(session => {
+            const results = session.filter(event => event.type === 'calculator_result' && event.model);
+            if (results.length > 0) {
+                const model = results[results.length - 1].model;
+                counts.set(model, (counts.get(model) || 0) + 1);
+            }
+        });
+
+        const total = Array.from(counts.values()).reduce((sum, count) => sum + count, 0);
+        return Array.from(counts.entries())
+            .map(([model, count]) => ({ model, sessions: count, share: this.rate(count, total) }))
+            .sort((a, b) => b.sessions - a.sessions || a.model.localeCompare(b.model));
+    }
+
+    /**
+     * Per form: visits that saw its page, tried to submit it, and got it sent.
+     */
+    getFormConversion(sessions) {
+        return Object.entries(this.forms).map(([formId, page]) => {
+            const viewed = sessions.filter(session => this.viewedPage(session, page));
+            const submitted = viewed.filter(session =>
+                session.some(event => event.type === 'form_submit' && event.formId === formId));
+            const sent = viewed.filter(session =>
+                session.some(event => event.type === 'form_sent' && event.formId === formId));
+
+            return {
+                formId,
+                page,
+                viewed: viewed.length,
+                submitted: submitted.length,
+                sent: sent.length,
+                rate: this.rate(sent.length, viewed.length)
+            };
+        });
+    }
+
+    /**
+     * Page load time percentiles in milliseconds (nearest rank).
+     * @returns {{count: number, p50: number, p75: number, p95: number}|null} null without measurements
+     */
+    getLoadTimes(events) {
+        const times = events
+            .filter(event => event.type === 'performance' && Number.isFinite(event.loadTime))
+            .map(event => event.loadTime)
+            .sort((a, b) => a - b);
+
+        if (times.length === 0) return null;
+
+        const loadTimes = { count: times.length };
+        this.percentiles.forEach(percentile => {
+            loadTimes[`p${percentile}`] = times[Math.max(0, Math.ceil(percentile / 100 * times.length) - 1)];
+        });
+        return loadTimes;
+    }
+
+    rate(count, total) {
+        return total > 0 ? count / total : null;
+    }
+}
+
+// Initialize reporting
+const AnalyticsReport = new AnalyticsReporter();
@@ -1,61 +1,208 @@
 /**
  * Privacy-Focused Analytics
  * No external tracking, only basic usage metrics
+ *
+ * Events are batched in memory and handed to a transport:
+ *   beacon  - sends each batch to the site's own /api/events with navigator.sendBeacon
+ *   console - logs each event as it happens, for development
+ * The transport is chosen by <meta name="analytics-transport"> in index.html.
+ * Nothing is stored in cookies or localStorage: the session id lives only as long as the page.
+ *
+ * Nothing leaves the page without analytics consent (see consent.js). Until the visitor has
+ * answered, events wait in memory; once they allow analytics the waiting events are sent,
+ * and if they refuse (or the browser sends Do Not Track or Global Privacy Control) they are dropped.
  */
 
-class PrivacyAnalytics {
+class ConsoleTransport {
     constructor() {
+        // Log straight away rather than waiting for the page to be hidden
+        this.batchSize = 1;
+    }
+
+    send(batch) {
+        batch.events.forEach(event => console.log('Analytics:', { sessionId: batch.sessionId, ...event }));
+        return true;
+    }
+}
+
+class BeaconTransport {
+    /**
+     * @param {string} [url] - Collector endpoint; must be on this site
+     */
+    constructor(url = '/api/events') {
+        this.url = new URL(url, document.baseURI);
+        if (this.url.origin !== window.location.origin) {
+            throw new Error('Analytics can only be sent to this site');
+        }
+        // Well under the 64 KB browsers allow for beacons still in flight
+        this.batchSize = 20;
+    }
+
+    send(batch) {
+        const body = JSON.stringify(batch);
+
+        if (navigator.sendBeacon && navigator.sendBeacon(this.url.href, new Blob([body], { type: 'application/json' }))) {
+            return true;
+        }
+
+        // The beacon queue was full (or there is none): keepalive lets this outlive the page too
+        fetch(this.url.href, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body,
+            keepalive: true,
+            credentials: 'omit'
+        }).catch(() => {
+            // Analytics never gets in the visitor's way
+        });
+        return true;
+    }
+}
+
+class PrivacyAnalytics {
+    /**
+     * @param {Object} [options]
+     * @param {string|Object} [options.transport] - A name from PrivacyAnalytics.transports, or any object with send(batch)
+     */
+    constructor(options = {}) {
         this.sessionId = this.generateSessionId();
+        this.sessionStart = new Date().toISOString();
         this.pageViews = new Set();
+        this.pageViewCount = 0;
+        this.events = [];
+        // Events waiting for consent are capped, so a long visit without an answer does not keep them all
+        this.maxPendingEvents = 100;
+        this.setTransport(options.transport || this.getConfiguredTransport());
         this.init();
     }
 
     init() {
-        this.trackPageView();
+        Consent.addEventListener('change', () => this.applyConsent());
         this.trackUserInteractions();
         this.trackFormInteractions();
         this.setupPerformanceMonitoring();
+        this.setupFlushing();
     }
 
     generateSessionId() {
-        return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        return 'session_' + Security.generateToken(16);
     }
 
-    trackPageView() {
-        const page = window.location.hash.substring(1) || 'home';
-        this.pageViews.add(page);
-        
-        console.log('Page View:', {
-            sessionId: this.sessionId,
-            page: page,
-            timestamp: new Date().toISOString(),
-            referrer: document.referrer || 'direct'
+    getConfiguredTransport() {
+        const meta = document.querySelector('meta[name="analytics-transport"]');
+        return meta ? meta.getAttribute('content') : 'console';
+    }
+
+    setTransport(transport) {
+        if (typeof transport === 'string') {
+            const Transport = PrivacyAnalytics.transports[transport];
+            if (!Transport) {
+                throw new Error(`Unknown analytics transport "${transport}"`);
+            }
+            transport = new Transport();
+        }
+
+        this.transport = transport;
+    }
+
+    /**
+     * Record an event for the next batch.
+     * @param {string} type - e.g. page_view, click
+     * @param {Object} [data] - Short, non-personal details
+     */
+    track(type, data = {}) {
+        const consent = Consent.getState('analytics');
+        if (consent === 'denied') return;
+
+        // Staff using internal pages are not visitors
+        if (typeof Navigation !== 'undefined' && Navigation.isInternalPage(Navigation.currentPage)) return;
+
+        if (this.events.length >= this.maxPendingEvents) {
+            this.events.shift();
+        }
+
+        this.events.push({
+            type,
+            page: typeof Navigation !== 'undefined' ? Navigation.currentPage : null,
+            ...data,
+            timestamp: new Date().toISOString()
         });
+
+        if (consent === 'granted' && this.events.length >= (this.transport.batchSize || 1)) {
+            this.flush();
+        }
+    }
+
+    flush() {
+        if (this.events.length === 0 || !Consent.isAllowed('analytics')) return;
+
+        const batch = { sessionId: this.sessionId, events: this.events };
+        this.events = [];
+
+        try {
+            this.transport.send(batch);
+        } catch (error) {
+            console.error('Analytics transport error:', error);
+        }
+    }
+
+    // Send what has waited for consent, or forget it
+    applyConsent() {
+        if (Consent.isAllowed('analytics')) {
+            this.flush();
+        } else {
+            this.events = [];
+        }
+    }
+
+    setupFlushing() {
+        // The last chance to send anything: the tab is hidden (and may never come back) or unloading
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flush();
+            }
+        });
+        window.addEventListener('pagehide', () => this.flush());
+    }
+
+    // Called by the router each time a page is shown
+    trackPageView(page) {
+        if (typeof Navigation !== 'undefined' && Navigation.isInternalPage(page)) return;
+
+        const event = { page };
+
+        // Only the first view says where the visitor came from, and only the site's host name
+        if (this.pageViews.size === 0 && document.referrer) {
+            try {
+                event.referrer = new URL(document.referrer).hostname;
+            } catch (error) {
+                event.referrer = null;
+            }
+        }
+
+        this.pageViews.add(page);
+        this.pageViewCount++;
+        this.track('page_view', event);
     }
 
     trackUserInteractions() {
         document.addEventListener('click', (e) => {
-            if (e.target.matches('button, a[href^="#"]')) {
-                const target = e.target.tagName === 'A' ? e.target.getAttribute('href') : e.target.textContent;
-                
-                console.log('User Interaction:', {
-                    sessionId: this.sessionId,
-                    type: 'click',
-                    target: target.substring(0, 50), // Limit length
-                    timestamp: new Date().toISOString()
-                });
-            }
+            // Clicks on an icon or label inside a button or link count for that button or link
+            const element = e.target.closest('button, a[href]');
+            if (!element) return;
+
+            // Links by the page they open (no query, which can hold a visitor's figures), buttons by their text
+            const target = element.tagName === 'A'
+                ? element.getAttribute('data-page') || element.getAttribute('href').split(/[?#]/)[0]
+                : element.textContent.trim();
+
+            this.track('click', { target: target.substring(0, 50) }); // Limit length
         });
 
         // Calculator usage
         document.addEventListener('input', Security.debounce((e) => {
-            if (e.target.matches('#currentDiesel, #monthlyKm, #vehicleCount')) {
-                console.log('Calculator Interaction:', {
-                    sessionId: this.sessionId,
-                    type: 'calculator_input',
-                    field: e.target.id,
-                    timestamp: new Date().toISOString()
-                });
+            if (e.target.matches('[data-fleet-field]')) {
+                this.track('calculator_input', { field: e.target.getAttribute('data-fleet-field') });
             }
         }, 1000));
     }
@@ -63,41 +210,42 @@ class PrivacyAnalytics {
     trackFormInteractions() {
         document.addEventListener('submit', (e) => {
             if (e.target.matches('form')) {
-                console.log('Form Submission:', {
-                    sessionId: this.sessionId,
-                    type: 'form_submit',
-                    formId: e.target.id,
-                    timestamp: new Date().toISOString()
-                });
+                this.track('form_submit', { formId: e.target.id });
             }
         });
     }
 
     setupPerformanceMonitoring() {
         window.addEventListener('load', () => {
-            if ('performance' in window) {
-                const navigationTiming = performance.getEntriesByType('navigation')[0];
-                const loadTime = navigationTiming.loadEventEnd - navigationTiming.navigationStart;
-                
-                console.log('Performance Metrics:', {
-                    sessionId: this.sessionId,
-                    loadTime: Math.round(loadTime),
-                    timestamp: new Date().toISOString()
-                });
-            }
+            // loadEventEnd is only set once the load handlers have finished
+            setTimeout(() => {
+                const navigationTiming = 'performance' in window && performance.getEntriesByType
+                    ? performance.getEntriesByType('navigation')[0]
+                    : null;
+
+                if (navigationTiming && navigationTiming.loadEventEnd > 0) {
+                    this.track('performance', { loadTime: Math.round(navigationTiming.loadEventEnd - navigationTiming.startTime) });
+                }
+            }, 0);
         });
     }
 
-    // Method to get basic analytics summary (for internal use)
+    // Method to get basic analytics summary (for internal use); reports across visitors are in admin/analytics
     getSummary() {
         return {
             sessionId: this.sessionId,
-            totalPageViews: this.pageViews.size,
+            totalPageViews: this.pageViewCount,
             pagesViewed: Array.from(this.pageViews),
-            sessionStart: new Date().toISOString()
+            sessionStart: this.sessionStart
         };
     }
 }
 
+// Further transports can be added here by name
+PrivacyAnalytics.transports = {
+    console: ConsoleTransport,
+    beacon: BeaconTransport
+};
+
 // Initialize analytics
 const Analytics = new PrivacyAnalytics();
@@ -0,0 +1,98 @@
+/**
+ * Demo Safari Availability
+ * Loads bookable demo safari slots. The server's /api/availability feed has live seat counts;
+ * the published data/availability.json is used when the API cannot be reached.
+ */
+
+class AvailabilityFeed {
+    constructor(feedUrls = ['/api/availability', 'data/availability.json']) {
+        this.feedUrls = feedUrls;
+        this.config = null;
+    }
+
+    // The first feed that loads and passes its checks is used
+    async load(options = {}) {
+        let lastError = null;
+
+        for (const url of this.feedUrls) {
+            try {
+                this.config = await loadJsonConfig(url, config => this.validateConfig(config), options);
+                return this.config;
+            } catch (error) {
+                lastError = error;
+            }
+        }
+
+        throw lastError;
+    }
+
+    // Seat counts change as people book, so a refresh always goes back to the feed
+    refresh() {
+        return this.load({ reload: true });
+    }
+
+    validateConfig(config) {
+        if (!config || !Array.isArray(config.locations) || !Array.isArray(config.slots)) {
+            throw new Error('Invalid availability feed: locations and slots are required');
+        }
+
+        config.slots.forEach(slot => {
+            if (!slot.id || !slot.locationId || isNaN(Date.parse(`${slot.date}T${slot.start}:00`)) || typeof slot.seats !== 'number') {
+                throw new Error(`Invalid availability feed: slot "${slot.id}" needs an id, location, date, start and seats`);
+            }
+        });
+
+        return {
+            timezone: 'Africa/Nairobi',
+            utcOffset: '+03:00',
+            ...config
+        };
+    }
+
+    ensureLoaded() {
+        if (!this.config) {
+            throw new Error('Availability has not been loaded yet');
+        }
+    }
+
+    getLocations() {
+        this.ensureLoaded();
+        return this.config.locations;
+    }
+
+    getLocation(locationId) {
+        return this.getLocations().find(location => location.id === locationId) || null;
+    }
+
+    /**
+     * Start and end of a slot as Date objects. Slot times are local to the safari location.
+     */
+    getSlotTimes(slot) {
+        return {
+            start: new Date(`${slot.date}T${slot.start}:00${this.config.utcOffset}`),
+            end: new Date(`${slot.date}T${slot.end}:00${this.config.utcOffset}`)
+        };
+    }
+
+    /**
+     * Slots at a location that are still in the future and have seats left.
+     */
+    getOpenSlots(locationId, now = new Date()) {
+        this.ensureLoaded();
+        return this.config.slots
+            .filter(slot => slot.locationId === locationId && slot.seats > 0 && this.getSlotTimes(slot).start > now)
+            .sort((a, b) => this.getSlotTimes(a).start - this.getSlotTimes(b).start);
+    }
+
+    getOpenDates(locationId) {
+        return Array.from(new Set(this.getOpenSlots(locationId).map(slot => slot.date)));
+    }
+
+    getSlot(slotId) {
+        this.ensureLoaded();
+        return this.config.slots.find(slot => slot.id === slotId) || null;
+    }
+}
+
+// Initialize availability feed
+const Availability = new AvailabilityFeed();
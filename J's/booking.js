@@ -0,0 +1,752 @@
+/**
+ * Demo Safari Booking Wizard
+ * Four steps: slot, guests, contact details, review. Each step is validated against
+ * ValidationSchemas.booking before moving on, and the server checks the booking again.
+ */
+
+class BookingWizard {
+    constructor() {
+        // Fields validated on each step, in step order
+        this.steps = [
+            { fields: ['slotId'] },
+            { fields: ['guests', 'vehicleClass'] },
+            { fields: ['name', 'email', 'phone', 'phoneCountry', 'company', 'notes'] },
+            { fields: [] }
+        ];
+        // Field name -> element that shows its error
+        this.fieldElements = {
+            slotId: 'bookingSlots',
+            guests: 'bookingGuests',
+            vehicleClass: 'bookingVehicle',
+            name: 'bookingName',
+            email: 'bookingEmail',
+            phone: 'bookingPhone',
+            phoneCountry: 'bookingPhoneCountry',
+            company: 'bookingCompany',
+            notes: 'bookingNotes'
+        };
+        this.currentStep = 1;
+        this.confirmedBooking = null;
+        // Reused while the booking details stay the same, so a retry cannot book twice
+        this.idempotencyKey = null;
+        this.submittedPayload = null;
+        this.submitting = false;
+        this.listeners = new AbortController();
+        this.destroyed = false;
+        this.init();
+    }
+
+    destroy() {
+        this.destroyed = true;
+        this.listeners.abort();
+    }
+
+    // Booking page markup, rendered by the navigation system
+    static getBookingPageHTML() {
+        return Template.html`
+            <section class="page-section booking-section" aria-labelledby="booking-heading">
+                <div class="container">
+                    <h2 id="booking-heading">${I18n.t('booking.heading')}</h2>
+                    <p class="section-subtitle">${I18n.t('booking.subtitle')}</p>
+
+                    <ol class="wizard-steps" aria-label="${I18n.t('booking.steps')}">
+                        <li data-step-indicator="1">${I18n.t('booking.step.slot')}</li>
+                        <li data-step-indicator="2">${I18n.t('booking.step.guests')}</li>
+                        <li data-step-indicator="3">${I18n.t('booking.step.details')}</li>
+                        <li data-step-indicator="4">${I18n.t('booking.step.review')}</li>
+                    </ol>
+
+                    <p id="bookingStatus" class="error-message booking-status" role="alert"></p>
+
+                    <form id="bookingForm" class="booking-form" novalidate>
+                        <fieldset class="wizard-step" data-step="1">
+                            <legend>${I18n.t('booking.slotLegend')}</legend>
+                            <div class="form-group">
+                                <label for="bookingLocation">${I18n.t('booking.location')}</label>
+                                <select id="bookingLocation" name="locationId"></select>
+                            </div>
+                            <div class="form-group">
+                                <label for="bookingDate">${I18n.t('booking.date')}</label>
+                                <select id="bookingDate" name="date"></select>
+                            </div>
+                            <div class="form-group">
+                                <span id="bookingSlotsLabel" class="form-label">${I18n.t('booking.time')}</span>
+                                <div id="bookingSlots" class="slot-list" role="radiogroup" aria-labelledby="bookingSlotsLabel">
+                                    <!-- Slot options for the chosen date -->
+                                </div>
+                            </div>
+                        </fieldset>
+
+                        <fieldset class="wizard-step" data-step="2" hidden>
+                            <legend>${I18n.t('booking.guestsLegend')}</legend>
+                            <div class="form-group">
+                                <label for="bookingGuests">${I18n.t('booking.guests')}</label>
+                                <input type="number" id="bookingGuests" name="guests" min="1" step="1" value="2"
+                                       inputmode="numeric" required aria-required="true">
+                                <p id="bookingGuestsHint" class="field-hint"></p>
+                            </div>
+                            <div class="form-group">
+                                <label for="bookingVehicle">${I18n.t('booking.vehicle')}</label>
+                                <select id="bookingVehicle" name="vehicleClass">
+                                    <option value="">${I18n.t('booking.noPreference')}</option>
+                                </select>
+                            </div>
+                        </fieldset>
+
+                        <fieldset class="wizard-step" data-step="3" hidden>
+                            <legend>${I18n.t('booking.detailsLegend')}</legend>
+                            <div class="form-group">
+                                <label for="bookingName">${I18n.t('booking.name')}</label>
+                                <input type="text" id="bookingName" name="name" autocomplete="name" required aria-required="true">
+                            </div>
+                            <div class="form-group">
+                                <label for="bookingEmail">${I18n.t('booking.email')}</label>
+                                <input type="email" id="bookingEmail" name="email" autocomplete="email" required aria-required="true">
+                            </div>
+                            <div class="form-group">
+                                <label for="bookingPhone">${I18n.t('booking.phone')}</label>
+                                <div class="phone-input">
+                                    <select id="bookingPhoneCountry" name="phoneCountry" aria-label="${I18n.t('contact.form.phoneCountry')}">
+                                        ${FormHandler.getPhoneCountryOptionsHTML()}
+                                    </select>
+                                    <input type="tel" id="bookingPhone" name="phone" autocomplete="tel" required aria-required="true"
+                                           placeholder="${FormHandler.getPhonePlaceholder(PhoneNumbers.defaultCountry)}">
+                                </div>
+                            </div>
+                            <div class="form-group">
+                                <label for="bookingCompany">${I18n.t('booking.company')}</label>
+                                <input type="text" id="bookingCompany" name="company" maxlength="100" autocomplete="organization">
+                            </div>
+                            <div class="form-group">
+                                <label for="bookingNotes">${I18n.t('booking.notes')}</label>
+                                <textarea id="bookingNotes" name="notes" rows="3" maxlength="1000"></textarea>
+                            </div>
+                        </fieldset>
+
+                        <fieldset class="wizard-step" data-step="4" hidden>
+                            <legend>${I18n.t('booking.reviewLegend')}</legend>
+                            <dl id="bookingReview" class="booking-review"></dl>
+                        </fieldset>
+
+                        <div class="wizard-actions">
+                            <button type="button" id="bookingBack" class="btn-outline" hidden>${I18n.t('booking.back')}</button>
+                            <button type="submit" id="bookingNext" class="btn-primary">${I18n.t('booking.continue')}</button>
+                        </div>
+                    </form>
+
+                    <div id="bookingConfirmation" class="booking-confirmation" tabindex="-1" hidden>
+                        <h3>${I18n.t('booking.confirmed')}</h3>
+                        <p id="bookingConfirmationText"></p>
+                        <p>${I18n.t('booking.reference')} <strong id="bookingReference"></strong></p>
+                        <div class="result-actions">
+                            <button type="button" id="downloadCalendar" class="btn-primary">${I18n.t('booking.addToCalendar')}</button>
+                            <button type="button" id="bookAnother" class="btn-outline">${I18n.t('booking.another')}</button>
+                        </div>
+                    </div>
+                </div>
+            </section>
+        `;
+    }
+
+    async init() {
+        this.setupEventListeners();
+        this.showStep(1, { focus: false });
+
+        try {
+            await Promise.all([Availability.load(), Vehicles.load()]);
+        } catch (error) {
+            console.error('Booking config load error:', error);
+            this.showStatus(I18n.t('booking.loadFailed'));
+            return;
+        }
+
+        if (this.destroyed) return;
+
+        this.populateVehicles();
+        this.populateLocations();
+    }
+
+    setupEventListeners() {
+        const { signal } = this.listeners;
+        const form = document.getElementById('bookingForm');
+        if (!form) return;
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.currentStep < this.steps.length) {
+                this.next();
+            } else {
+                this.confirm();
+            }
+        }, { signal });
+
+        form.addEventListener('change', (e) => {
+            if (e.target.id === 'bookingLocation') {
+                this.populateDates();
+            } else if (e.target.id === 'bookingDate') {
+                this.populateSlots();
+            } else if (e.target.name === 'slotId') {
+                this.clearFieldError('slotId');
+                this.updateGuestLimit();
+            } else if (e.target.id === 'bookingPhoneCountry') {
+                document.getElementById('bookingPhone').placeholder = FormHandler.getPhonePlaceholder(e.target.value);
+                this.clearFieldError('phone');
+            }
+        }, { signal });
+
+        form.addEventListener('input', (e) => {
+            if (e.target.name && this.fieldElements[e.target.name]) {
+                this.clearFieldError(e.target.name);
+            }
+        }, { signal });
+
+        document.getElementById('bookingBack').addEventListener('click', () => {
+            this.showStep(this.currentStep - 1);
+        }, { signal });
+
+        document.getElementById('downloadCalendar').addEventListener('click', () => {
+            if (this.confirmedBooking) {
+                this.downloadCalendarFile(this.confirmedBooking);
+            }
+        }, { signal });
+
+        document.getElementById('bookAnother').addEventListener('click', () => this.reset(), { signal });
+    }
+
+    populateLocations() {
+        const select = document.getElementById('bookingLocation');
+
+        Template.render(select, Template.html`${Availability.getLocations().map(location => {
+            const open = Availability.getOpenSlots(location.id).length > 0;
+            return Template.html`<option value="${location.id}"${open ? '' : ' disabled'}>${open ? location.label : I18n.t('booking.fullyBooked', { location: location.label })}</option>`;
+        })}`);
+
+        // Start on the first location that still has dates
+        const firstOpen = Array.from(select.options).find(option => !option.disabled);
+        if (firstOpen) {
+            select.value = firstOpen.value;
+        }
+
+        this.populateDates();
+    }
+
+    populateDates() {
+        const locationId = document.getElementById('bookingLocation').value;
+        const select = document.getElementById('bookingDate');
+        const dates = locationId ? Availability.getOpenDates(locationId) : [];
+        const previous = select.value;
+
+        Template.render(select, dates.length === 0
+            ? Template.html`<option value="">${I18n.t('booking.noDates')}</option>`
+            : Template.html`${dates.map(date => Template.html`<option value="${date}">${this.formatDate(date)}</option>`)}`);
+
+        select.disabled = dates.length === 0;
+        if (dates.includes(previous)) {
+            select.value = previous;
+        }
+
+        this.populateSlots();
+    }
+
+    populateSlots() {
+        const container = document.getElementById('bookingSlots');
+        const locationId = document.getElementById('bookingLocation').value;
+        const date = document.getElementById('bookingDate').value;
+        const previous = this.getSelectedSlotId();
+        const slots = locationId && date
+            ? Availability.getOpenSlots(locationId).filter(slot => slot.date === date)
+            : [];
+
+        Template.render(container, slots.length === 0
+            ? Template.html`<p class="field-hint">${I18n.t('booking.noTimes')}</p>`
+            : Template.html`${slots.map(slot => {
+                const checked = slot.id === previous || slots.length === 1;
+                return Template.html`
+                    <label class="slot-option">
+                        <input type="radio" name="slotId" value="${slot.id}"${checked ? ' checked' : ''}> ${I18n.t('booking.slot', { start: slot.start, end: slot.end, count: slot.seats })}
+                    </label>
+                `;
+            })}`);
+
+        this.updateGuestLimit();
+    }
+
+    populateVehicles() {
+        Template.render(document.getElementById('bookingVehicle'), Template.html`
+            <option value="">${I18n.t('booking.noPreference')}</option>
+            ${Vehicles.getClasses().map(vehicleClass => Template.html`<option value="${vehicleClass.id}">${vehicleClass.label}</option>`)}
+        `);
+    }
+
+    getSelectedSlotId() {
+        const selected = document.querySelector('#bookingSlots input[name="slotId"]:checked');
+        return selected ? selected.value : '';
+    }
+
+    updateGuestLimit() {
+        const input = document.getElementById('bookingGuests');
+        const hint = document.getElementById('bookingGuestsHint');
+        const { slot, location } = this.getValidationContext(this.getFormData());
+
+        if (!slot || !location) {
+            hint.textContent = '';
+            return;
+        }
+
+        const max = Math.min(location.maxGuests, slot.seats);
+        input.max = String(max);
+        hint.textContent = I18n.t('booking.guestLimit', { count: max });
+    }
+
+    getFormData() {
+        const form = document.getElementById('bookingForm');
+        const data = {};
+
+        for (const [key, value] of new FormData(form).entries()) {
+            data[key] = typeof value === 'string' ? value.trim() : '';
+        }
+
+        data.slotId = data.slotId || '';
+        return data;
+    }
+
+    getValidationContext(data) {
+        const slot = Availability.getSlot(data.slotId);
+        // Slots that have started or filled up since the page loaded cannot be booked
+        const isOpen = slot && Availability.getOpenSlots(slot.locationId).some(open => open.id === slot.id);
+
+        return {
+            slot: isOpen ? slot : null,
+            location: isOpen ? Availability.getLocation(slot.locationId) : null,
+            vehicleClasses: Vehicles.getClasses().map(vehicleClass => vehicleClass.id)
+        };
+    }
+
+    /**
+     * Validate the given steps and show their errors.
+     * @returns {number|null} The first step with an error, or null when all are valid
+     */
+    validateSteps(stepNumbers) {
+        const data = this.getFormData();
+        const { errors } = SchemaValidator.validate(ValidationSchemas.booking, data, this.getValidationContext(data));
+        return this.showStepErrors(stepNumbers, errors);
+    }
+
+    /**
+     * Show the errors that belong to the given steps and clear the rest of their fields.
+     * @returns {number|null} The first step with an error, or null when there is none
+     */
+    showStepErrors(stepNumbers, errors) {
+        let firstInvalidStep = null;
+
+        stepNumbers.forEach(stepNumber => {
+            this.steps[stepNumber - 1].fields.forEach(field => {
+                if (errors[field]) {
+                    this.showFieldError(field, errors[field]);
+                    firstInvalidStep = firstInvalidStep || stepNumber;
+                } else {
+                    this.clearFieldError(field);
+                }
+            });
+        });
+
+        return firstInvalidStep;
+    }
+
+    next() {
+        if (this.validateSteps([this.currentStep]) !== null) {
+            this.focusFirstError();
+            return;
+        }
+
+        this.showStep(this.currentStep + 1);
+    }
+
+    showStep(stepNumber, { focus = true } = {}) {
+        this.currentStep = stepNumber;
+        this.showStatus('');
+
+        document.querySelectorAll('#bookingForm .wizard-step').forEach(step => {
+            step.hidden = Number(step.getAttribute('data-step')) !== stepNumber;
+        });
+
+        document.querySelectorAll('.wizard-steps [data-step-indicator]').forEach(indicator => {
+            const indicatorStep = Number(indicator.getAttribute('data-step-indicator'));
+            indicator.classList.toggle('is-complete', indicatorStep < stepNumber);
+            if (indicatorStep === stepNumber) {
+                indicator.setAttribute('aria-current', 'step');
+            } else {
+                indicator.removeAttribute('aria-current');
+            }
+        });
+
+        const isReview = stepNumber === this.steps.length;
+        document.getElementById('bookingBack').hidden = stepNumber === 1;
+        document.getElementById('bookingNext').textContent = I18n.t(isReview ? 'booking.confirm' : 'booking.continue');
+
+        if (isReview) {
+            this.renderReview();
+        }
+
+        if (focus) {
+            const firstField = document.querySelector(`#bookingForm [data-step="${stepNumber}"]`)
+                .querySelector('input, select, textarea');
+            (firstField || document.getElementById('bookingNext')).focus();
+        }
+    }
+
+    renderReview() {
+        const data = this.getFormData();
+        const { slot, location } = this.getValidationContext(data);
+        const vehicleClass = data.vehicleClass ? Vehicles.getClass(data.vehicleClass) : null;
+        const review = document.getElementById('bookingReview');
+
+        const items = [
+            ['booking.location', location ? location.label : '-'],
+            ['booking.review.meetingPoint', location ? location.meetingPoint : '-'],
+            ['booking.date', slot ? this.formatDate(slot.date) : '-'],
+            ['booking.time', slot ? I18n.t('booking.review.time', { start: slot.start, end: slot.end }) : '-'],
+            ['booking.review.guests', data.guests],
+            ['booking.review.vehicle', vehicleClass ? vehicleClass.label : I18n.t('booking.noPreference')],
+            ['booking.review.name', data.name],
+            ['booking.email', data.email],
+            ['booking.phone', InputValidator.normalizePhone(data.phone, data.phoneCountry) || data.phone],
+            ['booking.review.company', data.company],
+            ['booking.review.notes', data.notes]
+        ];
+
+        // Entered values are escaped like any other interpolated value
+        Template.render(review, Template.html`${items
+            .filter(([, value]) => value)
+            .map(([label, value]) => Template.html`<dt>${I18n.t(label)}</dt><dd>${value}</dd>`)}`);
+    }
+
+    /**
+     * Validate every step, including the async check that the slot still has enough seats.
+     * @returns {Promise<number|null>} The first step with an error, or null when all are valid
+     */
+    async validateBeforeConfirm() {
+        const data = this.getFormData();
+        const context = {
+            ...this.getValidationContext(data),
+            checkSlot: async (slotId, guests) => {
+                try {
+                    await Availability.refresh();
+                } catch (error) {
+                    // Offline or feed down: leave the final say to the booking request
+                    return true;
+                }
+                // The feed drops slots once they have started
+                const bookedSlot = Availability.getSlot(slotId);
+                if (!bookedSlot) return false;
+
+                const slot = Availability.getOpenSlots(bookedSlot.locationId).find(open => open.id === slotId);
+                return Boolean(slot) && slot.seats >= guests;
+            }
+        };
+
+        const { errors } = await SchemaValidator.validateAsync(ValidationSchemas.booking, data, context);
+        if (errors.slotId && !this.destroyed) {
+            // Show the fresh seat counts when the slot is the problem
+            this.populateLocations();
+        }
+        return this.showStepErrors(this.steps.map((step, index) => index + 1), errors);
+    }
+
+    getBookingPayload() {
+        const data = this.getFormData();
+        return {
+            slotId: data.slotId,
+            guests: Number(data.guests),
+            vehicleClass: data.vehicleClass,
+            name: data.name,
+            email: data.email,
+            phone: InputValidator.normalizePhone(data.phone, data.phoneCountry) || data.phone,
+            phoneCountry: data.phoneCountry,
+            company: data.company,
+            notes: data.notes
+        };
+    }
+
+    async confirm() {
+        if (this.submitting) return;
+
+        const button = document.getElementById('bookingNext');
+        this.submitting = true;
+        button.disabled = true;
+
+        // Inside the try, so the button is re-enabled however validation or sending ends
+        try {
+            const invalidStep = await this.validateBeforeConfirm();
+            if (invalidStep !== null) {
+                if (this.destroyed) return;
+                this.showStep(invalidStep);
+                this.focusFirstError();
+                return;
+            }
+
+            const payload = this.getBookingPayload();
+            const payloadKey = JSON.stringify(payload);
+            if (payloadKey !== this.submittedPayload) {
+                this.idempotencyKey = Security.generateIdempotencyKey();
+                this.submittedPayload = payloadKey;
+            }
+
+            button.textContent = I18n.t('booking.sending');
+
+            const result = await Security.secureFetch('/api/bookings', {
+                method: 'POST',
+                headers: { 'Idempotency-Key': this.idempotencyKey },
+                body: JSON.stringify({
+                    ...payload,
+                    _timestamp: new Date().toISOString()
+                })
+            });
+
+            if (typeof Analytics !== 'undefined') {
+                Analytics.track('form_sent', { formId: 'bookingForm' });
+            }
+            if (this.destroyed) return;
+            this.showConfirmation(result.booking);
+        } catch (error) {
+            console.error('Booking error:', error);
+            if (!this.destroyed) {
+                await this.handleBookingError(error);
+            }
+        } finally {
+            this.submitting = false;
+            button.disabled = false;
+            if (this.currentStep === this.steps.length) {
+                button.textContent = I18n.t('booking.confirm');
+            }
+        }
+    }
+
+    async handleBookingError(error) {
+        const body = error.body || {};
+
+        if (error.status === 409) {
+            // Someone else took the seats: show fresh availability and go back to slot choice
+            await Availability.refresh().catch(() => {});
+            if (this.destroyed) return;
+            this.populateLocations();
+            this.showStep(1);
+            this.showFieldError('slotId', body.error || I18n.t('booking.slotFull'));
+            return;
+        }
+
+        if (error.status === 422 && body.errors) {
+            let firstInvalidStep = null;
+            this.steps.forEach((step, index) => {
+                step.fields.filter(field => body.errors[field]).forEach(field => {
+                    firstInvalidStep = firstInvalidStep || index + 1;
+                });
+            });
+
+            this.showStep(firstInvalidStep || 1);
+            Object.entries(body.errors).forEach(([field, message]) => this.showFieldError(field, message));
+            this.focusFirstError();
+            return;
+        }
+
+        if (error.status === 403) {
+            this.showStatus(I18n.t('contact.sessionExpired'));
+            return;
+        }
+
+        if (error.status === 429) {
+            this.showStatus(I18n.t('booking.rateLimited'));
+            return;
+        }
+
+        this.showStatus(I18n.t('booking.failed'));
+    }
+
+    showConfirmation(booking) {
+        this.confirmedBooking = booking;
+
+        document.getElementById('bookingForm').hidden = true;
+        document.querySelector('.wizard-steps').hidden = true;
+
+        // Slot times are already local to the safari location
+        document.getElementById('bookingConfirmationText').textContent = I18n.t('booking.confirmation', {
+            meetingPoint: booking.location.meetingPoint,
+            date: this.formatDate(booking.date),
+            time: booking.start
+        });
+        document.getElementById('bookingReference').textContent = booking.id;
+
+        const confirmation = document.getElementById('bookingConfirmation');
+        confirmation.hidden = false;
+        confirmation.focus();
+    }
+
+    async reset() {
+        this.confirmedBooking = null;
+        this.idempotencyKey = null;
+        this.submittedPayload = null;
+
+        const form = document.getElementById('bookingForm');
+        form.reset();
+        document.getElementById('bookingPhone').placeholder = FormHandler.getPhonePlaceholder(PhoneNumbers.defaultCountry);
+        form.hidden = false;
+        document.querySelector('.wizard-steps').hidden = false;
+        document.getElementById('bookingConfirmation').hidden = true;
+
+        // Seat counts have changed, not least by this visitor's own booking
+        try {
+            await Availability.refresh();
+        } catch (error) {
+            console.error('Availability refresh error:', error);
+        }
+
+        if (this.destroyed) return;
+        this.populateLocations();
+        this.showStep(1);
+    }
+
+    getBookingTimes(booking) {
+        return {
+            start: new Date(`${booking.date}T${booking.start}:00${booking.utcOffset}`),
+            end: new Date(`${booking.date}T${booking.end}:00${booking.utcOffset}`)
+        };
+    }
+
+    // Calendar file (RFC 5545)
+    buildCalendarFile(booking) {
+        const { start, end } = this.getBookingTimes(booking);
+        const vehicleClass = booking.vehicleClass ? Vehicles.getClass(booking.vehicleClass) : null;
+        const description = [
+            I18n.t('booking.calendar.reference', { id: booking.id }),
+            I18n.t('booking.calendar.guests', { count: booking.guests }),
+            I18n.t('booking.calendar.vehicle', { vehicle: vehicleClass ? vehicleClass.label : I18n.t('booking.noPreference') }),
+            I18n.t('booking.calendar.arrive'),
+            I18n.t('booking.calendar.questions', { phone: Proposal.company.phone, email: Proposal.company.email })
+        ].join('\n');
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Elyra Premium Seaters//Demo Safari Booking//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'BEGIN:VEVENT',
+            `UID:${booking.id}@elyrapremium.co.ke`,
+            `DTSTAMP:${this.formatCalendarDate(new Date())}`,
+            `DTSTART:${this.formatCalendarDate(start)}`,
+            `DTEND:${this.formatCalendarDate(end)}`,
+            `SUMMARY:${this.escapeCalendarText(I18n.t('booking.calendar.summary', { location: booking.location.label }))}`,
+            `LOCATION:${this.escapeCalendarText(booking.location.meetingPoint)}`,
+            `DESCRIPTION:${this.escapeCalendarText(description)}`,
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${this.escapeCalendarText(I18n.t('booking.calendar.reminder'))}`,
+            'TRIGGER:-P1D',
+            'END:VALARM',
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ];
+
+        return lines.map(line => this.foldCalendarLine(line)).join('\r\n') + '\r\n';
+    }
+
+    formatCalendarDate(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    escapeCalendarText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    // Lines longer than 75 bytes continue on the next line after a space
+    foldCalendarLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let currentBytes = 0;
+
+        for (const char of line) {
+            const charBytes = encoder.encode(char).length;
+            const limit = parts.length === 0 ? 75 : 74;
+            if (currentBytes + charBytes > limit) {
+                parts.push(current);
+                current = '';
+                currentBytes = 0;
+            }
+            current += char;
+            currentBytes += charBytes;
+        }
+        parts.push(current);
+
+        return parts.join('\r\n ');
+    }
+
+    downloadCalendarFile(booking) {
+        Proposal.download(`elyra-demo-safari-${booking.id}.ics`, this.buildCalendarFile(booking), 'text/calendar;charset=utf-8');
+    }
+
+    formatDate(date) {
+        const { utcOffset, timezone } = Availability.config;
+        // Noon avoids the date shifting when shown in another timezone
+        return I18n.formatDate(`${date}T12:00:00${utcOffset}`, {
+            weekday: 'long',
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric',
+            timeZone: timezone
+        });
+    }
+
+    showFieldError(field, message) {
+        const element = document.getElementById(this.fieldElements[field]);
+        if (!element) return;
+
+        this.clearFieldError(field);
+        element.setAttribute('aria-invalid', 'true');
+        element.classList.add('error');
+
+        const errorElement = document.createElement('div');
+        errorElement.className = 'error-message';
+        errorElement.id = `${element.id}-error`;
+        errorElement.setAttribute('role', 'alert');
+        errorElement.textContent = message;
+        element.setAttribute('aria-describedby', errorElement.id);
+
+        element.parentNode.appendChild(errorElement);
+    }
+
+    clearFieldError(field) {
+        const element = document.getElementById(this.fieldElements[field]);
+        if (!element) return;
+
+        element.removeAttribute('aria-invalid');
+        element.removeAttribute('aria-describedby');
+        element.classList.remove('error');
+
+        const existingError = document.getElementById(`${element.id}-error`);
+        if (existingError) {
+            existingError.remove();
+        }
+    }
+
+    focusFirstError() {
+        const invalid = document.querySelector('#bookingForm [aria-invalid="true"]');
+        if (!invalid) return;
+
+        const focusTarget = invalid.matches('input, select, textarea') ? invalid : invalid.querySelector('input');
+        if (focusTarget) {
+            focusTarget.focus();
+        }
+    }
+
+    showStatus(message) {
+        const status = document.getElementById('bookingStatus');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+}
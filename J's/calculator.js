@@ -4,115 +4,624 @@
  */
 
 class Calculator {
-    constructor() {
+    constructor(options = {}) {
+        this.initialValues = options.initialValues || {};
+        // URL query parameters used in shareable quote links
+        this.queryParams = {
+            currentDiesel: 'diesel',
+            monthlyKm: 'km',
+            vehicleCount: 'vehicles',
+            vehicleClass: 'class',
+            litresPer100km: 'consumption',
+            pumpPrice: 'pump',
+            dieselMode: 'mode',
+            ppaModel: 'model',
+            fleet: 'fleet',
+            projectionYears: 'years',
+            dieselEscalation: 'dieselrise',
+            tariffEscalation: 'tariffrise',
+            maintenanceSaving: 'maintenance',
+            discountRate: 'discount',
+            currency: 'currency'
+        };
+        this.projectionInputs = ['projectionYears', 'dieselEscalation', 'tariffEscalation', 'maintenanceSaving', 'discountRate'];
+        // Fleet row fields, in the order they are encoded in the "fleet" query parameter
+        this.fleetFields = ['vehicleClass', 'vehicleCount', 'monthlyKm', 'currentDiesel', 'rowModel', 'litresPer100km'];
+        this.nextRowId = 1;
+        // Figures are worked out in KES and shown in this currency; typed amounts are in it too
+        this.currency = 'KES';
+        this.moneyFields = ['pumpPrice', 'currentDiesel', 'maintenanceSaving'];
+        // Validation rules per input; fleet row inputs (e.g. vehicleCount-2) use the rules of their field
+        this.schema = {
+            fields: {
+                ppaModel: { required: true, oneOf: () => Pricing.getTariffs().map(tariff => tariff.id), message: 'validation.option' },
+                pumpPrice: { required: true, type: 'number', ...this.moneyRange(50, 500) },
+                vehicleClass: { required: true, oneOf: () => Vehicles.getClasses().map(vehicleClass => vehicleClass.id), message: 'validation.vehicleType' },
+                vehicleCount: { required: true, type: 'number', min: 1, max: () => Vehicles.getMaxVehiclesPerRow() },
+                monthlyKm: { required: true, type: 'number', min: 100, max: 10000 },
+                currentDiesel: { required: true, type: 'number', ...this.moneyRange(50000, 1000000) },
+                litresPer100km: { required: true, type: 'number', min: 3, max: 60 },
+                // An empty row model means the row follows the quote's model
+                rowModel: { oneOf: () => Pricing.getTariffs().map(tariff => tariff.id), message: 'validation.option' },
+                projectionYears: { required: true, type: 'number', min: Projection.minYears, max: Projection.maxYears },
+                dieselEscalation: { required: true, type: 'number', min: 0, max: 30 },
+                tariffEscalation: { required: true, type: 'number', min: 0, max: 30 },
+                maintenanceSaving: { required: true, type: 'number', ...this.moneyRange(0, 200000) },
+                discountRate: { required: true, type: 'number', min: 0, max: 30 }
+            }
+        };
+        // The last successful calculation, used for exports
+        this.lastQuote = null;
+        // Recalculates once the rate limit allows, so the results catch up with what was typed
+        this.retryTimer = null;
+        // The visitor's latest quote, reported to analytics once they stop changing it
+        this.pendingResult = null;
+        this.resultTimer = null;
+        this.listeners = new AbortController();
+        this.destroyed = false;
         this.initializeCalculator();
     }
 
-    initializeCalculator() {
+    destroy() {
+        this.destroyed = true;
+        clearTimeout(this.retryTimer);
+        // Leaving straight after a quote still counts it
+        this.reportResult();
+        this.listeners.abort();
+    }
+
+    async initializeCalculator() {
         this.setupEventListeners();
+
+        try {
+            await Promise.all([Pricing.load(), Vehicles.load()]);
+        } catch (error) {
+            console.error('Calculator config load error:', error);
+            this.showError(I18n.t('calculator.tariffsUnavailable'));
+            return;
+        }
+
+        // The sustainability summary is optional; savings still work without it
+        try {
+            await Emissions.load();
+        } catch (error) {
+            console.error('Emission factors load error:', error);
+        }
+
+        // Without exchange rates the calculator still works in KES
+        try {
+            await ExchangeRates.load();
+        } catch (error) {
+            console.error('Exchange rates load error:', error);
+        }
+
+        if (this.destroyed) return;
+
+        this.populateModelOptions();
+        this.populateCurrencyOptions();
+        this.loadProjectionDefaults();
         this.loadInitialValues();
+        this.scenarioPanel = new ScenarioPanel(this, this.listeners.signal);
+    }
+
+    populateModelOptions() {
+        const modelSelect = document.getElementById('ppaModel');
+        if (!modelSelect) return;
+
+        this.fillSelect(modelSelect, this.getModelOptions());
+    }
+
+    populateCurrencyOptions() {
+        const currencies = ExchangeRates.isLoaded() ? ExchangeRates.getCurrencies() : ['KES'];
+        const sharedCurrency = this.initialValues[this.queryParams.currency];
+        this.currency = currencies.includes(sharedCurrency) ? sharedCurrency : 'KES';
+
+        const currencySelect = document.getElementById('displayCurrency');
+        if (currencySelect) {
+            this.fillSelect(currencySelect, currencies.map(currency => ({ value: currency, label: currency })));
+            currencySelect.value = this.currency;
+            currencySelect.disabled = currencies.length === 1;
+        }
+
+        this.applyCurrency();
+    }
+
+    getModelOptions() {
+        return Pricing.getTariffs().map(tariff => ({ value: tariff.id, label: tariff.label }));
+    }
+
+    fillSelect(select, options) {
+        Template.render(select, Template.html`${this.getOptionsHTML(options)}`);
+    }
+
+    getOptionsHTML(options) {
+        return options.map(({ value, label }) => Template.html`<option value="${value}">${label}</option>`);
+    }
+
+    getProjectionInputDefaults() {
+        const defaults = Pricing.getProjectionDefaults();
+        return {
+            projectionYears: defaults.years,
+            dieselEscalation: defaults.dieselEscalation * 100,
+            tariffEscalation: defaults.tariffEscalation * 100,
+            maintenanceSaving: defaults.maintenanceSavingPerVehicle,
+            discountRate: defaults.discountRate * 100
+        };
+    }
+
+    loadProjectionDefaults() {
+        // Shared links only carry the assumptions that differ from finance's defaults
+        Object.entries(this.getProjectionInputDefaults()).forEach(([id, defaultValue]) => {
+            const sharedValue = this.initialValues[this.queryParams[id]];
+            const element = document.getElementById(id);
+            if (!element) return;
+
+            if (sharedValue !== undefined) {
+                element.value = sharedValue;
+            } else if (this.moneyFields.includes(id)) {
+                this.setKesAmount(element, defaultValue);
+            } else {
+                element.value = defaultValue;
+            }
+        });
     }
 
     setupEventListeners() {
+        const { signal } = this.listeners;
         // Rate limiting for calculator inputs
-        const inputs = ['currentDiesel', 'monthlyKm', 'vehicleCount'];
-        
+        const recalculate = Security.debounce(() => {
+            this.validateAndCalculate();
+        }, 300);
+
+        const inputs = ['pumpPrice', ...this.projectionInputs];
+
         inputs.forEach(inputId => {
             const input = document.getElementById(inputId);
             if (input) {
-                input.addEventListener('input', Security.debounce(() => {
-                    this.validateAndCalculate();
-                }, 300));
+                input.addEventListener('input', recalculate, { signal });
             }
         });
 
+        // Fleet rows come and go, so their events are delegated to the container
+        const fleetRows = document.getElementById('fleetRows');
+        if (fleetRows) {
+            fleetRows.addEventListener('input', (e) => {
+                if (e.target.matches('input')) {
+                    recalculate();
+                }
+            }, { signal });
+
+            fleetRows.addEventListener('change', (e) => {
+                if (e.target.matches('[data-fleet-field="vehicleClass"]')) {
+                    this.applyConsumptionPreset(e.target.closest('.fleet-row').getAttribute('data-row-id'));
+                }
+                if (e.target.matches('select')) {
+                    this.validateAndCalculate();
+                }
+            }, { signal });
+
+            fleetRows.addEventListener('click', (e) => {
+                const removeButton = e.target.closest('[data-remove-row]');
+                if (removeButton) {
+                    this.removeFleetRow(removeButton.getAttribute('data-remove-row'));
+                    this.validateAndCalculate();
+                }
+            }, { signal });
+        }
+
+        // Switching modes only shows and hides fields, so nothing typed is lost
+        document.querySelectorAll('input[name="dieselMode"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                this.applyDieselMode();
+                this.validateAndCalculate();
+            }, { signal });
+        });
+
+        const addRowButton = document.getElementById('addFleetRow');
+        if (addRowButton) {
+            addRowButton.addEventListener('click', () => {
+                this.addFleetRow();
+                this.validateAndCalculate();
+            }, { signal });
+        }
+
         const modelSelect = document.getElementById('ppaModel');
         if (modelSelect) {
             modelSelect.addEventListener('change', () => {
                 this.validateAndCalculate();
-            });
+            }, { signal });
+        }
+
+        const currencySelect = document.getElementById('displayCurrency');
+        if (currencySelect) {
+            currencySelect.addEventListener('change', () => {
+                this.changeCurrency(currencySelect.value);
+            }, { signal });
         }
+
+        const shareButton = document.getElementById('shareQuote');
+        if (shareButton) {
+            shareButton.addEventListener('click', () => {
+                this.copyShareLink();
+            }, { signal });
+        }
+
+        const exportActions = {
+            exportProposal: (quote) => Proposal.print(quote, this.currency),
+            exportCsv: (quote) => Proposal.exportCSV(quote, this.currency),
+            exportJson: (quote) => Proposal.exportJSON(quote, this.currency)
+        };
+
+        Object.entries(exportActions).forEach(([buttonId, action]) => {
+            const button = document.getElementById(buttonId);
+            if (button) {
+                button.addEventListener('click', () => {
+                    if (this.lastQuote) {
+                        action(this.lastQuote);
+                    }
+                }, { signal });
+            }
+        });
     }
 
     loadInitialValues() {
-        // Set safe default values
-        const defaults = {
-            currentDiesel: 250000,
-            monthlyKm: 2000,
-            vehicleCount: 1,
-            ppaModel: 'exchange'
-        };
+        const shared = this.initialValues;
+        const modelSelect = document.getElementById('ppaModel');
+        if (modelSelect) {
+            modelSelect.value = shared[this.queryParams.ppaModel] !== undefined ? shared[this.queryParams.ppaModel] : 'exchange';
+        }
+
+        // Shared amounts are in the shared currency; the configured defaults are in KES
+        const pumpPrice = document.getElementById('pumpPrice');
+        if (pumpPrice) {
+            if (shared[this.queryParams.pumpPrice] !== undefined) {
+                pumpPrice.value = shared[this.queryParams.pumpPrice];
+            } else {
+                this.setKesAmount(pumpPrice, Vehicles.getDefaultPumpPrice());
+            }
+        }
+
+        const sharedMode = shared[this.queryParams.dieselMode] === 'estimate' ? 'estimate' : 'spend';
+        const modeRadio = document.querySelector(`input[name="dieselMode"][value="${sharedMode}"]`);
+        if (modeRadio) {
+            modeRadio.checked = true;
+        }
+
+        // Values from a shared link take precedence; they are validated like typed input
+        const sharedFleet = this.parseFleetParam(shared[this.queryParams.fleet]);
+
+        if (sharedFleet.length > 0) {
+            sharedFleet.forEach(row => this.addFleetRow(row));
+        } else {
+            this.addFleetRow({
+                vehicleClass: shared[this.queryParams.vehicleClass],
+                vehicleCount: shared[this.queryParams.vehicleCount],
+                monthlyKm: shared[this.queryParams.monthlyKm],
+                currentDiesel: shared[this.queryParams.currentDiesel],
+                litresPer100km: shared[this.queryParams.litresPer100km]
+            });
+        }
+
+        this.applyDieselMode();
+        this.validateAndCalculate({ initial: true });
+    }
 
-        Object.entries(defaults).forEach(([key, value]) => {
-            const element = document.getElementById(key);
-            if (element) {
-                if (element.type === 'number') {
-                    element.value = value;
-                } else if (element.tagName === 'SELECT') {
-                    element.value = value;
+    parseFleetParam(value) {
+        if (!value) return [];
+
+        return value.split(',').map(encodedRow => {
+            const parts = encodedRow.split(':');
+            const row = {};
+            this.fleetFields.forEach((field, index) => {
+                if (parts[index]) {
+                    row[field] = parts[index];
                 }
+            });
+            return row;
+        });
+    }
+
+    getFleetRowHTML(rowId) {
+        const classOptions = Vehicles.getClasses().map(option => ({ value: option.id, label: option.label }));
+        const modelOptions = [{ value: '', label: I18n.t('calculator.row.sameModel') }, ...this.getModelOptions()];
+
+        return Template.html`
+            <div class="fleet-row" data-row-id="${rowId}">
+                <div class="form-group">
+                    <label for="vehicleClass-${rowId}">${I18n.t('calculator.row.vehicleClass')}</label>
+                    <select id="vehicleClass-${rowId}" data-fleet-field="vehicleClass">${this.getOptionsHTML(classOptions)}</select>
+                </div>
+                <div class="form-group">
+                    <label for="vehicleCount-${rowId}">${I18n.t('calculator.row.vehicleCount')}</label>
+                    <input type="number" id="vehicleCount-${rowId}" data-fleet-field="vehicleCount" min="1" step="1"
+                           inputmode="numeric">
+                </div>
+                <div class="form-group">
+                    <label for="monthlyKm-${rowId}">${I18n.t('calculator.row.monthlyKm')}</label>
+                    <input type="number" id="monthlyKm-${rowId}" data-fleet-field="monthlyKm" min="100" max="10000" step="50"
+                           inputmode="numeric">
+                </div>
+                <div class="form-group" data-diesel-mode="spend">
+                    <label for="currentDiesel-${rowId}" data-currency-label="calculator.row.currentDiesel">${I18n.t('calculator.row.currentDiesel', { currency: this.currency })}</label>
+                    <input type="number" id="currentDiesel-${rowId}" data-fleet-field="currentDiesel" min="50000" max="1000000"
+                           step="1000" inputmode="numeric">
+                </div>
+                <div class="form-group" data-diesel-mode="estimate">
+                    <label for="litresPer100km-${rowId}">${I18n.t('calculator.row.litresPer100km')}</label>
+                    <input type="number" id="litresPer100km-${rowId}" data-fleet-field="litresPer100km" min="3" max="60"
+                           step="0.5" inputmode="decimal">
+                    <p id="dieselEstimate-${rowId}" class="field-hint" aria-live="polite"></p>
+                </div>
+                <div class="form-group">
+                    <label for="rowModel-${rowId}">${I18n.t('calculator.row.model')}</label>
+                    <select id="rowModel-${rowId}" data-fleet-field="rowModel">${this.getOptionsHTML(modelOptions)}</select>
+                </div>
+                <button type="button" class="btn-link fleet-row-remove" data-remove-row="${rowId}"
+                        aria-label="${I18n.t('calculator.row.removeLabel')}">${I18n.t('calculator.row.remove')}</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Add a fleet row. Missing values fall back to the vehicle class defaults.
+     * @param {Object} [values] - vehicleClass, vehicleCount, monthlyKm, currentDiesel, rowModel, litresPer100km
+     */
+    addFleetRow(values = {}) {
+        const container = document.getElementById('fleetRows');
+        if (!container) return;
+
+        const rowId = this.nextRowId++;
+        const vehicleClass = Vehicles.getClass(values.vehicleClass) || Vehicles.getClasses()[0];
+
+        container.appendChild(Template.fragment(this.getFleetRowHTML(rowId)));
+
+        const rowValues = {
+            // An unknown class from a shared link stays visible so it is flagged rather than silently replaced
+            vehicleClass: values.vehicleClass !== undefined ? values.vehicleClass : vehicleClass.id,
+            vehicleCount: values.vehicleCount !== undefined ? values.vehicleCount : 1,
+            monthlyKm: values.monthlyKm !== undefined ? values.monthlyKm : vehicleClass.defaultMonthlyKm,
+            currentDiesel: values.currentDiesel,
+            litresPer100km: values.litresPer100km !== undefined ? values.litresPer100km : vehicleClass.litresPer100km,
+            rowModel: values.rowModel || ''
+        };
+
+        Object.entries(rowValues).forEach(([field, value]) => {
+            const element = document.getElementById(`${field}-${rowId}`);
+            if (element && value !== undefined) {
+                element.value = value;
             }
         });
 
-        this.validateAndCalculate();
+        const dieselInput = document.getElementById(`currentDiesel-${rowId}`);
+        if (values.currentDiesel === undefined) {
+            this.setKesAmount(dieselInput, vehicleClass.defaultDieselCost);
+        }
+        this.applyMoneyLimits(dieselInput, 'currentDiesel');
+
+        document.getElementById(`vehicleCount-${rowId}`).max = Vehicles.getMaxVehiclesPerRow();
+        this.updateRemoveButtons();
+        this.applyDieselMode();
+    }
+
+    applyConsumptionPreset(rowId) {
+        const vehicleClass = Vehicles.getClass(document.getElementById(`vehicleClass-${rowId}`).value);
+        const consumption = document.getElementById(`litresPer100km-${rowId}`);
+
+        if (vehicleClass && consumption && vehicleClass.litresPer100km) {
+            consumption.value = vehicleClass.litresPer100km;
+        }
+    }
+
+    getDieselMode() {
+        const checked = document.querySelector('input[name="dieselMode"]:checked');
+        return checked && checked.value === 'estimate' ? 'estimate' : 'spend';
+    }
+
+    applyDieselMode() {
+        const mode = this.getDieselMode();
+        document.querySelectorAll('.calculator-form [data-diesel-mode]').forEach(element => {
+            element.hidden = element.getAttribute('data-diesel-mode') !== mode;
+        });
+    }
+
+    removeFleetRow(rowId) {
+        const row = document.querySelector(`.fleet-row[data-row-id="${rowId}"]`);
+        if (row && this.getFleetRowIds().length > 1) {
+            row.remove();
+            this.updateRemoveButtons();
+        }
+    }
+
+    updateRemoveButtons() {
+        const onlyRow = this.getFleetRowIds().length === 1;
+        document.querySelectorAll('.fleet-row-remove').forEach(button => {
+            button.disabled = onlyRow;
+        });
     }
 
-    validateAndCalculate() {
-        if (!Security.checkRateLimit('calculator_usage', 10)) {
-            this.showError('Please wait before making more calculations');
+    getFleetRowIds() {
+        return Array.from(document.querySelectorAll('.fleet-row'))
+            .map(row => row.getAttribute('data-row-id'));
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.initial] - The quote from the defaults or a shared link, before the visitor changed anything
+     */
+    validateAndCalculate(options = {}) {
+        // A debounced input may still fire after the page has been left
+        if (this.destroyed) return;
+
+        const limit = RateLimits.consume('calculator');
+        clearTimeout(this.retryTimer);
+        if (!limit.allowed) {
+            this.showError(I18n.t('calculator.rateLimited', { count: limit.retryAfter }));
+            this.retryTimer = setTimeout(() => this.validateAndCalculate(), limit.retryAfter * 1000);
             return;
         }
 
         try {
             const inputs = this.getValidatedInputs();
-            if (!inputs) return;
+            const assumptions = this.getValidatedAssumptions();
 
-            const results = this.calculateSavings(inputs);
+            // Exports and saved scenarios must never use figures the form no longer shows
+            if (!inputs || !assumptions) {
+                this.setQuote(null);
+                return;
+            }
+
+            const results = this.calculateFleetSavings(inputs);
+            results.projection = Projection.project(results, assumptions, inputs.vehicleCount);
+            results.emissions = Emissions.isLoaded() ? Emissions.estimate(inputs.fleet) : null;
+            this.setQuote({ inputs, assumptions, results });
             this.displayResults(results);
+            this.syncQueryState(inputs);
+
+            if (!options.initial) {
+                this.scheduleResultReport(inputs);
+            }
             
         } catch (error) {
             console.error('Calculator error:', error);
-            this.showError('An error occurred during calculation');
+            this.showError(I18n.t('calculator.failed'));
         }
     }
 
     getValidatedInputs() {
-        const dieselCost = this.validateNumberInput('currentDiesel', 50000, 1000000);
-        const monthlyKm = this.validateNumberInput('monthlyKm', 100, 10000);
-        const vehicleCount = this.validateNumberInput('vehicleCount', 1, 50);
-        const ppaModel = this.validateSelectInput('ppaModel');
+        const dieselMode = this.getDieselMode();
+        const ppaModel = this.validateInput('ppaModel');
+        // Spend mode only needs a pump price to convert spend into litres, so the configured one is used
+        let pumpPrice = Vehicles.getDefaultPumpPrice();
+        if (dieselMode === 'estimate') {
+            pumpPrice = this.validateMoneyInput('pumpPrice');
+        } else {
+            this.clearFieldError('pumpPrice');
+        }
+        const fleet = this.getFleetRowIds().map(rowId => this.getValidatedFleetRow(rowId, ppaModel, dieselMode, pumpPrice));
 
-        if (dieselCost === null || monthlyKm === null || vehicleCount === null || !ppaModel) {
+        if (!ppaModel || (dieselMode === 'estimate' && pumpPrice === null) || fleet.length === 0 || fleet.includes(null)) {
             return null;
         }
 
-        return { dieselCost, monthlyKm, vehicleCount, ppaModel };
+        const vehicleCount = fleet.reduce((total, row) => total + row.vehicleCount, 0);
+        const maxFleetSize = Vehicles.getMaxFleetSize();
+
+        if (vehicleCount > maxFleetSize) {
+            this.showError(I18n.t('calculator.fleetTooLarge', { max: maxFleetSize }));
+            return null;
+        }
+
+        return { fleet, ppaModel, vehicleCount, dieselMode, pumpPrice };
     }
 
-    validateNumberInput(elementId, min, max) {
-        const element = document.getElementById(elementId);
-        if (!element) return null;
+    /**
+     * Validate one fleet row. In estimate mode the diesel spend is derived from
+     * fuel use, distance and pump price instead of being typed in.
+     */
+    getValidatedFleetRow(rowId, defaultModel, dieselMode, pumpPrice) {
+        const classId = this.validateInput(`vehicleClass-${rowId}`, 'vehicleClass');
+        const vehicleClass = classId ? Vehicles.getClass(classId) : null;
+        const vehicleCount = this.validateInput(`vehicleCount-${rowId}`, 'vehicleCount');
+        const monthlyKm = this.validateInput(`monthlyKm-${rowId}`, 'monthlyKm');
+        const estimate = this.getValidatedDieselEstimate(rowId, dieselMode, monthlyKm, pumpPrice);
+        const dieselCost = estimate ? estimate.dieselCost : null;
 
-        const value = parseFloat(element.value);
-        
-        if (isNaN(value) || value < min || value > max) {
-            this.showFieldError(elementId, `Please enter a value between ${min.toLocaleString()} and ${max.toLocaleString()}`);
+        const rowModelId = `rowModel-${rowId}`;
+        const rowModel = this.validateInput(rowModelId, 'rowModel');
+        if (rowModel === null) {
             return null;
         }
 
-        this.clearFieldError(elementId);
-        return value;
+        if (!vehicleClass || vehicleCount === null || monthlyKm === null || dieselCost === null || (!defaultModel && !rowModel)) {
+            return null;
+        }
+
+        const ppaModel = rowModel || defaultModel;
+        if (!vehicleClass.allowedModels.includes(ppaModel)) {
+            const tariff = Pricing.getTariff(ppaModel);
+            this.showFieldError(rowModelId, I18n.t('calculator.modelUnavailable', { model: tariff.label, vehicle: vehicleClass.label }));
+            return null;
+        }
+
+        this.clearFieldError(rowModelId);
+
+        return {
+            vehicleClass: vehicleClass.id,
+            vehicleCount,
+            monthlyKm,
+            dieselCost,
+            dieselLitres: estimate.dieselLitres,
+            litresPer100km: estimate.litresPer100km,
+            rowModel,
+            ppaModel
+        };
+    }
+
+    getValidatedDieselEstimate(rowId, dieselMode, monthlyKm, pumpPrice) {
+        const estimateId = `dieselEstimate-${rowId}`;
+
+        if (dieselMode === 'spend') {
+            this.clearFieldError(`litresPer100km-${rowId}`);
+            this.updateElement(estimateId, '');
+
+            const dieselCost = this.validateMoneyInput(`currentDiesel-${rowId}`, 'currentDiesel');
+            if (dieselCost === null) return null;
+
+            return {
+                dieselCost,
+                dieselLitres: pumpPrice ? dieselCost / pumpPrice : null,
+                litresPer100km: monthlyKm && pumpPrice ? (dieselCost / pumpPrice) / monthlyKm * 100 : null
+            };
+        }
+
+        this.clearFieldError(`currentDiesel-${rowId}`);
+        const litresPer100km = this.validateInput(`litresPer100km-${rowId}`, 'litresPer100km');
+        if (litresPer100km === null || monthlyKm === null || !pumpPrice) {
+            this.updateElement(estimateId, '');
+            return null;
+        }
+
+        const dieselLitres = monthlyKm * litresPer100km / 100;
+        const dieselCost = dieselLitres * pumpPrice;
+        this.updateElement(estimateId, I18n.t('calculator.estimatedSpend', { amount: this.formatCurrency(dieselCost) }));
+
+        return { dieselCost, dieselLitres, litresPer100km };
     }
 
-    validateSelectInput(elementId) {
+    getValidatedAssumptions() {
+        const [years, dieselEscalation, tariffEscalation, maintenanceSaving, discountRate] =
+            this.projectionInputs.map(inputId => this.moneyFields.includes(inputId)
+                ? this.validateMoneyInput(inputId)
+                : this.validateInput(inputId));
+
+        if ([years, dieselEscalation, tariffEscalation, maintenanceSaving, discountRate].includes(null)) {
+            return null;
+        }
+
+        // Percentages are entered as whole numbers
+        return {
+            years,
+            dieselEscalation: dieselEscalation / 100,
+            tariffEscalation: tariffEscalation / 100,
+            maintenanceSavingPerVehicle: maintenanceSaving,
+            discountRate: discountRate / 100
+        };
+    }
+
+    /**
+     * Validate one input against the calculator schema and show or clear its error.
+     * @param {string} elementId
+     * @param {string} [field] - Schema field, when it differs from the element id
+     * @returns {*} The validated value (numbers for numeric fields), or null when invalid
+     */
+    validateInput(elementId, field = elementId) {
         const element = document.getElementById(elementId);
         if (!element) return null;
 
-        const value = element.value;
-        const validOptions = ['exchange', 'traditional', 'lease'];
+        const { error, value } = SchemaValidator.validateValue(this.schema.fields[field], element.value);
 
-        if (!validOptions.includes(value)) {
-            this.showFieldError(elementId, 'Please select a valid option');
+        if (error) {
+            this.showFieldError(elementId, error);
             return null;
         }
 
@@ -120,25 +629,216 @@ class Calculator {
         return value;
     }
 
+    // Like validateInput, but the amount is typed in the display currency and returned in KES
+    validateMoneyInput(elementId, field = elementId) {
+        const value = this.validateInput(elementId, field);
+        return value === null ? null : this.readKesAmount(document.getElementById(elementId));
+    }
+
+    /**
+     * Limits for an amount field, set in KES and checked in the display currency.
+     * They are rounded inwards, so an amount that passes is still within the KES limits.
+     */
+    moneyRange(minKes, maxKes) {
+        return {
+            min: () => this.toInputAmount(minKes, Math.ceil),
+            max: () => this.toInputAmount(maxKes, Math.floor)
+        };
+    }
+
+    // A KES amount in the display currency, to the cent
+    toInputAmount(amountKes, round = Math.round) {
+        if (this.currency === 'KES') return amountKes;
+        return round(ExchangeRates.fromKes(amountKes, this.currency) * 100) / 100;
+    }
+
+    setKesAmount(element, amountKes) {
+        element.value = this.toInputAmount(amountKes);
+        // Kept so an amount converted back and forth returns to the exact figure
+        element.dataset.kesAmount = amountKes;
+        element.dataset.shownAmount = element.value;
+    }
+
+    readKesAmount(element) {
+        const value = parseFloat(element.value);
+        if (!Number.isFinite(value)) return null;
+
+        if (element.dataset.kesAmount && element.dataset.shownAmount === element.value) {
+            return parseFloat(element.dataset.kesAmount);
+        }
+        return ExchangeRates.toKes(value, this.currency);
+    }
+
+    getMoneyInputs() {
+        const fleetInputs = this.getFleetRowIds()
+            .map(rowId => ({ element: document.getElementById(`currentDiesel-${rowId}`), field: 'currentDiesel' }));
+
+        return [
+            { element: document.getElementById('pumpPrice'), field: 'pumpPrice' },
+            { element: document.getElementById('maintenanceSaving'), field: 'maintenanceSaving' },
+            ...fleetInputs
+        ].filter(({ element }) => element);
+    }
+
+    applyMoneyLimits(element, field) {
+        const rules = this.schema.fields[field];
+        // The markup's step suits KES; converted amounts can have any number of cents
+        if (!element.dataset.kesStep) {
+            element.dataset.kesStep = element.step;
+        }
+        element.min = rules.min();
+        element.max = rules.max();
+        element.step = this.currency === 'KES' ? element.dataset.kesStep : 'any';
+    }
+
+    /**
+     * Show figures in another currency. Typed amounts are converted too, so the quote stays the same.
+     * The rates are fetched again first in case they have been republished.
+     */
+    async changeCurrency(currency) {
+        const amounts = this.getMoneyInputs().map(({ element }) => ({ element, amountKes: this.readKesAmount(element) }));
+
+        try {
+            await ExchangeRates.refresh();
+        } catch (error) {
+            console.error('Exchange rates refresh error:', error);
+        }
+
+        if (this.destroyed) return;
+
+        this.currency = ExchangeRates.hasCurrency(currency) ? currency : 'KES';
+        amounts.forEach(({ element, amountKes }) => {
+            if (amountKes !== null) {
+                this.setKesAmount(element, amountKes);
+            }
+        });
+
+        const currencySelect = document.getElementById('displayCurrency');
+        if (currencySelect) {
+            currencySelect.value = this.currency;
+        }
+
+        this.applyCurrency();
+        this.scenarioPanel.refresh();
+        this.validateAndCalculate();
+    }
+
+    applyCurrency() {
+        document.querySelectorAll('.calculator-form [data-currency-label]').forEach(element => {
+            element.textContent = I18n.t(element.getAttribute('data-currency-label'), { currency: this.currency });
+        });
+        this.getMoneyInputs().forEach(({ element, field }) => this.applyMoneyLimits(element, field));
+        this.updateElement('exchangeRateNote', this.describeExchangeRate());
+    }
+
+    describeExchangeRate() {
+        if (!ExchangeRates.isLoaded()) {
+            return I18n.t('calculator.exchangeRatesUnavailable');
+        }
+        if (this.currency === 'KES') {
+            return '';
+        }
+
+        return I18n.t('calculator.exchangeRate', {
+            currency: this.currency,
+            rate: I18n.formatCurrency(ExchangeRates.getRate(this.currency), 'KES', { maximumFractionDigits: 2 }),
+            date: this.formatRateDate()
+        });
+    }
+
+    formatRateDate() {
+        return I18n.formatDate(ExchangeRates.getDate(), { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+    }
+
+    syncQueryState(inputs) {
+        if (typeof Navigation === 'undefined') return;
+
+        Navigation.updateQuery(this.getQueryState(inputs));
+    }
+
+    /**
+     * The URL query that reopens the calculator exactly as it is now.
+     * Used for shareable links and saved scenarios.
+     */
+    getQueryState(inputs) {
+        const [firstRow] = inputs.fleet;
+        const params = this.queryParams;
+
+        const estimating = inputs.dieselMode === 'estimate';
+        // The typed spend is kept in estimate mode so switching back restores it
+        const rowValue = (rowId, field) => document.getElementById(`${field}-${rowId}`).value;
+        const modeQuery = estimating
+            ? { [params.dieselMode]: 'estimate', [params.pumpPrice]: document.getElementById('pumpPrice').value }
+            : {};
+        // Amounts in the link are in the currency they were typed in
+        const currencyQuery = this.currency !== 'KES' ? { [params.currency]: this.currency } : {};
+
+        const projectionDefaults = this.getProjectionInputDefaults();
+        const projectionQuery = {};
+        this.projectionInputs.forEach(id => {
+            const value = parseFloat(document.getElementById(id).value);
+            const defaultValue = this.moneyFields.includes(id) ? this.toInputAmount(projectionDefaults[id]) : projectionDefaults[id];
+            if (value !== defaultValue) {
+                projectionQuery[params[id]] = value;
+            }
+        });
+
+        // A single vehicle type keeps the short, readable link format
+        if (inputs.fleet.length === 1 && !firstRow.rowModel) {
+            const rowId = this.getFleetRowIds()[0];
+            return {
+                [params.currentDiesel]: rowValue(rowId, 'currentDiesel'),
+                [params.monthlyKm]: firstRow.monthlyKm,
+                [params.vehicleCount]: firstRow.vehicleCount,
+                [params.vehicleClass]: firstRow.vehicleClass,
+                [params.ppaModel]: inputs.ppaModel,
+                ...modeQuery,
+                [params.litresPer100km]: estimating ? firstRow.litresPer100km : '',
+                ...currencyQuery,
+                ...projectionQuery
+            };
+        }
+
+        const fleet = this.getFleetRowIds()
+            .map(rowId => this.fleetFields
+                .map(field => field === 'litresPer100km' && !estimating ? '' : rowValue(rowId, field))
+                .join(':')
+                .replace(/:+$/, ''))
+            .join(',');
+
+        return {
+            [params.ppaModel]: inputs.ppaModel,
+            ...modeQuery,
+            [params.fleet]: fleet,
+            ...currencyQuery,
+            ...projectionQuery
+        };
+    }
+
+    async copyShareLink() {
+        if (typeof Navigation === 'undefined') return;
+
+        const url = Navigation.getShareableUrl();
+
+        try {
+            await navigator.clipboard.writeText(url);
+            this.updateElement('shareStatus', I18n.t('calculator.linkCopied'));
+        } catch (error) {
+            // Clipboard access can be blocked; show the link so it can be copied by hand
+            this.updateElement('shareStatus', url);
+        }
+    }
+
+    /**
+     * Savings for one group of identical vehicles.
+     * fleetSize is the whole fleet, which sets the volume discount tier.
+     */
     calculateSavings(inputs) {
-        const { dieselCost, monthlyKm, vehicleCount, ppaModel } = inputs;
+        const { dieselCost, monthlyKm, vehicleCount, ppaModel, fleetSize = vehicleCount } = inputs;
         
         const currentMonthlyCost = dieselCost * vehicleCount;
-        let newMonthlyCost;
-
-        switch(ppaModel) {
-            case 'exchange':
-                newMonthlyCost = 120000 * vehicleCount;
-                break;
-            case 'traditional':
-                newMonthlyCost = (95000 * vehicleCount) + (14 * monthlyKm * vehicleCount);
-                break;
-            case 'lease':
-                newMonthlyCost = 175000 * vehicleCount;
-                break;
-            default:
-                newMonthlyCost = currentMonthlyCost;
-        }
+        const pricing = Pricing.calculateMonthlyCost(ppaModel, { vehicleCount, monthlyKm, fleetSize });
+        const newMonthlyCost = pricing.total;
 
         const monthlySavings = currentMonthlyCost - newMonthlyCost;
         const savingsPercent = monthlySavings > 0 ? (monthlySavings / currentMonthlyCost) * 100 : 0;
@@ -149,7 +849,39 @@ class Calculator {
             newMonthlyCost,
             monthlySavings,
             savingsPercent,
-            annualSavings
+            annualSavings,
+            currency: pricing.currency,
+            tariff: pricing.tariff,
+            tariffVersion: Pricing.getVersion(),
+            discountRate: pricing.discountRate
+        };
+    }
+
+    calculateFleetSavings(inputs) {
+        const rows = inputs.fleet.map(row => ({
+            ...row,
+            results: this.calculateSavings({ ...row, fleetSize: inputs.vehicleCount })
+        }));
+
+        const sum = (key) => rows.reduce((total, row) => total + row.results[key], 0);
+        const currentMonthlyCost = sum('currentMonthlyCost');
+        const newMonthlyCost = sum('newMonthlyCost');
+        const monthlySavings = currentMonthlyCost - newMonthlyCost;
+        const tariffs = Array.from(new Map(rows.map(row => [row.results.tariff.id, row.results.tariff])).values());
+        const discountRates = Array.from(new Set(rows.map(row => row.results.discountRate)));
+
+        return {
+            currentMonthlyCost,
+            newMonthlyCost,
+            monthlySavings,
+            savingsPercent: monthlySavings > 0 ? (monthlySavings / currentMonthlyCost) * 100 : 0,
+            annualSavings: monthlySavings * 12,
+            currency: rows[0].results.currency,
+            tariffs,
+            tariffVersion: Pricing.getVersion(),
+            discountRates,
+            vehicleCount: inputs.vehicleCount,
+            rows
         };
     }
 
@@ -157,8 +889,13 @@ class Calculator {
         this.updateElement('currentCost', this.formatCurrency(results.currentMonthlyCost));
         this.updateElement('newCost', this.formatCurrency(results.newMonthlyCost));
         this.updateElement('savings', this.formatCurrency(results.monthlySavings));
-        this.updateElement('savingsPercent', `${Math.max(0, results.savingsPercent).toFixed(0)}%`);
+        this.updateElement('savingsPercent', this.formatPercent(Math.max(0, results.savingsPercent)));
         this.updateElement('annualSavings', this.formatCurrency(results.annualSavings));
+        this.updateElement('tariffNote', this.describeTariff(results));
+        this.displayFleetResults(results);
+        this.displayProjection(results.projection);
+        this.displayEmissions(results.emissions);
+        this.showError('');
 
         // Visual feedback
         const savingsElement = document.getElementById('savings');
@@ -168,6 +905,135 @@ class Calculator {
         }
     }
 
+    // Typing recalculates on every change, so only the quote the visitor settles on is reported
+    scheduleResultReport(inputs) {
+        clearTimeout(this.resultTimer);
+        // Named here, as the page may already have changed when it is reported
+        this.pendingResult = { page: 'calculator', model: inputs.ppaModel, vehicles: inputs.vehicleCount };
+        this.resultTimer = setTimeout(() => this.reportResult(), 3000);
+    }
+
+    reportResult() {
+        clearTimeout(this.resultTimer);
+        if (this.pendingResult && typeof Analytics !== 'undefined') {
+            Analytics.track('calculator_result', this.pendingResult);
+        }
+        this.pendingResult = null;
+    }
+
+    setQuote(quote) {
+        this.lastQuote = quote;
+        if (quote) {
+            Scenarios.rememberLatest(quote.results);
+        }
+        document.querySelectorAll('.export-actions button').forEach(button => {
+            button.disabled = !quote;
+        });
+    }
+
+    displayFleetResults(results) {
+        const tableBody = document.querySelector('#fleetResultsTable tbody');
+        if (!tableBody) return;
+
+        Template.render(tableBody, Template.html`${results.rows.map(row => Template.html`
+            <tr class="${row.results.monthlySavings < 0 ? 'negative-savings' : ''}">
+                <th scope="row">${I18n.t('calculator.fleetRow', { count: row.vehicleCount, vehicle: Vehicles.getClass(row.vehicleClass).label })}</th>
+                <td>${row.results.tariff.label}</td>
+                <td>${this.formatCurrency(row.results.currentMonthlyCost)}</td>
+                <td>${this.formatCurrency(row.results.newMonthlyCost)}</td>
+                <td>${this.formatCurrency(row.results.monthlySavings)}</td>
+            </tr>
+        `)}`);
+    }
+
+    displayProjection(projection) {
+        this.updateElement('projectionNpv', this.formatCurrency(projection.npv));
+        this.updateElement('projectionTotal', this.formatCurrency(projection.totalSavings));
+        this.updateElement('projectionTotalLabel', I18n.t('calculator.result.projectionTotal', { count: projection.years }));
+        this.updateElement('breakevenMonth', projection.breakevenMonth === null
+            ? I18n.t('calculator.breakevenNone')
+            : I18n.t('calculator.breakevenMonth', { month: projection.breakevenMonth }));
+
+        const tableBody = document.querySelector('#projectionTable tbody');
+        if (!tableBody) return;
+
+        Template.render(tableBody, Template.html`${projection.rows.map(row => Template.html`
+            <tr class="${row.cumulativeSavings < 0 ? 'negative-savings' : ''}">
+                <th scope="row">${I18n.t('calculator.year', { year: row.year })}</th>
+                <td>${this.formatCurrency(row.dieselCost)}</td>
+                <td>${this.formatCurrency(row.ppaCost)}</td>
+                <td>${this.formatCurrency(row.savings)}</td>
+                <td>${this.formatCurrency(row.cumulativeSavings)}</td>
+            </tr>
+        `)}`);
+    }
+
+    displayEmissions(emissions) {
+        const summary = document.getElementById('sustainabilitySummary');
+        if (!summary) return;
+
+        summary.hidden = !emissions;
+        if (!emissions) return;
+
+        const factors = emissions.factors;
+
+        this.updateElement('co2Avoided', I18n.t('calculator.co2Avoided', {
+            amount: this.formatTonnes(emissions.avoidedKg),
+            percent: this.formatPercent(emissions.reductionPercent)
+        }));
+        this.updateElement('co2Diesel', this.formatTonnes(emissions.dieselKg));
+        this.updateElement('co2Electric', this.formatTonnes(emissions.electricKg));
+        this.updateElement('treesEquivalent', I18n.t('calculator.trees', { count: Math.round(emissions.treesEquivalent) }));
+        this.updateElement('flightsEquivalent', I18n.t('calculator.flights', { count: Math.round(emissions.flightsEquivalent) }));
+        this.updateElement('emissionsNote', I18n.t('calculator.emissionsNote', {
+            litres: Math.round(emissions.dieselLitres),
+            kwh: Math.round(emissions.electricKwh),
+            dieselFactor: factors.dieselKgCo2PerLitre,
+            gridFactor: factors.gridKgCo2PerKwh,
+            treeFactor: factors.treeKgCo2PerYear,
+            flightFactor: factors.flightKgCo2PerPassenger,
+            flight: I18n.t('calculator.flightBasis')
+        }));
+    }
+
+    formatTonnes(kilograms) {
+        const tonnes = I18n.formatNumber(kilograms / 1000, {
+            minimumFractionDigits: 1,
+            maximumFractionDigits: 1
+        });
+
+        return I18n.t('calculator.tonnes', { amount: tonnes });
+    }
+
+    // Percentages such as savingsPercent are 0-100
+    formatPercent(percent) {
+        return I18n.formatNumber(percent / 100, { style: 'percent', maximumFractionDigits: 0 });
+    }
+
+    describeTariff(results) {
+        const discountRates = results.discountRates.filter(rate => rate > 0);
+        const parts = [I18n.t('calculator.figuresIn', { currency: this.currency })];
+
+        if (this.currency !== results.currency) {
+            parts.push(I18n.t('calculator.convertedFigures', { currency: results.currency, date: this.formatRateDate() }));
+        }
+
+        parts.push(I18n.t('calculator.tariffs', {
+            count: results.tariffs.length,
+            models: I18n.formatList(results.tariffs.map(tariff => tariff.label)),
+            version: results.tariffVersion
+        }));
+
+        if (discountRates.length === 1) {
+            parts.push(I18n.t('calculator.volumeDiscount', { percent: this.formatPercent(discountRates[0] * 100) }));
+        } else if (discountRates.length > 1) {
+            parts.push(I18n.t('calculator.volumeDiscounts'));
+        }
+
+        parts.push(I18n.t('calculator.estimatesOnly'));
+        return parts.join(' ');
+    }
+
     updateElement(id, value) {
         const element = document.getElementById(id);
         if (element) {
@@ -175,11 +1041,9 @@ class Calculator {
         }
     }
 
-    formatCurrency(amount) {
-        return new Intl.NumberFormat('en-KE', {
-            minimumFractionDigits: 0,
-            maximumFractionDigits: 0
-        }).format(Math.round(amount));
+    // Results are in KES; they are shown in the chosen currency with its code
+    formatCurrency(amountKes) {
+        return I18n.formatCurrency(ExchangeRates.fromKes(amountKes, this.currency), this.currency);
     }
 
     showFieldError(fieldId, message) {
@@ -210,8 +1074,11 @@ class Calculator {
     }
 
     showError(message) {
-        // Implementation for global error display
-        console.error('Calculator Error:', message);
+        // An empty message clears the calculator status
+        if (message) {
+            console.error('Calculator Error:', message);
+        }
+        this.updateElement('calculatorStatus', message);
     }
 }
 
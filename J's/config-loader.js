@@ -0,0 +1,40 @@
+/**
+ * JSON Config Loader
+ * Fetches the JSON files in data/ (and the availability feed) and checks them with
+ * the owning module's validator, so nothing uses a config that failed its checks.
+ *
+ * Loads are shared per URL: every caller gets the same promise until the file is
+ * reloaded. A failed load is forgotten, so the next call tries again.
+ */
+
+const configLoads = new Map();
+
+/**
+ * @param {string} url
+ * @param {Function} validate - Returns the config to use, or throws when the file is unusable
+ * @param {Object} [options]
+ * @param {boolean} [options.reload] - Fetch again even if the file has already loaded
+ * @returns {Promise<Object>} The validated config
+ */
+function loadJsonConfig(url, validate, options = {}) {
+    if (!configLoads.has(url) || options.reload) {
+        const loading = fetch(url, { credentials: 'same-origin', cache: 'no-cache' })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Could not load ${url} (status ${response.status})`);
+                }
+                return response.json();
+            })
+            .then(config => validate(config));
+
+        configLoads.set(url, loading);
+        loading.catch(() => {
+            // A reload may have replaced this load already
+            if (configLoads.get(url) === loading) {
+                configLoads.delete(url);
+            }
+        });
+    }
+
+    return configLoads.get(url);
+}
@@ -0,0 +1,235 @@
+/**
+ * Consent Management
+ * Asks visitors which optional data uses they allow, keeps the answer in localStorage,
+ * and lets them change it at any time from the "Privacy settings" link in the footer.
+ *
+ * Categories:
+ *   necessary - storage the site needs to work (language, these choices, form security); always on
+ *   analytics - first-party usage statistics and the browser type sent with inquiries; off until allowed
+ * A Do Not Track or Global Privacy Control signal from the browser counts as a refusal of
+ * analytics, and the banner is not shown for it.
+ *
+ * getState(category) is "granted", "denied" or "pending" (not answered yet);
+ * a "change" event is dispatched whenever the answer changes.
+ */
+
+class ConsentManager extends EventTarget {
+    constructor(storageKey = 'elyra_consent') {
+        super();
+        this.storageKey = storageKey;
+        // Raise when categories change, so everyone is asked again
+        this.version = 1;
+        this.categories = [
+            { id: 'necessary', label: 'consent.necessary', description: 'consent.necessaryText', required: true },
+            { id: 'analytics', label: 'consent.analytics', description: 'consent.analyticsText', required: false }
+        ];
+        this.choices = this.restore();
+        this.banner = null;
+        this.showPreferences = false;
+        this.returnFocusTo = null;
+        this.init();
+    }
+
+    init() {
+        this.setupControls();
+        I18n.addEventListener('change', () => this.renderBanner());
+
+        if (!this.choices && !this.hasPrivacySignal()) {
+            this.showBanner();
+        }
+    }
+
+    hasPrivacySignal() {
+        return navigator.globalPrivacyControl === true
+            || navigator.doNotTrack === '1'
+            || window.doNotTrack === '1';
+    }
+
+    /**
+     * @param {string} category
+     * @returns {string} "granted", "denied" or "pending"
+     */
+    getState(category) {
+        const definition = this.categories.find(candidate => candidate.id === category);
+        if (!definition) {
+            throw new Error(`Unknown consent category: ${category}`);
+        }
+
+        if (definition.required) return 'granted';
+        if (this.hasPrivacySignal()) return 'denied';
+        if (!this.choices) return 'pending';
+        return this.choices[category] === true ? 'granted' : 'denied';
+    }
+
+    isAllowed(category) {
+        return this.getState(category) === 'granted';
+    }
+
+    /**
+     * Record the visitor's answer. Required categories are always on; a privacy signal keeps the rest off.
+     * @param {Object} choices - Category id -> allowed
+     */
+    setChoices(choices) {
+        const signal = this.hasPrivacySignal();
+        this.choices = { version: this.version, decidedAt: new Date().toISOString() };
+
+        this.categories
+            .filter(category => !category.required)
+            .forEach(category => {
+                this.choices[category.id] = !signal && choices[category.id] === true;
+            });
+
+        this.save();
+        this.hideBanner();
+        this.dispatchEvent(new CustomEvent('change', { detail: { choices: this.choices } }));
+    }
+
+    acceptAll() {
+        this.setChoices(Object.fromEntries(this.categories.map(category => [category.id, true])));
+    }
+
+    rejectAll() {
+        this.setChoices({});
+    }
+
+    restore() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            return saved && saved.version === this.version ? saved : null;
+        } catch (error) {
+            // Unreadable choices are asked for again
+            console.error('Consent restore error:', error);
+            return null;
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.choices));
+        } catch (error) {
+            // The choices still apply for this visit
+            console.error('Consent storage error:', error);
+        }
+    }
+
+    setupControls() {
+        // Delegated, as the footer and the banner are rendered again in another language
+        document.addEventListener('click', (e) => {
+            const opener = e.target.closest('[data-consent-preferences]');
+            if (opener) {
+                e.preventDefault();
+                this.openPreferences(opener);
+                return;
+            }
+
+            const action = e.target.closest('[data-consent-action]');
+            if (!action) return;
+
+            const name = action.getAttribute('data-consent-action');
+            if (name === 'accept') {
+                this.acceptAll();
+            } else if (name === 'reject') {
+                this.rejectAll();
+            } else if (name === 'customise') {
+                this.showBanner({ preferences: true });
+            }
+        });
+
+        document.addEventListener('submit', (e) => {
+            if (e.target.id !== 'consentForm') return;
+
+            e.preventDefault();
+            const form = e.target;
+            this.setChoices(Object.fromEntries(this.categories.map(category =>
+                [category.id, Boolean(form.elements[category.id] && form.elements[category.id].checked)])));
+        });
+
+        // Once there is an answer (or a privacy signal) the banner is only a settings panel, so Escape closes it
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.banner && (this.choices || this.hasPrivacySignal())) {
+                this.hideBanner();
+            }
+        });
+    }
+
+    // From the footer link: show the categories straight away, and return focus to the link afterwards
+    openPreferences(opener) {
+        this.returnFocusTo = opener || null;
+        this.showBanner({ preferences: true });
+
+        const firstControl = this.banner.querySelector('input:not([disabled]), button[type="submit"]');
+        if (firstControl) {
+            firstControl.focus();
+        }
+    }
+
+    showBanner(options = {}) {
+        if (!this.banner) {
+            this.banner = document.createElement('section');
+            this.banner.className = 'consent-banner';
+            this.banner.setAttribute('role', 'dialog');
+            this.banner.setAttribute('aria-labelledby', 'consentTitle');
+            this.banner.setAttribute('aria-describedby', 'consentText');
+            document.body.appendChild(this.banner);
+        }
+
+        this.showPreferences = Boolean(options.preferences);
+        this.renderBanner();
+    }
+
+    hideBanner() {
+        if (!this.banner) return;
+
+        this.banner.remove();
+        this.banner = null;
+
+        if (this.returnFocusTo && this.returnFocusTo.isConnected) {
+            this.returnFocusTo.focus();
+        }
+        this.returnFocusTo = null;
+    }
+
+    renderBanner() {
+        if (!this.banner) return;
+
+        // Patched, so a language switch keeps ticked boxes and focus
+        Template.render(this.banner, this.getBannerHTML(), { patch: true });
+    }
+
+    getBannerHTML() {
+        const signal = this.hasPrivacySignal();
+
+        return Template.html`
+            <h2 id="consentTitle">${I18n.t('consent.title')}</h2>
+            <p id="consentText">${I18n.t('consent.text')}</p>
+            ${signal ? Template.html`<p class="consent-signal">${I18n.t('consent.signal')}</p>` : ''}
+            <form id="consentForm" class="consent-form"${this.showPreferences ? '' : ' hidden'}>
+                <fieldset>
+                    <legend class="sr-only">${I18n.t('consent.categories')}</legend>
+                    ${this.categories.map(category => {
+                        const locked = category.required || signal;
+                        return Template.html`
+                            <div class="consent-category">
+                                <input type="checkbox" id="consent-${category.id}" name="${category.id}"${this.isAllowed(category.id) ? ' checked' : ''}${locked ? ' disabled' : ''}>
+                                <label for="consent-${category.id}">
+                                    <strong>${I18n.t(category.label)}</strong>
+                                    <span>${I18n.t(category.description)}</span>
+                                </label>
+                            </div>
+                        `;
+                    })}
+                </fieldset>
+            </form>
+            <div class="consent-actions">
+                <button type="button" class="btn-secondary" data-consent-action="reject">${I18n.t('consent.rejectAll')}</button>
+                ${signal ? '' : Template.html`<button type="button" class="btn-secondary" data-consent-action="accept">${I18n.t('consent.acceptAll')}</button>`}
+                ${this.showPreferences
+                    ? Template.html`<button type="submit" form="consentForm" class="btn-primary">${I18n.t('consent.save')}</button>`
+                    : Template.html`<button type="button" class="btn-outline" data-consent-action="customise">${I18n.t('consent.customise')}</button>`}
+            </div>
+        `;
+    }
+}
+
+// Initialize consent management
+const Consent = new ConsentManager();
@@ -0,0 +1,94 @@
+/**
+ * Emissions Estimator
+ * Estimates the CO2 a fleet avoids by switching from diesel to electric,
+ * using the factors in data/emission-factors.json
+ */
+
+class EmissionsCalculator {
+    constructor(configUrl = 'data/emission-factors.json') {
+        this.configUrl = configUrl;
+        this.config = null;
+    }
+
+    async load(options = {}) {
+        this.config = await loadJsonConfig(this.configUrl, config => this.validateConfig(config), options);
+        return this.config;
+    }
+
+    validateConfig(config) {
+        const factors = ['dieselKgCo2PerLitre', 'gridKgCo2PerKwh', 'treeKgCo2PerYear', 'flightKgCo2PerPassenger'];
+
+        factors.forEach(factor => {
+            if (!config || typeof config[factor] !== 'number' || config[factor] < 0) {
+                throw new Error(`Invalid emission config: ${factor} must be a non-negative number`);
+            }
+        });
+
+        return {
+            dieselBasis: 'fuel',
+            sources: [],
+            ...config
+        };
+    }
+
+    isLoaded() {
+        return this.config !== null;
+    }
+
+    /**
+     * Monthly diesel litres for one vehicle in a fleet row.
+     * The "fuel" basis uses the litres the calculator derived from spend or consumption;
+     * the "distance" basis (or a row without litres) uses km driven and the class fuel use.
+     */
+    getMonthlyLitres(row, vehicleClass) {
+        if (this.config.dieselBasis === 'fuel' && typeof row.dieselLitres === 'number') {
+            return row.dieselLitres;
+        }
+
+        return row.monthlyKm * vehicleClass.litresPer100km / 100;
+    }
+
+    /**
+     * Annual emissions for a validated fleet (Calculator.getValidatedInputs().fleet).
+     * @returns {Object} Kilograms of CO2 per year, plus tree and flight equivalents
+     */
+    estimate(fleet) {
+        if (!this.config) {
+            throw new Error('Emission factors have not been loaded yet');
+        }
+
+        let dieselKg = 0;
+        let electricKg = 0;
+        let dieselLitres = 0;
+        let electricKwh = 0;
+
+        fleet.forEach(row => {
+            const vehicleClass = Vehicles.getClass(row.vehicleClass);
+            const annualKm = row.monthlyKm * 12 * row.vehicleCount;
+            const litres = this.getMonthlyLitres(row, vehicleClass) * 12 * row.vehicleCount;
+            const kwh = annualKm * vehicleClass.evKwhPer100km / 100;
+
+            dieselLitres += litres;
+            electricKwh += kwh;
+            dieselKg += litres * this.config.dieselKgCo2PerLitre;
+            electricKg += kwh * this.config.gridKgCo2PerKwh;
+        });
+
+        const avoidedKg = Math.max(0, dieselKg - electricKg);
+
+        return {
+            dieselLitres,
+            electricKwh,
+            dieselKg,
+            electricKg,
+            avoidedKg,
+            reductionPercent: dieselKg > 0 ? (avoidedKg / dieselKg) * 100 : 0,
+            treesEquivalent: avoidedKg / this.config.treeKgCo2PerYear,
+            flightsEquivalent: avoidedKg / this.config.flightKgCo2PerPassenger,
+            factors: this.config
+        };
+    }
+}
+
+// Initialize emissions estimator
+const Emissions = new EmissionsCalculator();
@@ -0,0 +1,95 @@
+/**
+ * Exchange Rate Table
+ * Loads the display currencies and their rates from data/exchange-rates.json.
+ * Prices are always worked out in KES; these rates only convert figures for display
+ * and convert typed amounts back to KES. Update the file to publish new rates.
+ */
+
+class ExchangeRateTable {
+    constructor(configUrl = 'data/exchange-rates.json') {
+        this.configUrl = configUrl;
+        this.config = null;
+    }
+
+    async load(options = {}) {
+        this.config = await loadJsonConfig(this.configUrl, config => this.validateConfig(config), options);
+        return this.config;
+    }
+
+    // Rates may have been republished since the page loaded; the previous table is kept if this fails
+    refresh() {
+        return this.load({ reload: true });
+    }
+
+    validateConfig(config) {
+        if (!config || config.base !== 'KES' || !config.kesPerUnit || typeof config.kesPerUnit !== 'object') {
+            throw new Error('Invalid exchange rates: base must be KES and kesPerUnit must list the rates');
+        }
+
+        Object.entries(config.kesPerUnit).forEach(([currency, rate]) => {
+            if (!/^[A-Z]{3}$/.test(currency) || typeof rate !== 'number' || !(rate > 0)) {
+                throw new Error(`Invalid exchange rates: "${currency}" needs a positive rate`);
+            }
+        });
+
+        if (Number.isNaN(Date.parse(config.date))) {
+            throw new Error('Invalid exchange rates: date is missing');
+        }
+
+        return {
+            source: null,
+            ...config,
+            // The base currency is always offered first
+            kesPerUnit: { KES: 1, ...config.kesPerUnit }
+        };
+    }
+
+    ensureLoaded() {
+        if (!this.config) {
+            throw new Error('Exchange rates have not been loaded yet');
+        }
+    }
+
+    isLoaded() {
+        return this.config !== null;
+    }
+
+    getCurrencies() {
+        this.ensureLoaded();
+        return Object.keys(this.config.kesPerUnit);
+    }
+
+    hasCurrency(currency) {
+        return this.isLoaded() && Object.prototype.hasOwnProperty.call(this.config.kesPerUnit, currency);
+    }
+
+    // KES needs no table, so figures can still be shown when the rates are unavailable
+    getRate(currency) {
+        if (currency === 'KES') return 1;
+        if (!this.hasCurrency(currency)) {
+            throw new Error(`No exchange rate for ${currency}`);
+        }
+        return this.config.kesPerUnit[currency];
+    }
+
+    getDate() {
+        this.ensureLoaded();
+        return this.config.date;
+    }
+
+    getSource() {
+        this.ensureLoaded();
+        return this.config.source;
+    }
+
+    fromKes(amount, currency) {
+        return amount / this.getRate(currency);
+    }
+
+    toKes(amount, currency) {
+        return amount * this.getRate(currency);
+    }
+}
+
+// Initialize exchange rates
+const ExchangeRates = new ExchangeRateTable();
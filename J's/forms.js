@@ -6,132 +6,164 @@
 class FormHandler {
     constructor() {
         this.forms = new Map();
+        // Form id -> validation schema, shared with the server
+        this.schemas = {
+            contactForm: ValidationSchemas.contact
+        };
+        this.listeners = new AbortController();
         this.init();
     }
 
+    destroy() {
+        this.listeners.abort();
+    }
+
     init() {
-        this.initializeContactForm();
         this.setupGlobalFormHandler();
+        this.setupQueueStatus();
+
+        // Loaded ahead of the first submission; scoring is skipped if it cannot load
+        LeadScoring.load().catch(error => console.error('Lead scoring error:', error));
     }
 
-    initializeContactForm() {
-        const formHTML = `
+    // Contact page markup, rendered by the navigation system
+    static getContactFormHTML() {
+        return Template.html`
             <section class="contact-section" aria-labelledby="contact-heading">
                 <div class="container">
-                    <h2 id="contact-heading">Start Your Premium Electric Journey</h2>
-                    <p class="section-subtitle">Get a free fleet assessment and customized premium proposal</p>
+                    <h2 id="contact-heading">${I18n.t('contact.heading')}</h2>
+                    <p class="section-subtitle">${I18n.t('contact.subtitle')}</p>
                     
                     <div class="contact-grid">
                         <div class="contact-info">
-                            <h3>Contact Information</h3>
+                            <h3>${I18n.t('contact.info')}</h3>
                             <div class="contact-item">
-                                <strong>Phone:</strong> +254 700 000 000
+                                <strong>${I18n.t('contact.phone')}</strong> +254 700 000 000
                             </div>
                             <div class="contact-item">
-                                <strong>Email:</strong> info@elyrapremium.co.ke
+                                <strong>${I18n.t('contact.email')}</strong> info@elyrapremium.co.ke
                             </div>
                             <div class="contact-item">
-                                <strong>Location:</strong> Nairobi, Kenya
+                                <strong>${I18n.t('contact.location')}</strong> ${I18n.t('contact.locationValue')}
                             </div>
                             <div class="contact-item">
-                                <strong>Business Hours:</strong> Mon-Fri 8:00-17:00
+                                <strong>${I18n.t('contact.hours')}</strong> ${I18n.t('contact.hoursValue')}
                             </div>
                         </div>
                         
                         <form id="contactForm" class="contact-form" novalidate>
                             <div class="form-group">
-                                <label for="name" class="sr-only">Your Name</label>
-                                <input type="text" id="name" name="name" placeholder="Your Name" required
+                                <label for="name" class="sr-only">${I18n.t('contact.form.name')}</label>
+                                <input type="text" id="name" name="name" placeholder="${I18n.t('contact.form.name')}" required
                                        aria-required="true">
                             </div>
                             <div class="form-group">
-                                <label for="email" class="sr-only">Your Email</label>
-                                <input type="email" id="email" name="email" placeholder="Your Email" required
+                                <label for="email" class="sr-only">${I18n.t('contact.form.email')}</label>
+                                <input type="email" id="email" name="email" placeholder="${I18n.t('contact.form.email')}" required
                                        aria-required="true">
                             </div>
                             <div class="form-group">
-                                <label for="phone" class="sr-only">Your Phone</label>
-                                <input type="tel" id="phone" name="phone" placeholder="Your Phone" required
-                                       aria-required="true">
+                                <div class="phone-input">
+                                    <label for="phoneCountry" class="sr-only">${I18n.t('contact.form.phoneCountry')}</label>
+                                    <select id="phoneCountry" name="phoneCountry">
+                                        ${FormHandler.getPhoneCountryOptionsHTML()}
+                                    </select>
+                                    <label for="phone" class="sr-only">${I18n.t('contact.form.phone')}</label>
+                                    <input type="tel" id="phone" name="phone" autocomplete="tel" required aria-required="true"
+                                           placeholder="${FormHandler.getPhonePlaceholder(PhoneNumbers.defaultCountry, I18n.t('contact.form.phone'))}">
+                                </div>
                             </div>
                             <div class="form-group">
-                                <label for="businessType" class="sr-only">Business Type</label>
+                                <label for="businessType" class="sr-only">${I18n.t('contact.form.businessType')}</label>
                                 <select id="businessType" name="businessType" required aria-required="true">
-                                    <option value="">Select Business Type</option>
-                                    <option value="safari-lodge">Safari Lodge</option>
-                                    <option value="tour-operator">Tour Operator</option>
-                                    <option value="corporate">Corporate Transport</option>
-                                    <option value="luxury-travel">Luxury Travel Company</option>
-                                    <option value="other">Other</option>
+                                    <option value="">${I18n.t('contact.form.businessTypePlaceholder')}</option>
+                                    ${FormHandler.getOptionsHTML('contact.form.businessType', ['safari-lodge', 'tour-operator', 'corporate', 'luxury-travel', 'other'])}
                                 </select>
                             </div>
                             <div class="form-group">
-                                <label for="vehicleCount" class="sr-only">Number of Vehicles</label>
+                                <label for="vehicleCount" class="sr-only">${I18n.t('contact.form.vehicleCount')}</label>
                                 <select id="vehicleCount" name="vehicleCount" required aria-required="true">
-                                    <option value="">Number of Vehicles</option>
-                                    <option value="1-3">1-3 Vehicles</option>
-                                    <option value="4-6">4-6 Vehicles</option>
-                                    <option value="7-10">7-10 Vehicles</option>
-                                    <option value="10+">10+ Vehicles</option>
+                                    <option value="">${I18n.t('contact.form.vehicleCount')}</option>
+                                    ${FormHandler.getOptionsHTML('contact.form.vehicleCount', ['1-3', '4-6', '7-10', '10+'])}
                                 </select>
                             </div>
                             <div class="form-group">
-                                <label for="message" class="sr-only">Your Message</label>
-                                <textarea id="message" name="message" placeholder="Tell us about your premium transport needs..." 
-                                         rows="4" aria-required="false"></textarea>
+                                <label for="message" class="sr-only">${I18n.t('contact.form.message')}</label>
+                                <textarea id="message" name="message" placeholder="${I18n.t('contact.form.messagePlaceholder')}" 
+                                         rows="4" maxlength="2000" aria-required="false"></textarea>
                             </div>
-                            <button type="submit" class="btn-primary">Get Free Premium Assessment</button>
+                            <button type="submit" class="btn-primary">${I18n.t('contact.form.submit')}</button>
+                            <p id="submissionQueueStatus" class="queue-status" role="status" hidden></p>
                         </form>
                     </div>
                 </div>
             </section>
         `;
+    }
 
-        // This would be injected by the navigation system
-        // For now, we'll handle form submission globally
+    // Select options whose labels are the catalog messages "<keyPrefix>.<value>"
+    static getOptionsHTML(keyPrefix, values) {
+        return values.map(value => Template.html`<option value="${value}">${I18n.t(`${keyPrefix}.${value}`)}</option>`);
+    }
+
+    // Options for a phone country selector, Kenya selected
+    static getPhoneCountryOptionsHTML() {
+        return PhoneNumbers.getCountries().map(country => {
+            const selected = country.code === PhoneNumbers.defaultCountry ? ' selected' : '';
+            const name = I18n.formatRegion(country.code, country.name);
+            return Template.html`<option value="${country.code}"${selected}>${name} (+${country.dialCode})</option>`;
+        });
+    }
+
+    static getPhonePlaceholder(countryCode, label = '') {
+        const example = PhoneNumbers.getExample(countryCode);
+        return label
+            ? I18n.t('contact.form.phoneExample', { label, example })
+            : I18n.t('phone.example', { example });
     }
 
     setupGlobalFormHandler() {
+        const { signal } = this.listeners;
+
+        // Only the forms with a schema here; others, such as the privacy choices, have their own handlers
         document.addEventListener('submit', (e) => {
-            if (e.target.matches('form')) {
+            if (e.target.matches('form') && this.getSchema(e.target)) {
                 e.preventDefault();
                 this.handleFormSubmission(e.target);
             }
-        });
+        }, { signal });
 
         // Real-time validation
         document.addEventListener('blur', (e) => {
             if (e.target.matches('input, select, textarea')) {
                 this.validateField(e.target);
             }
-        }, true);
+        }, { capture: true, signal });
 
         // Clear errors on input
         document.addEventListener('input', (e) => {
             if (e.target.matches('input, select, textarea')) {
                 this.clearFieldError(e.target);
             }
-        });
+        }, { signal });
+
+        // A different country changes which numbers are valid and the example shown
+        document.addEventListener('change', (e) => {
+            if (e.target.name === 'phoneCountry' && e.target.form) {
+                this.updatePhoneField(e.target.form);
+            }
+        }, { signal });
     }
 
     async handleFormSubmission(form) {
-        if (!Security.checkRateLimit('form_submission', 3)) {
-            this.showNotification('Please wait before submitting another form', 'error');
+        const limit = RateLimits.consume('contactForm');
+        if (!limit.allowed) {
+            this.showNotification(I18n.t('contact.rateLimited', { count: limit.retryAfter }), 'error');
             return;
         }
 
-        // Validate all fields
-        const fields = form.querySelectorAll('input, select, textarea');
-        let isValid = true;
-
-        fields.forEach(field => {
-            if (!this.validateField(field)) {
-                isValid = false;
-            }
-        });
-
-        if (!isValid) {
-            this.showNotification('Please fix the errors in the form before submitting', 'error');
+        if (!(await this.validateForm(form))) {
+            this.showNotification(I18n.t('contact.fixErrors'), 'error');
             return;
         }
 
@@ -140,16 +172,29 @@ class FormHandler {
         const originalText = submitButton.textContent;
         this.setLoadingState(submitButton, true);
 
+        let submission = null;
+
         try {
-            const formData = this.collectFormData(form);
-            await this.processFormSubmission(formData);
+            const data = this.collectFormData(form);
+            data.lead = await this.scoreLead(data);
+            submission = FormQueue.createSubmission('/api/contact', data);
+            const result = await this.processFormSubmission(submission);
             
-            this.showNotification('Thank you! We have received your inquiry and will contact you within 24 hours.', 'success');
-            form.reset();
+            this.showNotification(I18n.t('contact.sent', { id: result.id }), 'success');
+            if (typeof Analytics !== 'undefined') {
+                Analytics.track('form_sent', { formId: form.id });
+            }
+            this.resetForm(form);
             
         } catch (error) {
             console.error('Form submission error:', error);
-            this.showNotification('Sorry, there was an error sending your message. Please try again or contact us directly.', 'error');
+            // Connection problems should not lose the lead: keep it and send it later.
+            // When the server is throttling, the visitor is told how long to wait instead.
+            if (submission && error.status !== 429 && FormQueue.isRetryable(error) && await this.queueSubmission(submission)) {
+                this.resetForm(form);
+            } else {
+                this.handleSubmissionError(form, error);
+            }
         } finally {
             this.setLoadingState(submitButton, false, originalText);
         }
@@ -157,89 +202,176 @@ class FormHandler {
 
     collectFormData(form) {
         const data = new FormData(form);
-        const sanitizedData = {};
+        const formData = {};
 
+        // Values are sent as typed so the server can validate them again;
+        // they are escaped wherever they are displayed, not here
         for (let [key, value] of data.entries()) {
-            sanitizedData[key] = InputValidator.sanitizeInput(value);
+            formData[key] = typeof value === 'string' ? value.trim() : '';
+        }
+
+        // Sent in E.164 so the country never has to be guessed later
+        if (formData.phone) {
+            formData.phone = InputValidator.normalizePhone(formData.phone, formData.phoneCountry) || formData.phone;
         }
 
         // Add security metadata
-        sanitizedData._csrf = Security.csrfToken;
-        sanitizedData._timestamp = new Date().toISOString();
-        sanitizedData._userAgent = navigator.userAgent.substring(0, 100); // Limit length
+        formData._timestamp = new Date().toISOString();
+        if (Consent.isAllowed('analytics')) {
+            formData._userAgent = navigator.userAgent.substring(0, 100); // Limit length
+        }
 
-        return sanitizedData;
+        return formData;
     }
 
-    async processFormSubmission(formData) {
-        // In a real application, you would send this to your backend
-        // For now, we'll simulate the API call
-        
-        return new Promise((resolve, reject) => {
-            setTimeout(() => {
-                // Simulate random failures for testing (10% failure rate)
-                if (Math.random() < 0.1) {
-                    reject(new Error('Network error'));
-                } else {
-                    // Simulate successful submission
-                    console.log('Form data would be sent to:', {
-                        endpoint: '/api/contact',
-                        data: formData
-                    });
-                    resolve({ success: true, id: `sub_${Date.now()}` });
-                }
-            }, 1500);
-        });
+    /**
+     * Qualification score for sales, from the answers and this visitor's calculator use.
+     * An inquiry is never held back because scoring is unavailable.
+     * @returns {Promise<Object|null>} See LeadScorer.score
+     */
+    async scoreLead(data) {
+        try {
+            await LeadScoring.load();
+            return LeadScoring.score({
+                businessType: data.businessType,
+                vehicleCount: data.vehicleCount,
+                message: data.message,
+                quote: Scenarios.getLatest(),
+                scenarios: Scenarios.list(),
+                compared: Scenarios.wasCompared()
+            });
+        } catch (error) {
+            console.error('Lead scoring error:', error);
+            return null;
+        }
     }
 
-    validateField(field) {
-        const value = field.value.trim();
-        let isValid = true;
-        let errorMessage = '';
-
-        // Required field validation
-        if (field.hasAttribute('required') && !value) {
-            isValid = false;
-            errorMessage = 'This field is required';
+    async processFormSubmission(submission) {
+        return FormQueue.send(submission);
+    }
+
+    async queueSubmission(submission) {
+        try {
+            await FormQueue.enqueue(submission);
+        } catch (error) {
+            console.error('Could not queue submission:', error);
+            return false;
+        }
+
+        this.showNotification(I18n.t('contact.queued'), 'info');
+        return true;
+    }
+
+    resetForm(form) {
+        form.reset();
+        // reset() puts the country back to Kenya without a change event
+        this.updatePhoneField(form);
+    }
+
+    updatePhoneField(form) {
+        const phone = form.elements.phone;
+        if (!phone) return;
+
+        phone.placeholder = FormHandler.getPhonePlaceholder(form.elements.phoneCountry.value, I18n.t('contact.form.phone'));
+        if (phone.value.trim()) {
+            this.validateField(phone);
         }
+    }
+
+    setupQueueStatus() {
+        FormQueue.addEventListener('change', (e) => this.updateQueueStatus(e.detail.pending), { signal: this.listeners.signal });
+        FormQueue.count().then(pending => this.updateQueueStatus(pending)).catch(() => {});
+    }
+
+    updateQueueStatus(pending) {
+        const status = document.getElementById('submissionQueueStatus');
+        if (!status) return;
 
-        // Type-specific validation
-        if (isValid && value) {
-            switch (field.type) {
-                case 'email':
-                    if (!InputValidator.validateEmail(value)) {
-                        isValid = false;
-                        errorMessage = 'Please enter a valid email address';
-                    }
-                    break;
-                case 'tel':
-                    if (!InputValidator.validatePhone(value)) {
-                        isValid = false;
-                        errorMessage = 'Please enter a valid Kenyan phone number';
-                    }
-                    break;
-                case 'text':
-                    if (field.name === 'name' && !InputValidator.validateName(value)) {
-                        isValid = false;
-                        errorMessage = 'Please enter a valid name (2-50 characters)';
-                    }
-                    break;
+        status.hidden = pending === 0;
+        status.textContent = I18n.t('contact.queueStatus', { count: pending });
+    }
+
+    handleSubmissionError(form, error) {
+        const fieldErrors = error.body && error.body.errors;
+
+        // Server-side validation failures go next to the matching fields
+        if (error.status === 422 && fieldErrors) {
+            let firstField = null;
+            Object.entries(fieldErrors).forEach(([name, message]) => {
+                const field = form.elements[name];
+                if (field) {
+                    this.showFieldError(field, message);
+                    firstField = firstField || field;
+                }
+            });
+
+            if (firstField) {
+                firstField.focus();
             }
+            this.showNotification(I18n.t('contact.fixErrors'), 'error');
+            return;
         }
 
-        // Select validation
-        if (field.tagName === 'SELECT' && field.hasAttribute('required') && !value) {
-            isValid = false;
-            errorMessage = 'Please select an option';
+        if (error.status === 403) {
+            this.showNotification(I18n.t('contact.sessionExpired'), 'error');
+            return;
         }
 
-        if (!isValid) {
+        if (error.status === 429) {
+            const retryAfter = error.body && Number.isFinite(error.body.retryAfter) ? error.body.retryAfter : 60;
+            this.showNotification(I18n.t('contact.rateLimited', { count: retryAfter }), 'error');
+            return;
+        }
+
+        this.showNotification(I18n.t('contact.sendFailed'), 'error');
+    }
+
+    getSchema(form) {
+        return form ? this.schemas[form.id] || null : null;
+    }
+
+    getFormValues(form) {
+        const values = {};
+        for (let [key, value] of new FormData(form).entries()) {
+            values[key] = typeof value === 'string' ? value : '';
+        }
+        return values;
+    }
+
+    validateField(field) {
+        const schema = this.getSchema(field.form);
+        if (!schema || !field.name) return true;
+
+        const errorMessage = SchemaValidator.validateField(schema, field.name, this.getFormValues(field.form));
+
+        if (errorMessage) {
             this.showFieldError(field, errorMessage);
         } else {
             this.clearFieldError(field);
         }
 
-        return isValid;
+        return !errorMessage;
+    }
+
+    // Every field, cross-field rules and async checks, before anything is sent
+    async validateForm(form) {
+        const schema = this.getSchema(form);
+        if (!schema) return true;
+
+        const { valid, errors } = await SchemaValidator.validateAsync(schema, this.getFormValues(form));
+
+        Object.keys(schema.fields).forEach(name => {
+            const field = form.elements[name];
+            if (!field) return;
+
+            if (errors[name]) {
+                this.showFieldError(field, errors[name]);
+            } else {
+                this.clearFieldError(field);
+            }
+        });
+
+        return valid;
     }
 
     showFieldError(field, message) {
@@ -271,7 +403,7 @@ class FormHandler {
         if (isLoading) {
             button.disabled = true;
             button.setAttribute('aria-disabled', 'true');
-            button.textContent = 'Sending...';
+            button.textContent = I18n.t('contact.form.sending');
             button.classList.add('loading');
         } else {
             button.disabled = false;
@@ -282,41 +414,23 @@ class FormHandler {
     }
 
     showNotification(message, type = 'info') {
+        FormHandler.showNotification(message, type);
+    }
+
+    static showNotification(message, type = 'info') {
         // Remove existing notifications
         const existingNotification = document.querySelector('.global-notification');
         if (existingNotification) {
             existingNotification.remove();
         }
 
+        // Styled by its classes in style.css (info is the default look)
         const notification = document.createElement('div');
         notification.className = `global-notification global-notification-${type}`;
         notification.setAttribute('role', 'alert');
         notification.setAttribute('aria-live', 'polite');
         notification.textContent = message;
 
-        // Style the notification
-        Object.assign(notification.style, {
-            position: 'fixed',
-            top: '20px',
-            right: '20px',
-            padding: 'var(--space-md) var(--space-lg)',
-            borderRadius: 'var(--radius-md)',
-            color: 'var(--white)',
-            fontWeight: 'var(--font-weight-medium)',
-            zIndex: '10000',
-            maxWidth: '400px',
-            boxShadow: 'var(--shadow-lg)',
-            border: '1px solid transparent'
-        });
-
-        if (type === 'success') {
-            notification.style.background = 'var(--success-green)';
-        } else if (type === 'error') {
-            notification.style.background = 'var(--error-red)';
-        } else {
-            notification.style.background = 'var(--luxury-navy)';
-        }
-
         document.body.appendChild(notification);
 
         // Auto-remove after 5 seconds
@@ -327,3 +441,15 @@ class FormHandler {
         }, 5000);
     }
 }
+
+// Queued inquiries can be delivered on any page, so report them from here
+FormQueue.addEventListener('sent', (e) => {
+    FormHandler.showNotification(I18n.t('contact.queuedSent', { id: e.detail.result.id }), 'success');
+    if (typeof Analytics !== 'undefined') {
+        Analytics.track('form_sent', { formId: 'contactForm' });
+    }
+});
+
+FormQueue.addEventListener('failed', () => {
+    FormHandler.showNotification(I18n.t('contact.queuedFailed'), 'error');
+});
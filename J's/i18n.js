@@ -0,0 +1,161 @@
+/**
+ * Internationalisation
+ * Message catalogs (J's/locales/), interpolation, pluralisation and number, currency,
+ * date and list formatting for the visitor's language. The choice is kept in localStorage.
+ * Shared with the Node server, which replies in the default locale.
+ *
+ * t(key, params) looks the key up in the current locale, then in en-KE, which has every key.
+ * A key found nowhere is returned as it is, so plain text passed to t() still works.
+ *   "{name}" is replaced by params.name; numbers are formatted for the locale.
+ *   A message object such as { one: '{count} seat', other: '{count} seats' } is picked
+ *   with Intl.PluralRules for params.count.
+ */
+
+class Localization extends EventTarget {
+    /**
+     * @param {Array} catalogs - { locale, label, messages } per language
+     * @param {string} defaultLocale - Its catalog must have every key
+     */
+    constructor(catalogs, defaultLocale = 'en-KE', storageKey = 'elyra_locale') {
+        super();
+        this.catalogs = new Map(catalogs.map(catalog => [catalog.locale, catalog]));
+        this.defaultLocale = defaultLocale;
+        this.storageKey = storageKey;
+        this.locale = defaultLocale;
+        this.init();
+    }
+
+    init() {
+        if (typeof document === 'undefined') return;
+
+        this.locale = this.getPreferredLocale();
+        document.documentElement.lang = this.locale;
+    }
+
+    getPreferredLocale() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (this.catalogs.has(stored)) return stored;
+        } catch (error) {
+            console.error('Locale storage error:', error);
+        }
+
+        // First visit: follow the browser, so "sw" or "sw-TZ" picks sw-KE
+        const preferred = navigator.languages || [navigator.language];
+        for (const language of preferred.filter(Boolean)) {
+            const match = this.catalogs.has(language)
+                ? language
+                : Array.from(this.catalogs.keys()).find(locale => locale.split('-')[0] === language.split('-')[0]);
+            if (match) return match;
+        }
+
+        return this.defaultLocale;
+    }
+
+    getLocales() {
+        return Array.from(this.catalogs.values()).map(({ locale, label }) => ({ locale, label }));
+    }
+
+    getLocale() {
+        return this.locale;
+    }
+
+    /**
+     * Switch language, remember it and tell the page to render again ("change" event).
+     */
+    setLocale(locale) {
+        if (!this.catalogs.has(locale)) {
+            throw new Error(`Unsupported locale: ${locale}`);
+        }
+        if (locale === this.locale) return;
+
+        this.locale = locale;
+        try {
+            localStorage.setItem(this.storageKey, locale);
+        } catch (error) {
+            // The language still changes for this visit
+            console.error('Locale storage error:', error);
+        }
+
+        document.documentElement.lang = locale;
+        this.dispatchEvent(new CustomEvent('change', { detail: { locale } }));
+    }
+
+    t(key, params = {}) {
+        let message = this.lookup(this.locale, key);
+        if (message === undefined) {
+            message = this.lookup(this.defaultLocale, key);
+        }
+        if (message === undefined) {
+            message = key;
+        }
+        const template = typeof message === 'object' ? this.selectPlural(message, params.count) : message;
+
+        return this.interpolate(template, params);
+    }
+
+    lookup(locale, key) {
+        const catalog = this.catalogs.get(locale);
+        return catalog && Object.prototype.hasOwnProperty.call(catalog.messages, key) ? catalog.messages[key] : undefined;
+    }
+
+    selectPlural(forms, count) {
+        const category = typeof count === 'number' ? new Intl.PluralRules(this.locale).select(count) : 'other';
+        return forms[category] || forms.other;
+    }
+
+    interpolate(template, params) {
+        return String(template).replace(/\{(\w+)\}/g, (match, name) => {
+            const value = params[name];
+            if (value === undefined || value === null) return match;
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    }
+
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    }
+
+    /**
+     * "KES 1,250,000" in whole units unless options say otherwise.
+     */
+    formatCurrency(amount, currency = 'KES', options = {}) {
+        return new Intl.NumberFormat(this.locale, {
+            style: 'currency',
+            currency,
+            currencyDisplay: 'code',
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 0,
+            ...options
+        }).format(amount);
+    }
+
+    formatDate(date, options = {}) {
+        return new Date(date).toLocaleDateString(this.locale, options);
+    }
+
+    // "Exchange, Lease and Traditional" in the current language
+    formatList(items) {
+        return new Intl.ListFormat(this.locale, { type: 'conjunction' }).format(items.map(String));
+    }
+
+    // Country names such as "Ujerumani" for the current language
+    formatRegion(countryCode, fallback = countryCode) {
+        try {
+            return new Intl.DisplayNames([this.locale], { type: 'region' }).of(countryCode) || fallback;
+        } catch (error) {
+            return fallback;
+        }
+    }
+}
+
+// Initialize localization with the catalogs loaded before this script
+const I18n = new Localization([
+    typeof LocaleEnKE !== 'undefined' ? LocaleEnKE : require('./locales/en-KE.js').LocaleEnKE,
+    typeof LocaleSwKE !== 'undefined' ? LocaleSwKE : require('./locales/sw-KE.js').LocaleSwKE
+]);
+
+// Shared with the Node server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Localization, I18n };
+}
@@ -0,0 +1,144 @@
+/**
+ * Lead Qualification Scoring
+ * Scores a contact inquiry from its answers and the visitor's calculator use,
+ * with the weights and tiers in data/lead-scoring.json, so sales can prioritise
+ */
+
+class LeadScorer {
+    constructor(configUrl = 'data/lead-scoring.json') {
+        this.configUrl = configUrl;
+        this.config = null;
+    }
+
+    async load(options = {}) {
+        this.config = await loadJsonConfig(this.configUrl, config => this.validateConfig(config), options);
+        return this.config;
+    }
+
+    validateConfig(config) {
+        ['businessType', 'fleetSize'].forEach(table => {
+            const weights = config && config[table];
+            if (!weights || typeof weights !== 'object' || Object.values(weights).some(points => typeof points !== 'number')) {
+                throw new Error(`Invalid lead scoring config: ${table} must map each answer to a number of points`);
+            }
+        });
+
+        if (!Array.isArray(config.tiers) || config.tiers.length === 0) {
+            throw new Error('Invalid lead scoring config: no tiers defined');
+        }
+
+        config.tiers.forEach(tier => {
+            if (!tier.id || typeof tier.minScore !== 'number') {
+                throw new Error(`Invalid lead scoring config: tier "${tier.id}" needs an id and minScore`);
+            }
+        });
+
+        return {
+            version: null,
+            maxScore: 100,
+            ...config,
+            message: { minLength: 0, lengthPoints: 0, keywordGroups: [], maxPoints: 0, ...config.message },
+            calculator: { completedPoints: 0, annualSavingsBands: [], maxPoints: 0, ...config.calculator },
+            scenarios: { savedPoints: 0, comparedPoints: 0, maxPoints: 0, ...config.scenarios },
+            // Highest first, so the first tier a score reaches is its tier
+            tiers: [...config.tiers].sort((a, b) => b.minScore - a.minScore)
+        };
+    }
+
+    isLoaded() {
+        return this.config !== null;
+    }
+
+    /**
+     * Score an inquiry.
+     * @param {Object} lead
+     * @param {string} lead.businessType - Contact form answer
+     * @param {string} lead.vehicleCount - Fleet-size bucket from the contact form, e.g. "4-6"
+     * @param {string} [lead.message]
+     * @param {Object|null} [lead.quote] - Summary of the latest calculation (Scenarios.getLatest())
+     * @param {Array} [lead.scenarios] - Saved scenarios (Scenarios.list())
+     * @param {boolean} [lead.compared] - Whether saved scenarios were compared (Scenarios.wasCompared())
+     * @returns {{score: number, tier: string, factors: Object, version: string|null}} factors holds the points per input
+     */
+    score(lead) {
+        if (!this.config) {
+            throw new Error('Lead scoring weights have not been loaded yet');
+        }
+
+        const factors = {
+            businessType: this.lookup(this.config.businessType, lead.businessType),
+            fleetSize: this.lookup(this.config.fleetSize, lead.vehicleCount),
+            message: this.scoreMessage(lead.message),
+            calculator: this.scoreQuote(lead.quote),
+            scenarios: this.scoreScenarios(lead.scenarios || [], Boolean(lead.compared))
+        };
+
+        const total = Object.values(factors).reduce((sum, points) => sum + points, 0);
+        const score = Math.round(Math.min(this.config.maxScore, Math.max(0, total)));
+
+        return {
+            score,
+            tier: this.getTier(score).id,
+            factors,
+            version: this.config.version
+        };
+    }
+
+    getTier(score) {
+        const tiers = this.config.tiers;
+        return tiers.find(tier => score >= tier.minScore) || tiers[tiers.length - 1];
+    }
+
+    lookup(weights, answer) {
+        return Object.prototype.hasOwnProperty.call(weights, answer) ? weights[answer] : 0;
+    }
+
+    // A detailed message and one that mentions pricing or timing usually means a buyer
+    scoreMessage(message) {
+        const settings = this.config.message;
+        const text = typeof message === 'string' ? message.trim() : '';
+        if (!text) return 0;
+
+        let points = text.length >= settings.minLength ? settings.lengthPoints : 0;
+        settings.keywordGroups.forEach(group => {
+            // Each group counts once, however many of its terms appear
+            const mentioned = group.terms.some(term => new RegExp(`\\b${this.escapeRegExp(term)}`, 'i').test(text));
+            if (mentioned) {
+                points += group.points;
+            }
+        });
+
+        return Math.min(settings.maxPoints, points);
+    }
+
+    scoreQuote(quote) {
+        const settings = this.config.calculator;
+        if (!quote) return 0;
+
+        let points = settings.completedPoints;
+        // Bands are in KES; a quote in another currency only counts as completed
+        if (quote.currency === 'KES') {
+            const band = settings.annualSavingsBands
+                .filter(candidate => quote.annualSavings >= candidate.minKes)
+                .sort((a, b) => b.points - a.points)[0];
+            points += band ? band.points : 0;
+        }
+
+        return Math.min(settings.maxPoints, points);
+    }
+
+    scoreScenarios(scenarios, compared) {
+        const settings = this.config.scenarios;
+        if (scenarios.length === 0) return 0;
+
+        const points = settings.savedPoints + (compared ? settings.comparedPoints : 0);
+        return Math.min(settings.maxPoints, points);
+    }
+
+    escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+// Initialize lead scoring
+const LeadScoring = new LeadScorer();
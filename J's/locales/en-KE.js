@@ -0,0 +1,478 @@
+/**
+ * English (Kenya) Messages
+ * The default catalog: every key used in the code must be here.
+ * Other catalogs fall back to these messages for keys they do not have yet.
+ */
+
+const LocaleEnKE = {
+    locale: 'en-KE',
+    label: 'English',
+    messages: {
+        // Navigation and page titles
+        'nav.home': 'Home',
+        'nav.solutions': 'Solutions',
+        'nav.models': 'PPA Models',
+        'nav.calculator': 'Savings Calculator',
+        'nav.contact': 'Contact',
+        'nav.cta': 'Calculate Savings',
+        'nav.menu': 'Menu',
+        'nav.language': 'Language',
+        'page.home.title': 'Luxury Electric Safari Vehicles',
+        'page.solutions.title': 'Solutions',
+        'page.models.title': 'PPA Models',
+        'page.calculator.title': 'Savings Calculator',
+        'page.contact.title': 'Contact',
+        'page.booking.title': 'Book a Demo Safari',
+        'page.analytics.title': 'Analytics report',
+        'page.error.title': 'Something went wrong',
+        'page.notFound.title': 'Page not found',
+
+        // Home page
+        'home.heading': 'Premium Electric Safari Experiences',
+        'home.intro': 'Luxury Seating. Zero Emissions. Unforgettable Journeys. Upgrade your fleet with premium electric vehicles with {upfront} upfront cost.',
+        'home.calculate': 'Calculate Your Savings',
+        'home.book': 'Book a Demo Safari',
+        'home.stat.savings': 'Cost Savings vs Diesel',
+        'home.stat.upfront': 'Upfront Investment',
+        'home.stat.premium': 'Premium',
+        'home.stat.seating': 'Luxury Seating',
+
+        // Error pages
+        'error.heading': 'Something went wrong',
+        'error.text': 'We couldn\'t load this page. Please try again, or contact us directly on {phone}.',
+        'error.home': 'Back to Home',
+        'error.contact': 'Contact Us',
+        'notFound.heading': 'Page not found',
+        'notFound.text': 'We couldn\'t find the page. It may have moved, or the link may be incorrect.',
+        'notFound.textNamed': 'We couldn\'t find the page "{page}". It may have moved, or the link may be incorrect.',
+        'notFound.calculate': 'Calculate Savings',
+
+        // Footer and privacy choices
+        'footer.rights': 'All rights reserved.',
+        'footer.privacySettings': 'Privacy settings',
+        'consent.title': 'Your privacy choices',
+        'consent.text': 'We use strictly necessary storage to run this site. With your permission we also collect anonymous usage statistics on our own servers; they are never shared with third parties. You can change your mind at any time from "Privacy settings" at the bottom of every page.',
+        'consent.signal': 'Your browser has asked sites not to track you (Do Not Track or Global Privacy Control), so analytics stays off.',
+        'consent.categories': 'Data uses',
+        'consent.necessary': 'Strictly necessary',
+        'consent.necessaryText': 'Needed for the site to work: your language, these choices, form security and saved calculator scenarios. Always on.',
+        'consent.analytics': 'Analytics',
+        'consent.analyticsText': 'Anonymous usage statistics (pages viewed, buttons used, load times), and your browser type sent with an inquiry.',
+        'consent.acceptAll': 'Accept all',
+        'consent.rejectAll': 'Necessary only',
+        'consent.customise': 'Choose',
+        'consent.save': 'Save choices',
+
+        // Contact page
+        'contact.heading': 'Start Your Premium Electric Journey',
+        'contact.subtitle': 'Get a free fleet assessment and customized premium proposal',
+        'contact.info': 'Contact Information',
+        'contact.phone': 'Phone:',
+        'contact.email': 'Email:',
+        'contact.location': 'Location:',
+        'contact.locationValue': 'Nairobi, Kenya',
+        'contact.hours': 'Business Hours:',
+        'contact.hoursValue': 'Mon-Fri 8:00-17:00',
+        'contact.form.name': 'Your Name',
+        'contact.form.email': 'Your Email',
+        'contact.form.phoneCountry': 'Phone Country',
+        'contact.form.phone': 'Your Phone',
+        'contact.form.phoneExample': '{label}, e.g. {example}',
+        'phone.example': 'e.g. {example}',
+        'contact.form.businessType': 'Business Type',
+        'contact.form.businessTypePlaceholder': 'Select Business Type',
+        'contact.form.businessType.safari-lodge': 'Safari Lodge',
+        'contact.form.businessType.tour-operator': 'Tour Operator',
+        'contact.form.businessType.corporate': 'Corporate Transport',
+        'contact.form.businessType.luxury-travel': 'Luxury Travel Company',
+        'contact.form.businessType.other': 'Other',
+        'contact.form.vehicleCount': 'Number of Vehicles',
+        'contact.form.vehicleCount.1-3': '1-3 Vehicles',
+        'contact.form.vehicleCount.4-6': '4-6 Vehicles',
+        'contact.form.vehicleCount.7-10': '7-10 Vehicles',
+        'contact.form.vehicleCount.10+': '10+ Vehicles',
+        'contact.form.message': 'Your Message',
+        'contact.form.messagePlaceholder': 'Tell us about your premium transport needs...',
+        'contact.form.submit': 'Get Free Premium Assessment',
+        'contact.form.sending': 'Sending...',
+        'contact.rateLimited': {
+            one: 'Please wait {count} second before submitting another form',
+            other: 'Please wait {count} seconds before submitting another form'
+        },
+        'contact.fixErrors': 'Please fix the errors in the form before submitting',
+        'contact.sent': 'Thank you! We have received your inquiry (reference {id}) and will contact you within 24 hours.',
+        'contact.queued': 'You seem to be offline. Your inquiry is queued and will be sent automatically when you are connected.',
+        'contact.queueStatus': {
+            one: '{count} inquiry is queued and will be sent when you are connected.',
+            other: '{count} inquiries are queued and will be sent when you are connected.'
+        },
+        'contact.queuedSent': 'Your queued inquiry has been sent (reference {id}). We will contact you within 24 hours.',
+        'contact.queuedFailed': 'A queued inquiry could not be delivered. Please send it again or contact us directly.',
+        'contact.sessionExpired': 'Your session has expired. Please refresh the page and try again.',
+        'contact.sendFailed': 'Sorry, there was an error sending your message. Please try again or contact us directly.',
+
+        // Validation
+        'validation.required': 'This field is required',
+        'validation.number': 'Please enter a number',
+        'validation.integer': 'Please enter a whole number',
+        'validation.range': 'Please enter a value between {min} and {max}',
+        'validation.min': 'Please enter a value of at least {min}',
+        'validation.max': 'Please enter a value no greater than {max}',
+        'validation.minLength': 'Please enter at least {minLength} characters',
+        'validation.maxLength': 'Please keep this under {maxLength} characters',
+        'validation.pattern': 'Please enter a valid value',
+        'validation.oneOf': 'Please select an option',
+        'validation.name': 'Please enter a valid name (2-50 characters)',
+        'validation.email': 'Please enter a valid email address',
+        'validation.phone': 'Please enter a valid phone number for {country}, e.g. {example}',
+        'validation.phoneCountry': 'Please select a country from the list',
+        'validation.message': 'Please keep your message under {maxLength} characters',
+        'validation.slot': 'Please choose an available date and time',
+        'validation.slotTaken': 'This safari has just filled up. Please choose another date or time.',
+        'validation.guests': 'Please enter between 1 and {max} guests',
+        'validation.seatsLeft': {
+            one: 'Only {count} seat is left on this safari',
+            other: 'Only {count} seats are left on this safari'
+        },
+        'validation.vehicleClass': 'Please select a vehicle from the list',
+        'validation.company': 'Please keep the company name under {maxLength} characters',
+        'validation.notes': 'Please keep your notes under {maxLength} characters',
+        'validation.option': 'Please select a valid option',
+        'validation.vehicleType': 'Please select a vehicle type',
+
+        // Calculator
+        'calculator.tariffsUnavailable': 'Current tariffs could not be loaded. Please refresh the page or contact us for a quote.',
+        'calculator.rateLimited': {
+            one: 'Please wait {count} second before making more calculations',
+            other: 'Please wait {count} seconds before making more calculations'
+        },
+        'calculator.failed': 'An error occurred during calculation',
+        'calculator.fleetTooLarge': 'Online quotes cover up to {max} vehicles. Please contact us for a larger fleet.',
+        'calculator.estimatedSpend': 'Estimated spend: {amount} per vehicle / month',
+        'calculator.exchangeRate': '1 {currency} = {rate}, at the rates of {date}. Amounts you type are in {currency}.',
+        'calculator.exchangeRatesUnavailable': 'Exchange rates could not be loaded, so figures are shown in KES.',
+        'calculator.convertedFigures': 'Converted from {currency} at the rates of {date}.',
+        'calculator.heading': 'Savings Calculator',
+        'calculator.subtitle': 'See how much your fleet could save by switching from diesel to premium electric',
+        'calculator.currency': 'Currency',
+        'calculator.fleet': 'Your fleet',
+        'calculator.dieselCost': 'Diesel cost',
+        'calculator.dieselMode.spend': 'I know my diesel spend',
+        'calculator.dieselMode.estimate': 'Estimate it for me',
+        'calculator.pumpPrice': 'Current pump price ({currency} per litre)',
+        'calculator.addFleetRow': 'Add Vehicle Type',
+        'calculator.ppaModel': 'PPA model for this quote',
+        'calculator.projection': 'Multi-year projection',
+        'calculator.projectionYears': 'Contract length (years)',
+        'calculator.dieselEscalation': 'Diesel price increase per year (%)',
+        'calculator.tariffEscalation': 'PPA tariff increase per year (%)',
+        'calculator.maintenanceSaving': 'Diesel maintenance avoided per vehicle per month ({currency})',
+        'calculator.discountRate': 'Discount rate (%)',
+        'calculator.row.vehicleClass': 'Vehicle type',
+        'calculator.row.vehicleCount': 'Vehicles',
+        'calculator.row.monthlyKm': 'Km per vehicle / month',
+        'calculator.row.currentDiesel': 'Diesel spend per vehicle / month ({currency})',
+        'calculator.row.litresPer100km': 'Fuel use (litres / 100 km)',
+        'calculator.row.model': 'PPA model',
+        'calculator.row.sameModel': 'Same as quote',
+        'calculator.row.remove': 'Remove',
+        'calculator.row.removeLabel': 'Remove this vehicle type',
+        'calculator.modelUnavailable': '{model} is not available for {vehicle} - please choose another model',
+        'calculator.result.currentCost': 'Current monthly diesel cost',
+        'calculator.result.newCost': 'Monthly cost with Elyra',
+        'calculator.result.savings': 'Monthly savings',
+        'calculator.result.savingsPercent': 'Savings vs diesel',
+        'calculator.result.annualSavings': 'Annual savings',
+        'calculator.result.npv': 'Net present value of savings',
+        'calculator.result.projectionTotal': {
+            one: 'Cumulative savings over {count} year',
+            other: 'Cumulative savings over {count} years'
+        },
+        'calculator.result.breakeven': 'Breakeven',
+        'calculator.result.co2Avoided': 'CO2 avoided per year',
+        'calculator.result.co2Diesel': 'Current diesel emissions per year',
+        'calculator.result.co2Electric': 'EV charging emissions per year',
+        'calculator.result.trees': 'Same as the yearly CO2 uptake of',
+        'calculator.result.flights': 'Or the emissions of',
+        'calculator.fleetTable': 'Monthly savings by vehicle type',
+        'calculator.projectionTable': 'Year-by-year cost comparison',
+        'calculator.column.vehicles': 'Vehicles',
+        'calculator.column.model': 'Model',
+        'calculator.column.year': 'Year',
+        'calculator.column.diesel': 'Diesel',
+        'calculator.column.elyra': 'Elyra',
+        'calculator.column.savings': 'Savings',
+        'calculator.column.cumulative': 'Cumulative',
+        'calculator.fleetRow': '{count} x {vehicle}',
+        'calculator.year': 'Year {year}',
+        'calculator.tco': 'Total cost of ownership',
+        'calculator.breakevenMonth': 'Month {month}',
+        'calculator.breakevenNone': 'Not within the term',
+        'calculator.sustainability': 'Sustainability summary',
+        'calculator.co2Avoided': '{amount} ({percent} less)',
+        'calculator.tonnes': '{amount} t CO2',
+        'calculator.trees': {
+            one: '{count} tree',
+            other: '{count} trees'
+        },
+        'calculator.flights': {
+            one: '{count} flight',
+            other: '{count} flights'
+        },
+        'calculator.flightBasis': 'one-way Nairobi to London economy seat',
+        'calculator.emissionsNote': 'Based on {litres} litres of diesel and {kwh} kWh of charging a year. Factors: {dieselFactor} kg CO2 per litre of diesel, {gridFactor} kg CO2 per kWh of grid electricity, {treeFactor} kg CO2 per tree per year, {flightFactor} kg CO2 per {flight}.',
+        'calculator.figuresIn': 'All figures in {currency}.',
+        'calculator.tariffs': {
+            one: '{models} tariff {version}.',
+            other: '{models} tariffs {version}.'
+        },
+        'calculator.volumeDiscount': 'Includes a {percent} volume discount.',
+        'calculator.volumeDiscounts': 'Includes volume discounts.',
+        'calculator.estimatesOnly': 'Estimates only; your proposal will be based on a full fleet assessment.',
+        'calculator.proposalCta': 'Get Your Custom Proposal',
+        'calculator.shareQuote': 'Copy Link to This Quote',
+        'calculator.linkCopied': 'Link copied - send it to your client to open this quote.',
+        'calculator.exportProposal': 'Export Proposal',
+        'calculator.exportCsv': 'Download CSV',
+        'calculator.exportJson': 'Download JSON',
+
+        // Saved scenarios
+        'scenarios.heading': 'Saved scenarios',
+        'scenarios.hint': 'Save this quote to compare options side by side, e.g. "Expand to 8 vehicles, exchange".',
+        'scenarios.name': 'Scenario name',
+        'scenarios.save': 'Save Scenario',
+        'scenarios.empty': 'No saved scenarios yet.',
+        'scenarios.compare': 'Compare Selected ({count})',
+        'scenarios.summary': {
+            one: '{count} vehicle, {models}: {amount} / year',
+            other: '{count} vehicles, {models}: {amount} / year'
+        },
+        'scenarios.load': 'Load',
+        'scenarios.delete': 'Delete',
+        'scenarios.fixFields': 'Fix the highlighted calculator fields before saving.',
+        'scenarios.nameNeeded': 'Give this scenario a name, e.g. "Current fleet, lease".',
+        'scenarios.nameRequired': 'A scenario needs a name',
+        'scenarios.limit': 'You can save up to {max} scenarios. Delete one to save another.',
+        'scenarios.saved': 'Saved "{name}".',
+        'scenarios.deleted': 'Deleted "{name}".',
+        'scenarios.saveFailed': 'This browser could not save the scenario. Check that site storage is enabled.',
+        'scenarios.updateFailed': 'This browser could not update saved scenarios.',
+        'scenarios.differences': 'Differences are against "{name}". The best figure in each row is highlighted.',
+        'scenarios.comparison': 'Scenario comparison',
+        'scenarios.metric': 'Metric',
+        'scenarios.metric.vehicleCount': 'Vehicles',
+        'scenarios.metric.models': 'PPA models',
+        'scenarios.metric.currentMonthlyCost': 'Diesel cost / month',
+        'scenarios.metric.newMonthlyCost': 'Elyra cost / month',
+        'scenarios.metric.monthlySavings': 'Savings / month',
+        'scenarios.metric.annualSavings': 'Savings / year',
+        'scenarios.metric.npv': 'NPV of savings',
+        'scenarios.metric.breakevenMonth': 'Breakeven',
+        'scenarios.metric.co2AvoidedKg': 'CO2 avoided / year',
+
+        // Proposal
+        'proposal.title': 'Savings Proposal',
+        'proposal.reference': 'Reference',
+        'proposal.date': 'Date',
+        'proposal.summaryHeading': 'Summary',
+        'proposal.summary': {
+            one: 'For a fleet of {count} vehicle, switching to premium electric saves an estimated {monthly} per month and {annual} per year.',
+            other: 'For a fleet of {count} vehicles, switching to premium electric saves an estimated {monthly} per month and {annual} per year.'
+        },
+        'proposal.npv': {
+            one: 'Over {count} year the net present value of savings is {npv}.',
+            other: 'Over {count} years the net present value of savings is {npv}.'
+        },
+        'proposal.fleet': 'Your fleet',
+        'proposal.column.distance': 'Distance / vehicle / month',
+        'proposal.column.diesel': 'Diesel / vehicle / month',
+        'proposal.column.elyra': 'Elyra / month',
+        'proposal.column.savings': 'Savings / month',
+        'proposal.total': 'Total',
+        'proposal.distance': '{distance} km',
+        'proposal.sustainability': 'Sustainability',
+        'proposal.co2': {
+            one: 'Switching avoids an estimated {tonnes} tonnes of CO2 per year, the yearly uptake of {count} tree.',
+            other: 'Switching avoids an estimated {tonnes} tonnes of CO2 per year, the yearly uptake of {count} trees.'
+        },
+        'proposal.assumptions': 'Tariff and assumptions',
+        'proposal.tariff': '{model}: {fee} per vehicle per month',
+        'proposal.tariffPerKm': '{model}: {fee} per vehicle per month + {rate} per km',
+        'proposal.schedule': 'Tariff schedule {version}, including any volume discount for your fleet size',
+        'proposal.exchangeRate': 'Amounts converted from KES at 1 {currency} = {rate}, the rates of {date}',
+        'proposal.dieselEstimated': 'Diesel cost estimated from fuel use at {price} per litre',
+        'proposal.dieselProvided': 'Diesel cost as provided by the client',
+        'proposal.escalation': 'Diesel prices rise {diesel} and tariffs {tariff} per year',
+        'proposal.maintenance': 'Diesel maintenance avoided: {amount} per vehicle per month',
+        'proposal.discountRate': 'Discount rate: {rate}',
+        'proposal.disclaimer': 'This proposal is an estimate based on the figures above. Final pricing follows a full fleet assessment.',
+
+        // Solutions page
+        'solutions.heading': 'Premium Electric Solutions',
+        'solutions.subtitle': 'Everything your fleet needs to go electric without compromising on guest comfort',
+        'solutions.conversions.title': 'Electric Conversions',
+        'solutions.conversions.text': 'We convert your existing Land Cruisers, vans and minibuses to full electric drive, keeping the chassis your drivers already know.',
+        'solutions.conversions.point1': 'Silent game drives that don\'t disturb wildlife',
+        'solutions.conversions.point2': 'Instant torque for rough terrain',
+        'solutions.conversions.point3': 'Certified conversion and inspection',
+        'solutions.seating.title': 'Premium Seating',
+        'solutions.seating.text': 'Every conversion includes our luxury seating package, designed for long days on safari.',
+        'solutions.seating.point1': 'Ergonomic leather seats with extra legroom',
+        'solutions.seating.point2': 'USB charging at every seat',
+        'solutions.seating.point3': 'Pop-up roofs and wide viewing windows',
+        'solutions.charging.title': 'Charging Infrastructure',
+        'solutions.charging.text': 'We install and maintain charging at your lodge or depot, with solar options for off-grid camps.',
+        'solutions.charging.point1': 'On-site AC and DC fast charging',
+        'solutions.charging.point2': 'Solar and battery storage for remote lodges',
+        'solutions.charging.point3': 'Battery exchange stations on key routes',
+        'solutions.management.title': 'Fleet Management',
+        'solutions.management.text': 'Maintenance, monitoring and driver training are included, so your team can focus on your guests.',
+        'solutions.management.point1': 'Scheduled maintenance and 24/7 roadside support',
+        'solutions.management.point2': 'Range and battery health reporting',
+        'solutions.management.point3': 'Driver training for efficient EV operation',
+        'solutions.compare': 'Compare PPA Models',
+        'solutions.talk': 'Talk to Our Team',
+
+        // PPA models page
+        'models.heading': 'Power Purchase Agreement Models',
+        'models.subtitle': 'Zero upfront cost. Choose the model that fits how your fleet operates.',
+        'models.perVehicle': 'per vehicle / month',
+        'models.perVehiclePerKm': 'per vehicle / month + {amount} per km',
+        'models.volumeDiscount': 'Up to {percent} off for fleets of {count}+',
+        'models.exchange.description': 'Swap depleted batteries for charged ones at our exchange stations. Ideal for high-mileage routes.',
+        'models.exchange.feature1': 'Unlimited battery swaps',
+        'models.exchange.feature2': 'No charging downtime',
+        'models.exchange.feature3': 'Maintenance included',
+        'models.traditional.description': 'A lower fixed fee with pay-per-kilometre energy. Best for fleets with seasonal or variable mileage.',
+        'models.traditional.feature1': 'Pay only for the distance you drive',
+        'models.traditional.feature2': 'On-site charging installed',
+        'models.traditional.feature3': 'Maintenance included',
+        'models.lease.description': 'An all-inclusive lease covering vehicle, energy, insurance and servicing in one predictable payment.',
+        'models.lease.feature1': 'Vehicle, energy and insurance bundled',
+        'models.lease.feature2': 'Replacement vehicle guarantee',
+        'models.lease.feature3': 'Fleet upgrades at renewal',
+
+        // Demo safari booking
+        'booking.heading': 'Book a Demo Safari',
+        'booking.subtitle': 'Ride in a premium electric safari vehicle at one of our demo locations',
+        'booking.steps': 'Booking steps',
+        'booking.step.slot': 'Date & location',
+        'booking.step.guests': 'Guests',
+        'booking.step.details': 'Your details',
+        'booking.step.review': 'Review',
+        'booking.slotLegend': 'Choose a location and date',
+        'booking.location': 'Location',
+        'booking.date': 'Date',
+        'booking.time': 'Time',
+        'booking.guestsLegend': 'Guests and vehicle',
+        'booking.guests': 'Number of guests',
+        'booking.vehicle': 'Vehicle you would like to try',
+        'booking.noPreference': 'No preference',
+        'booking.detailsLegend': 'Your details',
+        'booking.name': 'Your name',
+        'booking.email': 'Email',
+        'booking.phone': 'Phone',
+        'booking.company': 'Company (optional)',
+        'booking.notes': 'Anything we should know? (optional)',
+        'booking.reviewLegend': 'Review and confirm',
+        'booking.back': 'Back',
+        'booking.continue': 'Continue',
+        'booking.confirm': 'Confirm Booking',
+        'booking.sending': 'Booking...',
+        'booking.confirmed': 'Your demo safari is booked',
+        'booking.reference': 'Booking reference:',
+        'booking.addToCalendar': 'Add to Calendar (.ics)',
+        'booking.another': 'Book Another Safari',
+        'booking.loadFailed': 'Demo safari dates could not be loaded. Please refresh the page or contact us to book.',
+        'booking.fullyBooked': '{location} (fully booked)',
+        'booking.noDates': 'No dates available',
+        'booking.noTimes': 'No times are available for this date.',
+        'booking.slot': {
+            one: '{start} - {end} ({count} seat left)',
+            other: '{start} - {end} ({count} seats left)'
+        },
+        'booking.guestLimit': {
+            one: 'One seat is available on this safari.',
+            other: 'Up to {count} guests on this safari.'
+        },
+        'booking.review.meetingPoint': 'Meeting point',
+        'booking.review.time': '{start} - {end} (East Africa Time)',
+        'booking.review.guests': 'Guests',
+        'booking.review.vehicle': 'Vehicle',
+        'booking.review.name': 'Name',
+        'booking.review.company': 'Company',
+        'booking.review.notes': 'Notes',
+        'booking.slotFull': 'This safari is now fully booked. Please choose another time.',
+        'booking.rateLimited': 'Too many bookings have been made from this connection. Please try again in a few minutes or contact us directly.',
+        'booking.failed': 'Sorry, your booking could not be sent. Please try again or contact us directly.',
+        'booking.confirmation': 'See you at {meetingPoint} on {date} at {time}. Please arrive 15 minutes early.',
+        'booking.calendar.summary': 'Elyra demo safari - {location}',
+        'booking.calendar.reference': 'Booking reference: {id}',
+        'booking.calendar.guests': 'Guests: {count}',
+        'booking.calendar.vehicle': 'Vehicle: {vehicle}',
+        'booking.calendar.arrive': 'Please arrive 15 minutes early.',
+        'booking.calendar.questions': 'Questions? Call {phone} or email {email}',
+        'booking.calendar.reminder': 'Elyra demo safari tomorrow',
+        'analytics.heading': 'Analytics report',
+        'analytics.subtitle': "Open the events-YYYY-MM-DD.ndjson files from the server's data/events folder. They are read in this browser only.",
+        'analytics.files': 'Event files',
+        'analytics.from': 'From',
+        'analytics.to': 'To',
+        'analytics.readFailed': 'The files could not be read. Please choose them again.',
+        'analytics.fileCount': {
+            one: '{count} file',
+            other: '{count} files'
+        },
+        'analytics.eventCount': {
+            one: '{count} event',
+            other: '{count} events'
+        },
+        'analytics.loaded': '{files}, {events}',
+        'analytics.skipped': {
+            one: '{status} ({count} unreadable line skipped)',
+            other: '{status} ({count} unreadable lines skipped)'
+        },
+        'analytics.noVisits': 'No visits in this date range.',
+        'analytics.visits': 'Visits',
+        'analytics.pageViews': 'Page views',
+        'analytics.calculatorCompletion': 'Calculator completion',
+        'analytics.day': '{day} (UTC)',
+        'analytics.range': '{from} to {to} (UTC)',
+        'analytics.funnel': 'Page funnel',
+        'analytics.funnelCaption': 'Visits reaching each page in order',
+        'analytics.page': 'Page',
+        'analytics.ofFirstStep': 'Of first step',
+        'analytics.ofPreviousStep': 'Of previous step',
+        'analytics.calculator': 'Calculator',
+        'analytics.calculatorSummary': {
+            one: '{completed} of {count} visit to the calculator settled on a quote ({rate}).',
+            other: '{completed} of {count} visits to the calculator settled on a quote ({rate}).'
+        },
+        'analytics.noQuotes': 'No quotes in this date range.',
+        'analytics.modelsCaption': "PPA model of each visit's last quote",
+        'analytics.model': 'PPA model',
+        'analytics.share': 'Share',
+        'analytics.forms': 'Form conversion',
+        'analytics.formsCaption': "Visits to each form's page that submitted it",
+        'analytics.form': 'Form',
+        'analytics.form.contactForm': 'Contact inquiry',
+        'analytics.form.bookingForm': 'Demo safari booking',
+        'analytics.pageVisits': 'Page visits',
+        'analytics.submitted': 'Tried to submit',
+        'analytics.sent': 'Sent',
+        'analytics.conversion': 'Conversion',
+        'analytics.loadTimes': 'Load times',
+        'analytics.noLoadTimes': 'No load times in this date range.',
+        'analytics.loadCount': {
+            one: 'From {count} page load.',
+            other: 'From {count} page loads.'
+        },
+        'analytics.percentile': '{percentile}th percentile',
+        'analytics.milliseconds': '{value} ms'
+    }
+};
+
+// Shared with the Node server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LocaleEnKE };
+}
@@ -0,0 +1,471 @@
+/**
+ * Swahili (Kenya) Messages
+ * Keys missing here fall back to the en-KE catalog.
+ */
+
+const LocaleSwKE = {
+    locale: 'sw-KE',
+    label: 'Kiswahili',
+    messages: {
+        // Navigation and page titles
+        'nav.home': 'Nyumbani',
+        'nav.solutions': 'Suluhisho',
+        'nav.models': 'Mifumo ya PPA',
+        'nav.calculator': 'Kikokotoo cha Akiba',
+        'nav.contact': 'Wasiliana Nasi',
+        'nav.cta': 'Kokotoa Akiba',
+        'nav.menu': 'Menyu',
+        'nav.language': 'Lugha',
+        'page.home.title': 'Magari ya Kifahari ya Umeme kwa Safari',
+        'page.solutions.title': 'Suluhisho',
+        'page.models.title': 'Mifumo ya PPA',
+        'page.calculator.title': 'Kikokotoo cha Akiba',
+        'page.contact.title': 'Wasiliana Nasi',
+        'page.booking.title': 'Weka Nafasi ya Safari ya Majaribio',
+        'page.analytics.title': 'Ripoti ya takwimu',
+        'page.error.title': 'Hitilafu imetokea',
+        'page.notFound.title': 'Ukurasa haukupatikana',
+
+        // Home page
+        'home.heading': 'Safari za Kifahari kwa Magari ya Umeme',
+        'home.intro': 'Viti vya Kifahari. Hewa Safi Bila Moshi. Safari Zisizosahaulika. Boresha magari yako kwa magari ya kifahari ya umeme kwa gharama ya awali ya {upfront}.',
+        'home.calculate': 'Kokotoa Akiba Yako',
+        'home.book': 'Weka Nafasi ya Safari ya Majaribio',
+        'home.stat.savings': 'Akiba Ukilinganisha na Dizeli',
+        'home.stat.upfront': 'Uwekezaji wa Awali',
+        'home.stat.premium': 'Kifahari',
+        'home.stat.seating': 'Viti vya Kifahari',
+
+        // Error pages
+        'error.heading': 'Hitilafu imetokea',
+        'error.text': 'Hatukuweza kupakia ukurasa huu. Tafadhali jaribu tena, au wasiliana nasi moja kwa moja kupitia {phone}.',
+        'error.home': 'Rudi Nyumbani',
+        'error.contact': 'Wasiliana Nasi',
+        'notFound.heading': 'Ukurasa haukupatikana',
+        'notFound.text': 'Hatukuweza kupata ukurasa huu. Huenda umehamishwa, au kiungo si sahihi.',
+        'notFound.textNamed': 'Hatukuweza kupata ukurasa "{page}". Huenda umehamishwa, au kiungo si sahihi.',
+        'notFound.calculate': 'Kokotoa Akiba',
+
+        // Footer and privacy choices
+        'footer.rights': 'Haki zote zimehifadhiwa.',
+        'footer.privacySettings': 'Mipangilio ya faragha',
+        'consent.title': 'Chaguo zako za faragha',
+        'consent.text': 'Tunatumia hifadhi muhimu kabisa kuendesha tovuti hii. Ukiruhusu, pia tunakusanya takwimu za matumizi zisizokutambulisha kwenye seva zetu wenyewe; hatuzishiriki kamwe na wahusika wengine. Unaweza kubadilisha uamuzi wako wakati wowote kupitia "Mipangilio ya faragha" chini ya kila ukurasa.',
+        'consent.signal': 'Kivinjari chako kimeomba tovuti zisikufuatilie (Do Not Track au Global Privacy Control), kwa hivyo takwimu zinabaki zimezimwa.',
+        'consent.categories': 'Matumizi ya data',
+        'consent.necessary': 'Muhimu kabisa',
+        'consent.necessaryText': 'Zinahitajika ili tovuti ifanye kazi: lugha yako, chaguo hizi, usalama wa fomu na hali za kikokotoo ulizohifadhi. Huwashwa kila wakati.',
+        'consent.analytics': 'Takwimu',
+        'consent.analyticsText': 'Takwimu za matumizi zisizokutambulisha (kurasa zilizotazamwa, vitufe vilivyotumika, muda wa kupakia), na aina ya kivinjari chako inayotumwa pamoja na ombi.',
+        'consent.acceptAll': 'Kubali zote',
+        'consent.rejectAll': 'Muhimu pekee',
+        'consent.customise': 'Chagua',
+        'consent.save': 'Hifadhi chaguo',
+
+        // Contact page
+        'contact.heading': 'Anza Safari Yako ya Kifahari ya Umeme',
+        'contact.subtitle': 'Pata tathmini ya bure ya magari yako na pendekezo maalum la kifahari',
+        'contact.info': 'Maelezo ya Mawasiliano',
+        'contact.phone': 'Simu:',
+        'contact.email': 'Barua pepe:',
+        'contact.location': 'Mahali:',
+        'contact.locationValue': 'Nairobi, Kenya',
+        'contact.hours': 'Saa za Kazi:',
+        'contact.hoursValue': 'Jumatatu-Ijumaa 8:00-17:00',
+        'contact.form.name': 'Jina Lako',
+        'contact.form.email': 'Barua Pepe Yako',
+        'contact.form.phoneCountry': 'Nchi ya Simu',
+        'contact.form.phone': 'Nambari Yako ya Simu',
+        'contact.form.phoneExample': '{label}, mfano {example}',
+        'phone.example': 'mfano {example}',
+        'contact.form.businessType': 'Aina ya Biashara',
+        'contact.form.businessTypePlaceholder': 'Chagua Aina ya Biashara',
+        'contact.form.businessType.safari-lodge': 'Loji ya Safari',
+        'contact.form.businessType.tour-operator': 'Kampuni ya Utalii',
+        'contact.form.businessType.corporate': 'Usafiri wa Kampuni',
+        'contact.form.businessType.luxury-travel': 'Kampuni ya Usafiri wa Kifahari',
+        'contact.form.businessType.other': 'Nyingine',
+        'contact.form.vehicleCount': 'Idadi ya Magari',
+        'contact.form.vehicleCount.1-3': 'Magari 1-3',
+        'contact.form.vehicleCount.4-6': 'Magari 4-6',
+        'contact.form.vehicleCount.7-10': 'Magari 7-10',
+        'contact.form.vehicleCount.10+': 'Magari 10+',
+        'contact.form.message': 'Ujumbe Wako',
+        'contact.form.messagePlaceholder': 'Tueleze kuhusu mahitaji yako ya usafiri wa kifahari...',
+        'contact.form.submit': 'Pata Tathmini ya Bure',
+        'contact.form.sending': 'Inatuma...',
+        'contact.rateLimited': 'Tafadhali subiri sekunde {count} kabla ya kutuma fomu nyingine',
+        'contact.fixErrors': 'Tafadhali rekebisha makosa kwenye fomu kabla ya kutuma',
+        'contact.sent': 'Asante! Tumepokea ombi lako (kumbukumbu {id}) na tutawasiliana nawe ndani ya saa 24.',
+        'contact.queued': 'Inaonekana huna mtandao. Ombi lako limehifadhiwa na litatumwa kiotomatiki utakapounganishwa.',
+        'contact.queueStatus': {
+            one: 'Ombi {count} linasubiri na litatumwa utakapounganishwa.',
+            other: 'Maombi {count} yanasubiri na yatatumwa utakapounganishwa.'
+        },
+        'contact.queuedSent': 'Ombi lako lililokuwa likisubiri limetumwa (kumbukumbu {id}). Tutawasiliana nawe ndani ya saa 24.',
+        'contact.queuedFailed': 'Ombi lililokuwa likisubiri halikuweza kuwasilishwa. Tafadhali litume tena au wasiliana nasi moja kwa moja.',
+        'contact.sessionExpired': 'Muda wa kipindi chako umeisha. Tafadhali pakia upya ukurasa na ujaribu tena.',
+        'contact.sendFailed': 'Samahani, kulikuwa na hitilafu wakati wa kutuma ujumbe wako. Tafadhali jaribu tena au wasiliana nasi moja kwa moja.',
+
+        // Validation
+        'validation.required': 'Sehemu hii inahitajika',
+        'validation.number': 'Tafadhali weka nambari',
+        'validation.integer': 'Tafadhali weka nambari kamili',
+        'validation.range': 'Tafadhali weka thamani kati ya {min} na {max}',
+        'validation.min': 'Tafadhali weka thamani ya angalau {min}',
+        'validation.max': 'Tafadhali weka thamani isiyozidi {max}',
+        'validation.minLength': 'Tafadhali weka angalau herufi {minLength}',
+        'validation.maxLength': 'Tafadhali usizidi herufi {maxLength}',
+        'validation.pattern': 'Tafadhali weka thamani sahihi',
+        'validation.oneOf': 'Tafadhali chagua chaguo',
+        'validation.name': 'Tafadhali weka jina sahihi (herufi 2-50)',
+        'validation.email': 'Tafadhali weka anwani sahihi ya barua pepe',
+        'validation.phone': 'Tafadhali weka nambari sahihi ya simu ya {country}, mfano {example}',
+        'validation.phoneCountry': 'Tafadhali chagua nchi kutoka kwenye orodha',
+        'validation.message': 'Tafadhali ujumbe wako usizidi herufi {maxLength}',
+        'validation.slot': 'Tafadhali chagua tarehe na saa zilizopo',
+        'validation.slotTaken': 'Safari hii imejaa sasa hivi. Tafadhali chagua tarehe au saa nyingine.',
+        'validation.guests': 'Tafadhali weka idadi ya wageni kati ya 1 na {max}',
+        'validation.seatsLeft': {
+            one: 'Imebaki nafasi {count} tu kwenye safari hii',
+            other: 'Zimebaki nafasi {count} tu kwenye safari hii'
+        },
+        'validation.vehicleClass': 'Tafadhali chagua gari kutoka kwenye orodha',
+        'validation.company': 'Tafadhali jina la kampuni lisizidi herufi {maxLength}',
+        'validation.notes': 'Tafadhali maelezo yako yasizidi herufi {maxLength}',
+        'validation.option': 'Tafadhali chagua chaguo sahihi',
+        'validation.vehicleType': 'Tafadhali chagua aina ya gari',
+
+        // Calculator
+        'calculator.tariffsUnavailable': 'Bei za sasa hazikuweza kupakiwa. Tafadhali pakia upya ukurasa au wasiliana nasi kwa makadirio ya bei.',
+        'calculator.rateLimited': 'Tafadhali subiri sekunde {count} kabla ya kufanya hesabu zaidi',
+        'calculator.failed': 'Hitilafu imetokea wakati wa kukokotoa',
+        'calculator.fleetTooLarge': 'Makadirio ya mtandaoni yanahusu hadi magari {max}. Tafadhali wasiliana nasi kwa idadi kubwa zaidi ya magari.',
+        'calculator.estimatedSpend': 'Matumizi yanayokadiriwa: {amount} kwa kila gari / mwezi',
+        'calculator.exchangeRate': '1 {currency} = {rate}, kwa viwango vya {date}. Kiasi unachoandika ni kwa {currency}.',
+        'calculator.exchangeRatesUnavailable': 'Viwango vya kubadilisha fedha havikuweza kupakiwa, kwa hivyo takwimu zinaonyeshwa kwa KES.',
+        'calculator.convertedFigures': 'Zimebadilishwa kutoka {currency} kwa viwango vya {date}.',
+        'calculator.heading': 'Kikokotoo cha Akiba',
+        'calculator.subtitle': 'Angalia kiasi ambacho magari yako yangeokoa kwa kuhama kutoka dizeli hadi umeme wa kifahari',
+        'calculator.currency': 'Sarafu',
+        'calculator.fleet': 'Magari yako',
+        'calculator.dieselCost': 'Gharama ya dizeli',
+        'calculator.dieselMode.spend': 'Ninajua matumizi yangu ya dizeli',
+        'calculator.dieselMode.estimate': 'Nikadirie',
+        'calculator.pumpPrice': 'Bei ya sasa ya dizeli kituoni ({currency} kwa lita)',
+        'calculator.addFleetRow': 'Ongeza Aina ya Gari',
+        'calculator.ppaModel': 'Mfumo wa PPA kwa makadirio haya',
+        'calculator.projection': 'Makadirio ya miaka kadhaa',
+        'calculator.projectionYears': 'Muda wa mkataba (miaka)',
+        'calculator.dieselEscalation': 'Ongezeko la bei ya dizeli kwa mwaka (%)',
+        'calculator.tariffEscalation': 'Ongezeko la bei ya PPA kwa mwaka (%)',
+        'calculator.maintenanceSaving': 'Gharama ya matengenezo ya dizeli inayoepukwa kwa kila gari kwa mwezi ({currency})',
+        'calculator.discountRate': 'Kiwango cha punguzo (%)',
+        'calculator.row.vehicleClass': 'Aina ya gari',
+        'calculator.row.vehicleCount': 'Magari',
+        'calculator.row.monthlyKm': 'Km kwa kila gari / mwezi',
+        'calculator.row.currentDiesel': 'Matumizi ya dizeli kwa kila gari / mwezi ({currency})',
+        'calculator.row.litresPer100km': 'Matumizi ya mafuta (lita / km 100)',
+        'calculator.row.model': 'Mfumo wa PPA',
+        'calculator.row.sameModel': 'Sawa na makadirio',
+        'calculator.row.remove': 'Ondoa',
+        'calculator.row.removeLabel': 'Ondoa aina hii ya gari',
+        'calculator.modelUnavailable': '{model} haupatikani kwa {vehicle} - tafadhali chagua mfumo mwingine',
+        'calculator.result.currentCost': 'Gharama ya sasa ya dizeli kwa mwezi',
+        'calculator.result.newCost': 'Gharama ya kila mwezi ukiwa na Elyra',
+        'calculator.result.savings': 'Akiba ya kila mwezi',
+        'calculator.result.savingsPercent': 'Akiba ukilinganisha na dizeli',
+        'calculator.result.annualSavings': 'Akiba ya kila mwaka',
+        'calculator.result.npv': 'Thamani halisi ya sasa ya akiba',
+        'calculator.result.projectionTotal': {
+            one: 'Jumla ya akiba katika mwaka {count}',
+            other: 'Jumla ya akiba katika miaka {count}'
+        },
+        'calculator.result.breakeven': 'Kurudisha gharama',
+        'calculator.result.co2Avoided': 'CO2 inayoepukwa kwa mwaka',
+        'calculator.result.co2Diesel': 'Uzalishaji wa sasa wa dizeli kwa mwaka',
+        'calculator.result.co2Electric': 'Uzalishaji wa kuchaji magari ya umeme kwa mwaka',
+        'calculator.result.trees': 'Sawa na CO2 inayofyonzwa kwa mwaka na',
+        'calculator.result.flights': 'Au uzalishaji wa',
+        'calculator.fleetTable': 'Akiba ya kila mwezi kwa aina ya gari',
+        'calculator.projectionTable': 'Ulinganisho wa gharama mwaka kwa mwaka',
+        'calculator.column.vehicles': 'Magari',
+        'calculator.column.model': 'Mfumo',
+        'calculator.column.year': 'Mwaka',
+        'calculator.column.diesel': 'Dizeli',
+        'calculator.column.elyra': 'Elyra',
+        'calculator.column.savings': 'Akiba',
+        'calculator.column.cumulative': 'Jumla',
+        'calculator.fleetRow': '{count} x {vehicle}',
+        'calculator.year': 'Mwaka {year}',
+        'calculator.tco': 'Jumla ya gharama za umiliki',
+        'calculator.breakevenMonth': 'Mwezi {month}',
+        'calculator.breakevenNone': 'Si ndani ya muda wa mkataba',
+        'calculator.sustainability': 'Muhtasari wa mazingira',
+        'calculator.co2Avoided': '{amount} (pungufu kwa {percent})',
+        'calculator.tonnes': 'tani {amount} za CO2',
+        'calculator.trees': {
+            one: 'mti {count}',
+            other: 'miti {count}'
+        },
+        'calculator.flights': {
+            one: 'safari {count} ya ndege',
+            other: 'safari {count} za ndege'
+        },
+        'calculator.flightBasis': 'kiti cha daraja la kawaida cha safari ya kwenda tu kutoka Nairobi hadi London',
+        'calculator.emissionsNote': 'Kulingana na lita {litres} za dizeli na kWh {kwh} za kuchaji kwa mwaka. Vigezo: kg {dieselFactor} za CO2 kwa kila lita ya dizeli, kg {gridFactor} za CO2 kwa kila kWh ya umeme wa gridi, kg {treeFactor} za CO2 kwa kila mti kwa mwaka, kg {flightFactor} za CO2 kwa {flight}.',
+        'calculator.figuresIn': 'Takwimu zote ni kwa {currency}.',
+        'calculator.tariffs': {
+            one: 'Bei ya {models}, toleo {version}.',
+            other: 'Bei za {models}, toleo {version}.'
+        },
+        'calculator.volumeDiscount': 'Inajumuisha punguzo la {percent} kwa idadi ya magari.',
+        'calculator.volumeDiscounts': 'Inajumuisha punguzo kwa idadi ya magari.',
+        'calculator.estimatesOnly': 'Haya ni makadirio tu; pendekezo lako litatokana na tathmini kamili ya magari yako.',
+        'calculator.proposalCta': 'Pata Pendekezo Lako Maalum',
+        'calculator.shareQuote': 'Nakili Kiungo cha Makadirio Haya',
+        'calculator.linkCopied': 'Kiungo kimenakiliwa - mtumie mteja wako ili afungue makadirio haya.',
+        'calculator.exportProposal': 'Hamisha Pendekezo',
+        'calculator.exportCsv': 'Pakua CSV',
+        'calculator.exportJson': 'Pakua JSON',
+
+        // Saved scenarios
+        'scenarios.heading': 'Hali zilizohifadhiwa',
+        'scenarios.hint': 'Hifadhi makadirio haya ili kulinganisha chaguo bega kwa bega, mfano "Ongeza hadi magari 8, kubadilisha betri".',
+        'scenarios.name': 'Jina la hali',
+        'scenarios.save': 'Hifadhi Hali',
+        'scenarios.empty': 'Bado hakuna hali zilizohifadhiwa.',
+        'scenarios.compare': 'Linganisha Zilizochaguliwa ({count})',
+        'scenarios.summary': {
+            one: 'Gari {count}, {models}: {amount} / mwaka',
+            other: 'Magari {count}, {models}: {amount} / mwaka'
+        },
+        'scenarios.load': 'Fungua',
+        'scenarios.delete': 'Futa',
+        'scenarios.fixFields': 'Rekebisha sehemu za kikokotoo zilizowekwa alama kabla ya kuhifadhi.',
+        'scenarios.nameNeeded': 'Ipe hali hii jina, mfano "Magari ya sasa, kukodisha".',
+        'scenarios.nameRequired': 'Hali inahitaji jina',
+        'scenarios.limit': 'Unaweza kuhifadhi hadi hali {max}. Futa moja ili kuhifadhi nyingine.',
+        'scenarios.saved': 'Imehifadhiwa "{name}".',
+        'scenarios.deleted': 'Imefutwa "{name}".',
+        'scenarios.saveFailed': 'Kivinjari hiki hakikuweza kuhifadhi hali hii. Hakikisha hifadhi ya tovuti imewashwa.',
+        'scenarios.updateFailed': 'Kivinjari hiki hakikuweza kusasisha hali zilizohifadhiwa.',
+        'scenarios.differences': 'Tofauti zinalinganishwa na "{name}". Takwimu bora katika kila safu zimeangaziwa.',
+        'scenarios.comparison': 'Ulinganisho wa hali',
+        'scenarios.metric': 'Kipimo',
+        'scenarios.metric.vehicleCount': 'Magari',
+        'scenarios.metric.models': 'Mifumo ya PPA',
+        'scenarios.metric.currentMonthlyCost': 'Gharama ya dizeli / mwezi',
+        'scenarios.metric.newMonthlyCost': 'Gharama ya Elyra / mwezi',
+        'scenarios.metric.monthlySavings': 'Akiba / mwezi',
+        'scenarios.metric.annualSavings': 'Akiba / mwaka',
+        'scenarios.metric.npv': 'Thamani halisi ya sasa ya akiba',
+        'scenarios.metric.breakevenMonth': 'Kurudisha gharama',
+        'scenarios.metric.co2AvoidedKg': 'CO2 inayoepukwa / mwaka',
+
+        // Proposal
+        'proposal.title': 'Pendekezo la Akiba',
+        'proposal.reference': 'Kumbukumbu',
+        'proposal.date': 'Tarehe',
+        'proposal.summaryHeading': 'Muhtasari',
+        'proposal.summary': {
+            one: 'Kwa gari {count}, kuhamia umeme wa kifahari kunaokoa takriban {monthly} kwa mwezi na {annual} kwa mwaka.',
+            other: 'Kwa magari {count}, kuhamia umeme wa kifahari kunaokoa takriban {monthly} kwa mwezi na {annual} kwa mwaka.'
+        },
+        'proposal.npv': {
+            one: 'Katika mwaka {count}, thamani halisi ya sasa ya akiba ni {npv}.',
+            other: 'Katika miaka {count}, thamani halisi ya sasa ya akiba ni {npv}.'
+        },
+        'proposal.fleet': 'Magari yako',
+        'proposal.column.distance': 'Umbali / gari / mwezi',
+        'proposal.column.diesel': 'Dizeli / gari / mwezi',
+        'proposal.column.elyra': 'Elyra / mwezi',
+        'proposal.column.savings': 'Akiba / mwezi',
+        'proposal.total': 'Jumla',
+        'proposal.distance': 'km {distance}',
+        'proposal.sustainability': 'Mazingira',
+        'proposal.co2': {
+            one: 'Kuhama kunaepusha takriban tani {tonnes} za CO2 kwa mwaka, kiasi kinachofyonzwa kwa mwaka na mti {count}.',
+            other: 'Kuhama kunaepusha takriban tani {tonnes} za CO2 kwa mwaka, kiasi kinachofyonzwa kwa mwaka na miti {count}.'
+        },
+        'proposal.assumptions': 'Bei na makisio',
+        'proposal.tariff': '{model}: {fee} kwa kila gari kwa mwezi',
+        'proposal.tariffPerKm': '{model}: {fee} kwa kila gari kwa mwezi + {rate} kwa km',
+        'proposal.schedule': 'Ratiba ya bei {version}, ikijumuisha punguzo lolote kwa idadi ya magari yako',
+        'proposal.exchangeRate': 'Kiasi kimebadilishwa kutoka KES kwa 1 {currency} = {rate}, viwango vya {date}',
+        'proposal.dieselEstimated': 'Gharama ya dizeli imekadiriwa kutokana na matumizi ya mafuta kwa {price} kwa lita',
+        'proposal.dieselProvided': 'Gharama ya dizeli kama ilivyotolewa na mteja',
+        'proposal.escalation': 'Bei za dizeli zinapanda kwa {diesel} na bei za PPA kwa {tariff} kila mwaka',
+        'proposal.maintenance': 'Matengenezo ya dizeli yanayoepukwa: {amount} kwa kila gari kwa mwezi',
+        'proposal.discountRate': 'Kiwango cha punguzo: {rate}',
+        'proposal.disclaimer': 'Pendekezo hili ni makadirio yanayotokana na takwimu zilizo hapo juu. Bei ya mwisho itafuata tathmini kamili ya magari yako.',
+
+        // Solutions page
+        'solutions.heading': 'Suluhisho za Kifahari za Umeme',
+        'solutions.subtitle': 'Kila kitu magari yako yanahitaji ili kuhamia umeme bila kupunguza starehe ya wageni',
+        'solutions.conversions.title': 'Kubadilisha Magari kuwa ya Umeme',
+        'solutions.conversions.text': 'Tunabadilisha Land Cruiser, vani na mabasi madogo yako yaliyopo kuwa ya umeme kikamilifu, tukibakiza fremu ambayo madereva wako tayari wanaijua.',
+        'solutions.conversions.point1': 'Safari za kutazama wanyama kimya bila kuwasumbua',
+        'solutions.conversions.point2': 'Nguvu ya papo hapo kwa barabara mbovu',
+        'solutions.conversions.point3': 'Ubadilishaji na ukaguzi ulioidhinishwa',
+        'solutions.seating.title': 'Viti vya Kifahari',
+        'solutions.seating.text': 'Kila ubadilishaji unajumuisha viti vyetu vya kifahari, vilivyoundwa kwa siku ndefu za safari.',
+        'solutions.seating.point1': 'Viti vya ngozi vyenye nafasi zaidi ya miguu',
+        'solutions.seating.point2': 'Kuchaji kwa USB katika kila kiti',
+        'solutions.seating.point3': 'Paa zinazofunguka na madirisha mapana ya kutazama',
+        'solutions.charging.title': 'Miundombinu ya Kuchaji',
+        'solutions.charging.text': 'Tunaweka na kutunza vituo vya kuchaji kwenye loji au depo yako, pamoja na chaguo za jua kwa kambi zisizo na umeme wa gridi.',
+        'solutions.charging.point1': 'Kuchaji kwa AC na DC ya haraka papo hapo',
+        'solutions.charging.point2': 'Umeme wa jua na hifadhi ya betri kwa loji za mbali',
+        'solutions.charging.point3': 'Vituo vya kubadilisha betri kwenye njia kuu',
+        'solutions.management.title': 'Usimamizi wa Magari',
+        'solutions.management.text': 'Matengenezo, ufuatiliaji na mafunzo ya madereva yanajumuishwa, ili timu yako ishughulikie wageni wako.',
+        'solutions.management.point1': 'Matengenezo yaliyopangwa na msaada wa barabarani saa 24/7',
+        'solutions.management.point2': 'Ripoti za umbali na afya ya betri',
+        'solutions.management.point3': 'Mafunzo ya madereva kwa uendeshaji bora wa magari ya umeme',
+        'solutions.compare': 'Linganisha Mifumo ya PPA',
+        'solutions.talk': 'Ongea na Timu Yetu',
+
+        // PPA models page
+        'models.heading': 'Mifumo ya Mikataba ya Ununuzi wa Nishati (PPA)',
+        'models.subtitle': 'Hakuna gharama ya awali. Chagua mfumo unaofaa jinsi magari yako yanavyofanya kazi.',
+        'models.perVehicle': 'kwa kila gari / mwezi',
+        'models.perVehiclePerKm': 'kwa kila gari / mwezi + {amount} kwa km',
+        'models.volumeDiscount': 'Punguzo hadi {percent} kwa magari {count} au zaidi',
+        'models.exchange.description': 'Badilisha betri zilizoisha kwa zilizojaa kwenye vituo vyetu vya kubadilisha. Inafaa kwa njia za umbali mrefu.',
+        'models.exchange.feature1': 'Kubadilisha betri bila kikomo',
+        'models.exchange.feature2': 'Hakuna muda wa kusubiri kuchaji',
+        'models.exchange.feature3': 'Matengenezo yamejumuishwa',
+        'models.traditional.description': 'Ada ndogo ya kudumu na nishati ya kulipia kwa kila kilomita. Bora kwa magari yenye umbali unaobadilika kwa msimu.',
+        'models.traditional.feature1': 'Lipia umbali unaoendesha tu',
+        'models.traditional.feature2': 'Kituo cha kuchaji kinawekwa kwako',
+        'models.traditional.feature3': 'Matengenezo yamejumuishwa',
+        'models.lease.description': 'Ukodishaji unaojumuisha kila kitu: gari, nishati, bima na huduma kwa malipo moja yanayotabirika.',
+        'models.lease.feature1': 'Gari, nishati na bima kwa pamoja',
+        'models.lease.feature2': 'Dhamana ya gari mbadala',
+        'models.lease.feature3': 'Kuboresha magari wakati wa kuhuisha mkataba',
+
+        // Demo safari booking
+        'booking.heading': 'Weka Nafasi ya Safari ya Majaribio',
+        'booking.subtitle': 'Panda gari la kifahari la umeme la safari katika mojawapo ya maeneo yetu ya majaribio',
+        'booking.steps': 'Hatua za kuweka nafasi',
+        'booking.step.slot': 'Tarehe na mahali',
+        'booking.step.guests': 'Wageni',
+        'booking.step.details': 'Maelezo yako',
+        'booking.step.review': 'Hakiki',
+        'booking.slotLegend': 'Chagua mahali na tarehe',
+        'booking.location': 'Mahali',
+        'booking.date': 'Tarehe',
+        'booking.time': 'Saa',
+        'booking.guestsLegend': 'Wageni na gari',
+        'booking.guests': 'Idadi ya wageni',
+        'booking.vehicle': 'Gari ungependa kujaribu',
+        'booking.noPreference': 'Lolote',
+        'booking.detailsLegend': 'Maelezo yako',
+        'booking.name': 'Jina lako',
+        'booking.email': 'Barua pepe',
+        'booking.phone': 'Simu',
+        'booking.company': 'Kampuni (si lazima)',
+        'booking.notes': 'Kuna chochote tunachopaswa kujua? (si lazima)',
+        'booking.reviewLegend': 'Hakiki na uthibitishe',
+        'booking.back': 'Rudi',
+        'booking.continue': 'Endelea',
+        'booking.confirm': 'Thibitisha Nafasi',
+        'booking.sending': 'Inaweka nafasi...',
+        'booking.confirmed': 'Nafasi yako ya safari ya majaribio imewekwa',
+        'booking.reference': 'Kumbukumbu ya nafasi:',
+        'booking.addToCalendar': 'Ongeza kwenye Kalenda (.ics)',
+        'booking.another': 'Weka Nafasi ya Safari Nyingine',
+        'booking.loadFailed': 'Tarehe za safari za majaribio hazikuweza kupakiwa. Tafadhali pakia upya ukurasa au wasiliana nasi ili kuweka nafasi.',
+        'booking.fullyBooked': '{location} (imejaa)',
+        'booking.noDates': 'Hakuna tarehe zilizopo',
+        'booking.noTimes': 'Hakuna saa zilizopo kwa tarehe hii.',
+        'booking.slot': {
+            one: '{start} - {end} (imebaki nafasi {count})',
+            other: '{start} - {end} (zimebaki nafasi {count})'
+        },
+        'booking.guestLimit': {
+            one: 'Nafasi moja inapatikana kwenye safari hii.',
+            other: 'Hadi wageni {count} kwenye safari hii.'
+        },
+        'booking.review.meetingPoint': 'Mahali pa kukutana',
+        'booking.review.time': '{start} - {end} (Saa za Afrika Mashariki)',
+        'booking.review.guests': 'Wageni',
+        'booking.review.vehicle': 'Gari',
+        'booking.review.name': 'Jina',
+        'booking.review.company': 'Kampuni',
+        'booking.review.notes': 'Maelezo',
+        'booking.slotFull': 'Safari hii sasa imejaa. Tafadhali chagua saa nyingine.',
+        'booking.rateLimited': 'Nafasi nyingi mno zimewekwa kutoka kwenye muunganisho huu. Tafadhali jaribu tena baada ya dakika chache au wasiliana nasi moja kwa moja.',
+        'booking.failed': 'Samahani, nafasi yako haikuweza kutumwa. Tafadhali jaribu tena au wasiliana nasi moja kwa moja.',
+        'booking.confirmation': 'Tutakutana {meetingPoint} tarehe {date} saa {time}. Tafadhali fika dakika 15 mapema.',
+        'booking.calendar.summary': 'Safari ya majaribio ya Elyra - {location}',
+        'booking.calendar.reference': 'Kumbukumbu ya nafasi: {id}',
+        'booking.calendar.guests': 'Wageni: {count}',
+        'booking.calendar.vehicle': 'Gari: {vehicle}',
+        'booking.calendar.arrive': 'Tafadhali fika dakika 15 mapema.',
+        'booking.calendar.questions': 'Maswali? Piga simu {phone} au tuma barua pepe kwa {email}',
+        'booking.calendar.reminder': 'Safari ya majaribio ya Elyra ni kesho',
+        'analytics.heading': 'Ripoti ya takwimu',
+        'analytics.subtitle': 'Fungua faili za events-YYYY-MM-DD.ndjson kutoka folda ya data/events ya seva. Zinasomwa kwenye kivinjari hiki pekee.',
+        'analytics.files': 'Faili za matukio',
+        'analytics.from': 'Kuanzia',
+        'analytics.to': 'Hadi',
+        'analytics.readFailed': 'Faili hazikuweza kusomwa. Tafadhali zichague tena.',
+        'analytics.fileCount': {
+            one: 'Faili {count}',
+            other: 'Faili {count}'
+        },
+        'analytics.eventCount': {
+            one: 'tukio {count}',
+            other: 'matukio {count}'
+        },
+        'analytics.loaded': '{files}, {events}',
+        'analytics.skipped': {
+            one: '{status} (mstari {count} usiosomeka umerukwa)',
+            other: '{status} (mistari {count} isiyosomeka imerukwa)'
+        },
+        'analytics.noVisits': 'Hakuna ziara katika kipindi hiki.',
+        'analytics.visits': 'Ziara',
+        'analytics.pageViews': 'Kurasa zilizotazamwa',
+        'analytics.calculatorCompletion': 'Kukamilisha kikokotoo',
+        'analytics.day': '{day} (UTC)',
+        'analytics.range': '{from} hadi {to} (UTC)',
+        'analytics.funnel': 'Mfuatano wa kurasa',
+        'analytics.funnelCaption': 'Ziara zilizofikia kila ukurasa kwa mpangilio',
+        'analytics.page': 'Ukurasa',
+        'analytics.ofFirstStep': 'Ya hatua ya kwanza',
+        'analytics.ofPreviousStep': 'Ya hatua iliyotangulia',
+        'analytics.calculator': 'Kikokotoo',
+        'analytics.calculatorSummary': {
+            one: '{completed} kati ya ziara {count} kwenye kikokotoo zilipata makadirio ({rate}).',
+            other: '{completed} kati ya ziara {count} kwenye kikokotoo zilipata makadirio ({rate}).'
+        },
+        'analytics.noQuotes': 'Hakuna makadirio katika kipindi hiki.',
+        'analytics.modelsCaption': 'Mfumo wa PPA wa makadirio ya mwisho ya kila ziara',
+        'analytics.model': 'Mfumo wa PPA',
+        'analytics.share': 'Sehemu',
+        'analytics.forms': 'Ukamilishaji wa fomu',
+        'analytics.formsCaption': 'Ziara kwenye ukurasa wa kila fomu zilizoituma',
+        'analytics.form': 'Fomu',
+        'analytics.form.contactForm': 'Ombi la mawasiliano',
+        'analytics.form.bookingForm': 'Nafasi ya safari ya majaribio',
+        'analytics.pageVisits': 'Ziara za ukurasa',
+        'analytics.submitted': 'Walijaribu kutuma',
+        'analytics.sent': 'Zilizotumwa',
+        'analytics.conversion': 'Kiwango cha ukamilishaji',
+        'analytics.loadTimes': 'Muda wa kupakia',
+        'analytics.noLoadTimes': 'Hakuna muda wa kupakia katika kipindi hiki.',
+        'analytics.loadCount': {
+            one: 'Kutoka upakiaji {count} wa ukurasa.',
+            other: 'Kutoka upakiaji {count} wa kurasa.'
+        },
+        'analytics.percentile': 'Asilimia ya {percentile}',
+        'analytics.milliseconds': '{value} ms'
+    }
+};
+
+// Shared with the Node server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LocaleSwKE };
+}
@@ -5,41 +5,161 @@
 
 class NavigationSystem {
     constructor() {
+        this.siteName = 'Elyra Premium Seaters';
         this.currentPage = 'home';
+        this.mountedPage = null;
+        this.navigationId = 0;
         this.pages = new Map();
+        this.registerDefaultPages();
         this.init();
     }
 
     init() {
-        this.loadNavigation();
         this.setupRouting();
+        this.loadNavigation();
+        this.loadFooter();
+        this.setupMobileMenu();
+        this.setupLanguageSwitcher();
         this.initializeAccessibility();
     }
 
+    // Page registry: the single source for routes, nav links, titles and page lifecycle
+    registerDefaultPages() {
+        [
+            {
+                id: 'home',
+                title: 'page.home.title',
+                navLabel: 'nav.home',
+                template: () => this.generateHomePage()
+            },
+            {
+                id: 'solutions',
+                title: 'page.solutions.title',
+                navLabel: 'nav.solutions',
+                template: () => this.generateSolutionsPage()
+            },
+            {
+                id: 'models',
+                title: 'page.models.title',
+                navLabel: 'nav.models',
+                template: () => this.generateModelsPage()
+            },
+            {
+                id: 'calculator',
+                title: 'page.calculator.title',
+                navLabel: 'nav.calculator',
+                template: () => this.generateCalculatorPage(),
+                mount: (route) => typeof Calculator !== 'undefined' ? new Calculator({ initialValues: route.query }) : null,
+                unmount: (calculator) => calculator.destroy()
+            },
+            {
+                id: 'contact',
+                title: 'page.contact.title',
+                navLabel: 'nav.contact',
+                template: () => this.generateContactPage(),
+                mount: () => typeof FormHandler !== 'undefined' ? new FormHandler() : null,
+                unmount: (formHandler) => formHandler.destroy()
+            },
+            {
+                id: 'booking',
+                title: 'page.booking.title',
+                template: () => this.generateBookingPage(),
+                mount: () => typeof BookingWizard !== 'undefined' ? new BookingWizard() : null,
+                unmount: (wizard) => wizard.destroy()
+            },
+            {
+                id: 'admin/analytics',
+                title: 'page.analytics.title',
+                internal: true,
+                template: () => this.generateAnalyticsDashboardPage(),
+                mount: () => typeof AnalyticsDashboard !== 'undefined' ? new AnalyticsDashboard() : null,
+                unmount: (dashboard) => dashboard.destroy()
+            }
+        ].forEach(page => this.registerPage(page));
+    }
+
+    /**
+     * Register a page.
+     * @param {Object} page
+     * @param {string} page.id - Route id, used in URLs and data-page attributes
+     * @param {string} page.title - Used for document.title; an i18n key or plain text
+     * @param {string} [page.navLabel] - Menu label, an i18n key or plain text; pages without one are routable but not listed
+     * @param {Function} page.template - Returns the page markup built with Template.html (may be async)
+     * @param {Function} [page.mount] - Called after render with { query }; its return value is passed to unmount
+     * @param {Function} [page.unmount] - Called before the page is replaced
+     * @param {boolean} [page.internal] - For staff only: left out of the menu and of analytics
+     */
+    registerPage(page) {
+        if (!page || !page.id || typeof page.template !== 'function') {
+            throw new Error('A page needs an id and a template function');
+        }
+
+        this.pages.set(page.id, {
+            title: page.id,
+            navLabel: null,
+            internal: false,
+            mount: null,
+            unmount: null,
+            ...page
+        });
+
+        // Pages registered after start-up still need to show in the menu
+        if (document.querySelector('.nav-links')) {
+            this.renderNavLinks();
+        }
+    }
+
     loadNavigation() {
-        const navHTML = `
+        const navHTML = Template.html`
             <div class="nav-brand">
                 <h2>Elyra<span>Premium</span>Seaters</h2>
             </div>
-            <button class="mobile-menu-btn" aria-expanded="false" aria-controls="nav-links">
+            <button class="mobile-menu-btn" aria-expanded="false" aria-controls="nav-links" aria-label="${I18n.t('nav.menu')}">
                 <span></span>
                 <span></span>
                 <span></span>
             </button>
-            <ul id="nav-links" class="nav-links" role="menubar">
-                <li role="none"><a href="#home" role="menuitem" data-page="home">Home</a></li>
-                <li role="none"><a href="#solutions" role="menuitem" data-page="solutions">Solutions</a></li>
-                <li role="none"><a href="#models" role="menuitem" data-page="models">PPA Models</a></li>
-                <li role="none"><a href="#calculator" role="menuitem" data-page="calculator">Savings Calculator</a></li>
-                <li role="none"><a href="#contact" role="menuitem" data-page="contact">Contact</a></li>
-            </ul>
+            <ul id="nav-links" class="nav-links" role="menubar"></ul>
+            <div class="nav-language">
+                <label for="languageSelect" class="sr-only">${I18n.t('nav.language')}</label>
+                <select id="languageSelect">
+                    ${I18n.getLocales().map(({ locale, label }) => Template.html`
+                        <option value="${locale}" lang="${locale}"${locale === I18n.getLocale() ? ' selected' : ''}>${label}</option>
+                    `)}
+                </select>
+            </div>
             <div class="nav-cta">
-                <button class="btn-primary" data-page="calculator">Calculate Savings</button>
+                <button class="btn-primary" data-page="calculator">${I18n.t('nav.cta')}</button>
             </div>
         `;
 
-        document.querySelector('.nav').innerHTML = navHTML;
-        this.setupMobileMenu();
+        // Patched, so a re-render in another language keeps focus on the language select
+        Template.render(document.querySelector('.nav'), navHTML, { patch: true });
+        this.renderNavLinks();
+    }
+
+    loadFooter() {
+        // The privacy settings link is handled by Consent, wherever it appears
+        const footerHTML = Template.html`
+            <div class="footer-content">
+                <p>&copy; ${new Date().getFullYear()} ${this.siteName}. ${I18n.t('footer.rights')}</p>
+                <button type="button" class="footer-link" data-consent-preferences>${I18n.t('footer.privacySettings')}</button>
+            </div>
+        `;
+
+        Template.render(document.querySelector('.footer'), footerHTML, { patch: true });
+    }
+
+    renderNavLinks() {
+        const navLinks = document.querySelector('.nav-links');
+
+        const links = Array.from(this.pages.values())
+            .filter(page => page.navLabel)
+            .map(page => Template.html`<li role="none"><a href="${this.buildUrl(page.id)}" role="menuitem" data-page="${page.id}">${I18n.t(page.navLabel)}</a></li>`);
+
+        Template.render(navLinks, Template.html`${links}`, { patch: true });
+
+        this.updateActiveNav(this.currentPage);
     }
 
     setupMobileMenu() {
@@ -52,19 +172,64 @@ class NavigationSystem {
             navLinks.classList.toggle('active');
         });
 
-        // Close menu when clicking on links
-        document.querySelectorAll('.nav-links a').forEach(link => {
-            link.addEventListener('click', () => {
+        // Close menu when clicking on links (delegated, as links are re-rendered from the registry)
+        navLinks.addEventListener('click', (e) => {
+            if (e.target.closest('a')) {
                 menuBtn.setAttribute('aria-expanded', 'false');
                 navLinks.classList.remove('active');
-            });
+            }
         });
     }
 
+    setupLanguageSwitcher() {
+        // Delegated, as the menu is rendered again in the new language
+        document.addEventListener('change', (e) => {
+            if (e.target.id === 'languageSelect') {
+                I18n.setLocale(e.target.value);
+            }
+        });
+
+        I18n.addEventListener('change', () => this.applyLocale());
+    }
+
+    // Render the menu and the current page again in place; calculator inputs survive in the query state
+    applyLocale() {
+        this.loadNavigation();
+        this.loadFooter();
+
+        if (this.currentPage) {
+            this.loadPageContent(this.currentPage, { query: this.currentQuery, scrollY: window.scrollY, patch: true });
+        } else {
+            this.handleRouteChange();
+        }
+    }
+
     setupRouting() {
-        // Handle hash-based routing
+        // Routing needs the server to answer every route with index.html, so the site
+        // does not work opened from disk (<base href="/"> points its assets at file:///)
+        this.basePath = new URL(document.baseURI).pathname.replace(/\/?$/, '/');
+        this.currentQuery = {};
+
+        if ('scrollRestoration' in history) {
+            history.scrollRestoration = 'manual';
+        }
+
+        window.addEventListener('popstate', (e) => {
+            const route = this.getRouteFromLocation();
+            if (route.fromHash) return; // handled by hashchange below
+
+            this.navigateTo(route.page, {
+                query: route.query,
+                fromHistory: true,
+                scrollY: e.state ? e.state.scrollY : 0
+            });
+        });
+
+        // Old-style #page links still arrive as hash changes
         window.addEventListener('hashchange', () => {
-            this.handleRouteChange();
+            if (this.getRouteFromLocation().fromHash) {
+                this.handleRouteChange();
+            }
         });
 
         window.addEventListener('load', () => {
@@ -73,77 +238,196 @@ class NavigationSystem {
 
         // Handle navigation clicks
         document.addEventListener('click', (e) => {
-            if (e.target.matches('[data-page]') || e.target.closest('[data-page]')) {
-                e.preventDefault();
-                const target = e.target.closest('[data-page]');
-                const page = target.getAttribute('data-page');
-                this.navigateTo(page);
+            const target = e.target.closest('[data-page]');
+            if (!target) return;
+
+            // Let the browser open real links in a new tab or window
+            if (target.tagName === 'A' && (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey)) {
+                return;
             }
+
+            e.preventDefault();
+            this.navigateTo(target.getAttribute('data-page'));
         });
     }
 
     handleRouteChange() {
-        const hash = window.location.hash.substring(1) || 'home';
-        this.navigateTo(hash);
+        const route = this.getRouteFromLocation();
+
+        if (route.fromHash) {
+            // Upgrade #page links to clean URLs without adding a history entry
+            this.navigateTo(route.page, { query: route.query, replace: true });
+            return;
+        }
+
+        this.navigateTo(route.page, { query: route.query, fromHistory: true });
+    }
+
+    /**
+     * Read the page id and query state from the current URL.
+     * Old hash routes (#calculator?model=lease) are understood too.
+     */
+    getRouteFromLocation() {
+        const hash = window.location.hash.substring(1);
+
+        // In-page anchors such as #main-content are not routes
+        if (hash && this.pages.has(hash.split('?')[0])) {
+            const [page, queryString = ''] = hash.split('?');
+            return { page, query: this.parseQuery(queryString), fromHash: true };
+        }
+
+        const path = window.location.pathname.startsWith(this.basePath)
+            ? window.location.pathname.substring(this.basePath.length)
+            : window.location.pathname.replace(/^\//, '');
+        const page = decodeURIComponent(path.replace(/\/$/, '').replace(/index\.html$/, '')) || 'home';
+
+        return { page, query: this.parseQuery(window.location.search.substring(1)), fromHash: false };
     }
 
-    navigateTo(page) {
+    parseQuery(queryString) {
+        const query = {};
+        new URLSearchParams(queryString).forEach((value, key) => {
+            query[key] = value;
+        });
+        return query;
+    }
+
+    buildUrl(page, query = {}) {
+        const params = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                params.set(key, value);
+            }
+        });
+        const queryString = params.toString() ? `?${params}` : '';
+
+        return `${this.basePath}${page === 'home' ? '' : page}${queryString}`;
+    }
+
+    /**
+     * Navigate to a registered page.
+     * @param {string} page - Page id
+     * @param {Object} [options]
+     * @param {Object} [options.query] - Query state handed to the page's mount hook
+     * @param {boolean} [options.replace] - Replace the current history entry instead of pushing
+     * @param {boolean} [options.fromHistory] - The URL already reflects this route (back/forward, first load)
+     * @param {number} [options.scrollY] - Scroll position to restore once the page has rendered
+     */
+    navigateTo(page, options = {}) {
+        const { query = {}, replace = false, fromHistory = false, scrollY = 0 } = options;
+
         if (!this.isValidPage(page)) {
-            page = 'home';
+            this.loadNotFoundPage(page);
+            return;
+        }
+
+        if (!fromHistory) {
+            const url = this.buildUrl(page, query);
+
+            if (replace) {
+                history.replaceState({ scrollY: 0 }, '', url);
+            } else {
+                this.saveScrollPosition();
+                history.pushState({ scrollY: 0 }, '', url);
+            }
         }
 
         this.currentPage = page;
-        window.location.hash = page;
-        this.loadPageContent(page);
+        this.currentQuery = query;
+        this.loadPageContent(page, { query, scrollY });
         this.updateActiveNav(page);
+
+        if (typeof Analytics !== 'undefined') {
+            Analytics.trackPageView(page);
+        }
+    }
+
+    /**
+     * Update the current page's query state (e.g. calculator inputs) without a new history entry,
+     * so the address bar always holds a shareable link.
+     */
+    updateQuery(query) {
+        if (!this.currentPage) return;
+
+        this.currentQuery = query;
+        const url = this.buildUrl(this.currentPage, query);
+
+        history.replaceState({ ...history.state, scrollY: window.scrollY }, '', url);
+    }
+
+    getShareableUrl() {
+        return new URL(this.buildUrl(this.currentPage, this.currentQuery), window.location.href).href;
+    }
+
+    saveScrollPosition() {
+        history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
     }
 
     isValidPage(page) {
-        const validPages = ['home', 'solutions', 'models', 'calculator', 'contact'];
-        return validPages.includes(page);
+        return this.pages.has(page);
+    }
+
+    isInternalPage(page) {
+        return this.pages.has(page) && this.pages.get(page).internal;
     }
 
-    async loadPageContent(page) {
+    async loadPageContent(pageId, route = {}) {
+        const page = this.pages.get(pageId);
+        const navigationId = ++this.navigationId;
+
         try {
-            const content = await this.generatePageContent(page);
-            document.querySelector('main').innerHTML = content;
-            
-            // Initialize page-specific functionality
-            this.initializePageFunctionality(page);
-            
+            const content = await page.template();
+
+            // A newer navigation started while this template was loading
+            if (navigationId !== this.navigationId) return;
+
+            this.unmountCurrentPage();
+            Template.render(document.querySelector('main'), content, { patch: Boolean(route.patch) });
+            this.setDocumentTitle(page.title);
+
+            if (page.mount) {
+                this.mountedPage = { page, instance: page.mount({ query: route.query || {} }) };
+            }
+
+            window.scrollTo(0, route.scrollY || 0);
         } catch (error) {
             console.error('Error loading page content:', error);
             this.loadErrorPage();
         }
     }
 
-    async generatePageContent(page) {
-        const pageTemplates = {
-            home: this.generateHomePage(),
-            solutions: this.generateSolutionsPage(),
-            models: this.generateModelsPage(),
-            calculator: this.generateCalculatorPage(),
-            contact: this.generateContactPage()
-        };
-
-        return pageTemplates[page] || this.generateHomePage();
-    }
-
-    initializePageFunctionality(page) {
-        switch(page) {
-            case 'calculator':
-                if (typeof Calculator !== 'undefined') {
-                    new Calculator();
-                }
-                break;
-            case 'contact':
-                if (typeof FormHandler !== 'undefined') {
-                    new FormHandler();
-                }
-                break;
+    unmountCurrentPage() {
+        const mounted = this.mountedPage;
+        this.mountedPage = null;
+
+        if (mounted && mounted.instance && mounted.page.unmount) {
+            try {
+                mounted.page.unmount(mounted.instance);
+            } catch (error) {
+                console.error('Error unmounting page:', error);
+            }
         }
     }
 
+    setDocumentTitle(title) {
+        document.title = `${this.siteName} - ${I18n.t(title)} | Kenya`;
+    }
+
+    loadErrorPage() {
+        this.unmountCurrentPage();
+        Template.render(document.querySelector('main'), this.generateErrorPage());
+        this.setDocumentTitle('page.error.title');
+    }
+
+    loadNotFoundPage(page) {
+        this.navigationId++;
+        this.unmountCurrentPage();
+        this.currentPage = null;
+        Template.render(document.querySelector('main'), this.generateNotFoundPage(page));
+        this.setDocumentTitle('page.notFound.title');
+        this.updateActiveNav(null);
+    }
+
     updateActiveNav(page) {
         document.querySelectorAll('.nav-links a').forEach(link => {
             link.setAttribute('aria-current', link.getAttribute('data-page') === page ? 'page' : 'false');
@@ -170,37 +454,377 @@ class NavigationSystem {
         });
     }
 
-    // Page content generators will be implemented next
+    // Page content generators
     generateHomePage() {
-        return `
+        return Template.html`
             <section class="hero" aria-labelledby="hero-heading">
                 <div class="hero-content">
-                    <h1 id="hero-heading">Premium Electric Safari Experiences</h1>
-                    <p>Luxury Seating. Zero Emissions. Unforgettable Journeys. Upgrade your fleet with premium electric vehicles with $0 upfront cost.</p>
+                    <h1 id="hero-heading">${I18n.t('home.heading')}</h1>
+                    <p>${I18n.t('home.intro', { upfront: I18n.formatCurrency(0) })}</p>
                     <div class="hero-buttons">
-                        <button class="btn-primary" data-page="calculator">Calculate Your Savings</button>
-                        <button class="btn-secondary" data-page="contact">Book a Demo Safari</button>
+                        <button class="btn-primary" data-page="calculator">${I18n.t('home.calculate')}</button>
+                        <button class="btn-secondary" data-page="booking">${I18n.t('home.book')}</button>
                     </div>
                     <div class="hero-stats">
                         <div class="stat">
                             <h3>50-60%</h3>
-                            <p>Cost Savings vs Diesel</p>
+                            <p>${I18n.t('home.stat.savings')}</p>
                         </div>
                         <div class="stat">
-                            <h3>KES 0</h3>
-                            <p>Upfront Investment</p>
+                            <h3>${I18n.formatCurrency(0)}</h3>
+                            <p>${I18n.t('home.stat.upfront')}</p>
                         </div>
                         <div class="stat">
-                            <h3>Premium</h3>
-                            <p>Luxury Seating</p>
+                            <h3>${I18n.t('home.stat.premium')}</h3>
+                            <p>${I18n.t('home.stat.seating')}</p>
+                        </div>
+                    </div>
+                </div>
+            </section>
+        `;
+    }
+
+    generateSolutionsPage() {
+        // Each card has a title, a sentence and three points in the catalogs
+        const cards = ['conversions', 'seating', 'charging', 'management'].map(card => Template.html`
+                        <article class="card">
+                            <h3>${I18n.t(`solutions.${card}.title`)}</h3>
+                            <p>${I18n.t(`solutions.${card}.text`)}</p>
+                            <ul class="card-list">
+                                ${[1, 2, 3].map(point => Template.html`<li>${I18n.t(`solutions.${card}.point${point}`)}</li>`)}
+                            </ul>
+                        </article>`);
+
+        return Template.html`
+            <section class="page-section" aria-labelledby="solutions-heading">
+                <div class="container">
+                    <h2 id="solutions-heading">${I18n.t('solutions.heading')}</h2>
+                    <p class="section-subtitle">${I18n.t('solutions.subtitle')}</p>
+
+                    <div class="card-grid">${cards}
+                    </div>
+
+                    <div class="section-cta">
+                        <button class="btn-primary" data-page="models">${I18n.t('solutions.compare')}</button>
+                        <button class="btn-outline" data-page="contact">${I18n.t('solutions.talk')}</button>
+                    </div>
+                </div>
+            </section>
+        `;
+    }
+
+    async generateModelsPage() {
+        // Prices come from the current tariffs; the marketing copy is in the catalogs under models.<tariff id>
+        const describedModels = ['exchange', 'traditional', 'lease'];
+        const featuredModel = 'traditional';
+
+        await Pricing.load();
+
+        const cards = Pricing.getTariffs().map(tariff => {
+            const described = describedModels.includes(tariff.id);
+            const amount = (value) => I18n.formatCurrency(value, tariff.currency, { maximumFractionDigits: 2 });
+            const priceBasis = tariff.perKmRate > 0
+                ? I18n.t('models.perVehiclePerKm', { amount: amount(tariff.perKmRate) })
+                : I18n.t('models.perVehicle');
+            const maxDiscount = tariff.volumeDiscounts.length > 0
+                ? tariff.volumeDiscounts[tariff.volumeDiscounts.length - 1]
+                : null;
+            const features = described ? [1, 2, 3].map(feature => I18n.t(`models.${tariff.id}.feature${feature}`)) : [];
+            if (maxDiscount) {
+                features.push(I18n.t('models.volumeDiscount', {
+                    percent: I18n.formatNumber(maxDiscount.rate, { style: 'percent' }),
+                    count: maxDiscount.minVehicles
+                }));
+            }
+
+            return Template.html`
+                        <article class="card model-card${tariff.id === featuredModel ? ' featured' : ''}">
+                            <h3>${tariff.label}</h3>
+                            <p class="model-price">${amount(tariff.fixedFee)} <span>${priceBasis}</span></p>
+                            <p>${described ? I18n.t(`models.${tariff.id}.description`) : ''}</p>
+                            <ul class="card-list">
+                                ${features.map(feature => Template.html`<li>${feature}</li>`)}
+                            </ul>
+                        </article>`;
+        });
+
+        return Template.html`
+            <section class="page-section" aria-labelledby="models-heading">
+                <div class="container">
+                    <h2 id="models-heading">${I18n.t('models.heading')}</h2>
+                    <p class="section-subtitle">${I18n.t('models.subtitle')}</p>
+
+                    <div class="card-grid">${cards}
+                    </div>
+
+                    <div class="section-cta">
+                        <button class="btn-primary" data-page="calculator">${I18n.t('home.calculate')}</button>
+                    </div>
+                </div>
+            </section>
+        `;
+    }
+
+    generateCalculatorPage() {
+        return Template.html`
+            <section class="page-section calculator-section" aria-labelledby="calculator-heading">
+                <div class="container">
+                    <h2 id="calculator-heading">${I18n.t('calculator.heading')}</h2>
+                    <p class="section-subtitle">${I18n.t('calculator.subtitle')}</p>
+
+                    <div class="calculator-grid">
+                        <div class="calculator-form">
+                            <div class="form-group">
+                                <label for="displayCurrency">${I18n.t('calculator.currency')}</label>
+                                <select id="displayCurrency" name="displayCurrency">
+                                    <option value="KES">KES</option>
+                                </select>
+                                <p id="exchangeRateNote" class="field-hint" aria-live="polite"></p>
+                            </div>
+                            <fieldset class="calculator-fieldset">
+                                <legend>${I18n.t('calculator.fleet')}</legend>
+                                <div class="mode-toggle" role="radiogroup" aria-label="${I18n.t('calculator.dieselCost')}">
+                                    <label>
+                                        <input type="radio" name="dieselMode" value="spend" checked>
+                                        ${I18n.t('calculator.dieselMode.spend')}
+                                    </label>
+                                    <label>
+                                        <input type="radio" name="dieselMode" value="estimate">
+                                        ${I18n.t('calculator.dieselMode.estimate')}
+                                    </label>
+                                </div>
+                                <div class="form-group" data-diesel-mode="estimate" hidden>
+                                    <label for="pumpPrice" data-currency-label="calculator.pumpPrice">${I18n.t('calculator.pumpPrice', { currency: 'KES' })}</label>
+                                    <input type="number" id="pumpPrice" name="pumpPrice" min="50" max="500" step="0.1"
+                                           inputmode="decimal">
+                                </div>
+                                <div id="fleetRows" class="fleet-rows">
+                                    <!-- One row per vehicle type, added by the calculator -->
+                                </div>
+                                <button type="button" id="addFleetRow" class="btn-outline">${I18n.t('calculator.addFleetRow')}</button>
+                            </fieldset>
+                            <div class="form-group">
+                                <label for="ppaModel">${I18n.t('calculator.ppaModel')}</label>
+                                <select id="ppaModel" name="ppaModel">
+                                    <!-- Options come from the current tariffs -->
+                                </select>
+                            </div>
+
+                            <fieldset class="calculator-fieldset">
+                                <legend>${I18n.t('calculator.projection')}</legend>
+                                <div class="form-group">
+                                    <label for="projectionYears">${I18n.t('calculator.projectionYears')}</label>
+                                    <input type="number" id="projectionYears" name="projectionYears" min="1" max="10" step="1"
+                                           inputmode="numeric">
+                                </div>
+                                <div class="form-group">
+                                    <label for="dieselEscalation">${I18n.t('calculator.dieselEscalation')}</label>
+                                    <input type="number" id="dieselEscalation" name="dieselEscalation" min="0" max="30" step="0.5"
+                                           inputmode="decimal">
+                                </div>
+                                <div class="form-group">
+                                    <label for="tariffEscalation">${I18n.t('calculator.tariffEscalation')}</label>
+                                    <input type="number" id="tariffEscalation" name="tariffEscalation" min="0" max="30" step="0.5"
+                                           inputmode="decimal">
+                                </div>
+                                <div class="form-group">
+                                    <label for="maintenanceSaving" data-currency-label="calculator.maintenanceSaving">${I18n.t('calculator.maintenanceSaving', { currency: 'KES' })}</label>
+                                    <input type="number" id="maintenanceSaving" name="maintenanceSaving" min="0" max="200000" step="1000"
+                                           inputmode="numeric">
+                                </div>
+                                <div class="form-group">
+                                    <label for="discountRate">${I18n.t('calculator.discountRate')}</label>
+                                    <input type="number" id="discountRate" name="discountRate" min="0" max="30" step="0.5"
+                                           inputmode="decimal">
+                                </div>
+                            </fieldset>
+                        </div>
+
+                        <div class="calculator-results" aria-live="polite">
+                            <div class="result-item">
+                                <span class="result-label">${I18n.t('calculator.result.currentCost')}</span>
+                                <strong id="currentCost" class="result-value">-</strong>
+                            </div>
+                            <div class="result-item">
+                                <span class="result-label">${I18n.t('calculator.result.newCost')}</span>
+                                <strong id="newCost" class="result-value">-</strong>
+                            </div>
+                            <div class="result-item result-highlight">
+                                <span class="result-label">${I18n.t('calculator.result.savings')}</span>
+                                <strong id="savings" class="result-value">-</strong>
+                            </div>
+                            <div class="result-item">
+                                <span class="result-label">${I18n.t('calculator.result.savingsPercent')}</span>
+                                <strong id="savingsPercent" class="result-value">-</strong>
+                            </div>
+                            <div class="result-item result-highlight">
+                                <span class="result-label">${I18n.t('calculator.result.annualSavings')}</span>
+                                <strong id="annualSavings" class="result-value">-</strong>
+                            </div>
+
+                            <div class="table-scroll">
+                                <table id="fleetResultsTable" class="projection-table">
+                                    <caption class="sr-only">${I18n.t('calculator.fleetTable')}</caption>
+                                    <thead>
+                                        <tr>
+                                            <th scope="col">${I18n.t('calculator.column.vehicles')}</th>
+                                            <th scope="col">${I18n.t('calculator.column.model')}</th>
+                                            <th scope="col">${I18n.t('calculator.column.diesel')}</th>
+                                            <th scope="col">${I18n.t('calculator.column.elyra')}</th>
+                                            <th scope="col">${I18n.t('calculator.column.savings')}</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody></tbody>
+                                </table>
+                            </div>
+
+                            <div class="projection-results">
+                                <h3>${I18n.t('calculator.tco')}</h3>
+                                <div class="result-item result-highlight">
+                                    <span class="result-label">${I18n.t('calculator.result.npv')}</span>
+                                    <strong id="projectionNpv" class="result-value">-</strong>
+                                </div>
+                                <div class="result-item">
+                                    <span id="projectionTotalLabel" class="result-label">${I18n.t('calculator.result.projectionTotal', { count: '-' })}</span>
+                                    <strong id="projectionTotal" class="result-value">-</strong>
+                                </div>
+                                <div class="result-item">
+                                    <span class="result-label">${I18n.t('calculator.result.breakeven')}</span>
+                                    <strong id="breakevenMonth" class="result-value">-</strong>
+                                </div>
+                                <div class="table-scroll">
+                                    <table id="projectionTable" class="projection-table">
+                                        <caption class="sr-only">${I18n.t('calculator.projectionTable')}</caption>
+                                        <thead>
+                                            <tr>
+                                                <th scope="col">${I18n.t('calculator.column.year')}</th>
+                                                <th scope="col">${I18n.t('calculator.column.diesel')}</th>
+                                                <th scope="col">${I18n.t('calculator.column.elyra')}</th>
+                                                <th scope="col">${I18n.t('calculator.column.savings')}</th>
+                                                <th scope="col">${I18n.t('calculator.column.cumulative')}</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody></tbody>
+                                    </table>
+                                </div>
+                            </div>
+                            <div id="sustainabilitySummary" class="sustainability-results" hidden>
+                                <h3>${I18n.t('calculator.sustainability')}</h3>
+                                <div class="result-item result-highlight">
+                                    <span class="result-label">${I18n.t('calculator.result.co2Avoided')}</span>
+                                    <strong id="co2Avoided" class="result-value">-</strong>
+                                </div>
+                                <div class="result-item">
+                                    <span class="result-label">${I18n.t('calculator.result.co2Diesel')}</span>
+                                    <strong id="co2Diesel" class="result-value">-</strong>
+                                </div>
+                                <div class="result-item">
+                                    <span class="result-label">${I18n.t('calculator.result.co2Electric')}</span>
+                                    <strong id="co2Electric" class="result-value">-</strong>
+                                </div>
+                                <div class="result-item">
+                                    <span class="result-label">${I18n.t('calculator.result.trees')}</span>
+                                    <strong id="treesEquivalent" class="result-value">-</strong>
+                                </div>
+                                <div class="result-item">
+                                    <span class="result-label">${I18n.t('calculator.result.flights')}</span>
+                                    <strong id="flightsEquivalent" class="result-value">-</strong>
+                                </div>
+                                <p id="emissionsNote" class="result-note"></p>
+                            </div>
+
+                            <p id="tariffNote" class="result-note"></p>
+                            <p id="calculatorStatus" class="calculator-status" role="alert"></p>
+                            <div class="result-actions">
+                                <button class="btn-primary" data-page="contact">${I18n.t('calculator.proposalCta')}</button>
+                                <button type="button" class="btn-outline" id="shareQuote">${I18n.t('calculator.shareQuote')}</button>
+                            </div>
+                            <p id="shareStatus" class="share-status" role="status"></p>
+                            <div class="result-actions export-actions">
+                                <button type="button" class="btn-outline" id="exportProposal" disabled>${I18n.t('calculator.exportProposal')}</button>
+                                <button type="button" class="btn-outline" id="exportCsv" disabled>${I18n.t('calculator.exportCsv')}</button>
+                                <button type="button" class="btn-outline" id="exportJson" disabled>${I18n.t('calculator.exportJson')}</button>
+                            </div>
                         </div>
                     </div>
+
+                    <section class="scenarios" aria-labelledby="scenarios-heading">
+                        <h3 id="scenarios-heading">${I18n.t('scenarios.heading')}</h3>
+                        <p class="field-hint">${I18n.t('scenarios.hint')}</p>
+                        <div class="scenario-save">
+                            <label for="scenarioName" class="sr-only">${I18n.t('scenarios.name')}</label>
+                            <input type="text" id="scenarioName" maxlength="60" placeholder="${I18n.t('scenarios.name')}" autocomplete="off">
+                            <button type="button" id="saveScenario" class="btn-primary">${I18n.t('scenarios.save')}</button>
+                        </div>
+                        <p id="scenarioStatus" class="field-hint" role="status"></p>
+                        <p id="scenarioEmpty" class="field-hint">${I18n.t('scenarios.empty')}</p>
+                        <ul id="scenarioList" class="scenario-list"></ul>
+                        <button type="button" id="compareScenarios" class="btn-secondary" disabled>${I18n.t('scenarios.compare', { count: 0 })}</button>
+                        <div id="scenarioComparison" class="table-scroll scenario-comparison" aria-live="polite" hidden></div>
+                    </section>
                 </div>
             </section>
         `;
     }
 
-    // Other page generators will follow similar pattern...
+    generateContactPage() {
+        // The contact form markup is owned by FormHandler so the form and its handler stay in sync
+        if (typeof FormHandler === 'undefined') {
+            throw new Error('FormHandler is not available');
+        }
+
+        return FormHandler.getContactFormHTML();
+    }
+
+    generateBookingPage() {
+        // The booking wizard markup is owned by BookingWizard, like the contact form
+        if (typeof BookingWizard === 'undefined') {
+            throw new Error('BookingWizard is not available');
+        }
+
+        return BookingWizard.getBookingPageHTML();
+    }
+
+    generateAnalyticsDashboardPage() {
+        if (typeof AnalyticsDashboard === 'undefined') {
+            throw new Error('AnalyticsDashboard is not available');
+        }
+
+        return AnalyticsDashboard.getDashboardHTML();
+    }
+
+    generateErrorPage() {
+        return Template.html`
+            <section class="page-section status-page" aria-labelledby="error-heading">
+                <div class="container text-center">
+                    <h2 id="error-heading">${I18n.t('error.heading')}</h2>
+                    <p class="section-subtitle">${I18n.t('error.text', { phone: '+254 700 000 000' })}</p>
+                    <div class="section-cta">
+                        <button class="btn-primary" data-page="home">${I18n.t('error.home')}</button>
+                        <button class="btn-outline" data-page="contact">${I18n.t('error.contact')}</button>
+                    </div>
+                </div>
+            </section>
+        `;
+    }
+
+    generateNotFoundPage(page) {
+        const requested = String(page).substring(0, 50);
+
+        return Template.html`
+            <section class="page-section status-page" aria-labelledby="not-found-heading">
+                <div class="container text-center">
+                    <p class="status-code">404</p>
+                    <h2 id="not-found-heading">${I18n.t('notFound.heading')}</h2>
+                    <p class="section-subtitle">${requested ? I18n.t('notFound.textNamed', { page: requested }) : I18n.t('notFound.text')}</p>
+                    <div class="section-cta">
+                        <button class="btn-primary" data-page="home">${I18n.t('error.home')}</button>
+                        <button class="btn-outline" data-page="calculator">${I18n.t('notFound.calculate')}</button>
+                    </div>
+                </div>
+            </section>
+        `;
+    }
 }
 
 // Initialize navigation
@@ -0,0 +1,131 @@
+/**
+ * Phone Number Formats
+ * Country dialling metadata, so phone numbers from our main markets can be
+ * validated and normalised to E.164 (+254712345678) without an external service.
+ * Shared by the browser and the Node server.
+ */
+
+/**
+ * pattern matches the national significant number: the digits after the country code,
+ * without the trunk prefix (the leading 0 dialled inside the country).
+ * example is the same kind of number, grouped the way it is usually written.
+ */
+const PhoneCountries = [
+    { code: 'KE', name: 'Kenya', dialCode: '254', trunkPrefix: '0', pattern: /^[17]\d{8}$/, example: '712 345 678' },
+    { code: 'TZ', name: 'Tanzania', dialCode: '255', trunkPrefix: '0', pattern: /^[67]\d{8}$/, example: '621 234 567' },
+    { code: 'UG', name: 'Uganda', dialCode: '256', trunkPrefix: '0', pattern: /^7\d{8}$/, example: '712 345 678' },
+    { code: 'RW', name: 'Rwanda', dialCode: '250', trunkPrefix: '0', pattern: /^7[2389]\d{7}$/, example: '720 123 456' },
+    { code: 'ZA', name: 'South Africa', dialCode: '27', trunkPrefix: '0', pattern: /^[1-8]\d{8}$/, example: '71 123 4567' },
+    { code: 'AE', name: 'United Arab Emirates', dialCode: '971', trunkPrefix: '0', pattern: /^(?:5\d{8}|[2-9]\d{7})$/, example: '50 123 4567' },
+    { code: 'IN', name: 'India', dialCode: '91', trunkPrefix: '0', pattern: /^[6-9]\d{9}$/, example: '81234 56789' },
+    { code: 'GB', name: 'United Kingdom', dialCode: '44', trunkPrefix: '0', pattern: /^[1-9]\d{8,9}$/, example: '7400 123456' },
+    { code: 'IE', name: 'Ireland', dialCode: '353', trunkPrefix: '0', pattern: /^[1-9]\d{7,9}$/, example: '85 012 3456' },
+    { code: 'DE', name: 'Germany', dialCode: '49', trunkPrefix: '0', pattern: /^[1-9]\d{5,13}$/, example: '1512 3456789' },
+    { code: 'FR', name: 'France', dialCode: '33', trunkPrefix: '0', pattern: /^[1-9]\d{8}$/, example: '6 12 34 56 78' },
+    { code: 'NL', name: 'Netherlands', dialCode: '31', trunkPrefix: '0', pattern: /^[1-9]\d{8}$/, example: '6 12345678' },
+    { code: 'BE', name: 'Belgium', dialCode: '32', trunkPrefix: '0', pattern: /^[1-9]\d{7,8}$/, example: '470 12 34 56' },
+    { code: 'CH', name: 'Switzerland', dialCode: '41', trunkPrefix: '0', pattern: /^[1-9]\d{8}$/, example: '78 123 45 67' },
+    // Italian and Spanish numbers have no trunk prefix; Italian landlines keep their leading 0
+    { code: 'IT', name: 'Italy', dialCode: '39', trunkPrefix: null, pattern: /^(?:0\d{5,10}|3\d{8,9})$/, example: '312 345 6789' },
+    { code: 'ES', name: 'Spain', dialCode: '34', trunkPrefix: null, pattern: /^[5-9]\d{8}$/, example: '612 34 56 78' },
+    { code: 'SE', name: 'Sweden', dialCode: '46', trunkPrefix: '0', pattern: /^[1-9]\d{6,9}$/, example: '70 123 45 67' },
+    { code: 'US', name: 'United States', dialCode: '1', trunkPrefix: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/, example: '201 555 0123' },
+    { code: 'CA', name: 'Canada', dialCode: '1', trunkPrefix: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/, example: '506 234 5678' },
+    { code: 'AU', name: 'Australia', dialCode: '61', trunkPrefix: '0', pattern: /^[2-478]\d{8}$/, example: '412 345 678' }
+];
+
+class PhoneNumberFormats {
+    /**
+     * @param {Array} countries - See PhoneCountries
+     * @param {string} defaultCountry - Country code used when none (or an unknown one) is given
+     */
+    constructor(countries, defaultCountry = 'KE') {
+        this.countries = countries;
+        this.defaultCountry = defaultCountry;
+    }
+
+    getCountries() {
+        return this.countries;
+    }
+
+    getCountryCodes() {
+        return this.countries.map(country => country.code);
+    }
+
+    getCountry(code) {
+        return this.countries.find(country => country.code === code)
+            || this.countries.find(country => country.code === this.defaultCountry);
+    }
+
+    // "+254 712 345 678"
+    getExample(code) {
+        const country = this.getCountry(code);
+        return `+${country.dialCode} ${country.example}`;
+    }
+
+    /**
+     * Read a phone number typed in international format (+44..., 0044...) or in the
+     * national format of the selected country (0712..., 254712...).
+     * @param {string} value - As typed; spaces, dashes, dots and brackets are ignored
+     * @param {string} [countryCode] - The selected country, for numbers without a country code
+     * @returns {{country: string, nationalNumber: string, e164: string}|null} null when the number is not valid
+     */
+    parse(value, countryCode) {
+        if (typeof value !== 'string') return null;
+
+        const selected = this.getCountry(countryCode);
+        const cleaned = value.replace(/[\s\-.()]/g, '');
+        if (!/^(?:\+|00)?\d{4,17}$/.test(cleaned)) return null;
+
+        const international = cleaned.match(/^(?:\+|00)(\d+)$/);
+        if (international) {
+            // Countries sharing a dial code (US and Canada) resolve to the selected one first
+            const candidates = [selected, ...this.countries]
+                .filter(country => international[1].startsWith(country.dialCode));
+
+            for (const country of candidates) {
+                const match = this.matchNational(country, international[1].slice(country.dialCode.length));
+                if (match) return match;
+            }
+            return null;
+        }
+
+        // National number, or the country code typed without the +
+        return this.matchNational(selected, cleaned)
+            || (cleaned.startsWith(selected.dialCode) ? this.matchNational(selected, cleaned.slice(selected.dialCode.length)) : null);
+    }
+
+    matchNational(country, digits) {
+        const candidates = [digits];
+        // The trunk prefix is dialled inside the country but dropped after the country code; accept both
+        if (country.trunkPrefix && digits.startsWith(country.trunkPrefix)) {
+            candidates.push(digits.slice(country.trunkPrefix.length));
+        }
+
+        const nationalNumber = candidates.find(candidate => country.pattern.test(candidate));
+
+        return nationalNumber
+            ? { country: country.code, nationalNumber, e164: `+${country.dialCode}${nationalNumber}` }
+            : null;
+    }
+
+    isValid(value, countryCode) {
+        return this.parse(value, countryCode) !== null;
+    }
+
+    /**
+     * @returns {string|null} The number in E.164 format, or null when it is not valid
+     */
+    toE164(value, countryCode) {
+        const parsed = this.parse(value, countryCode);
+        return parsed ? parsed.e164 : null;
+    }
+}
+
+// Initialize phone number formats
+const PhoneNumbers = new PhoneNumberFormats(PhoneCountries);
+
+// Shared with the Node server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PhoneNumberFormats, PhoneNumbers, PhoneCountries };
+}
@@ -0,0 +1,155 @@
+/**
+ * PPA Pricing Engine
+ * Loads tariff definitions from data/tariffs.json so quarterly tariff changes need no code edits
+ */
+
+class PricingEngine {
+    constructor(configUrl = 'data/tariffs.json') {
+        this.configUrl = configUrl;
+        this.config = null;
+    }
+
+    async load(options = {}) {
+        this.config = await loadJsonConfig(this.configUrl, config => this.validateConfig(config), options);
+        return this.config;
+    }
+
+    validateConfig(config) {
+        if (!config || !Array.isArray(config.tariffs) || config.tariffs.length === 0) {
+            throw new Error('Invalid tariff config: no tariffs defined');
+        }
+
+        const tariffs = config.tariffs.map(tariff => {
+            const isNumber = (value) => typeof value === 'number' && isFinite(value) && value >= 0;
+
+            if (!tariff.id || !tariff.label || !isNumber(tariff.fixedFee) || !isNumber(tariff.perKmRate)) {
+                throw new Error(`Invalid tariff config: "${tariff.id}" needs an id, label, fixedFee and perKmRate`);
+            }
+
+            if (isNaN(Date.parse(tariff.effectiveFrom))) {
+                throw new Error(`Invalid tariff config: "${tariff.id}" has no valid effectiveFrom date`);
+            }
+
+            const volumeDiscounts = (tariff.volumeDiscounts || [])
+                .filter(tier => isNumber(tier.minVehicles) && isNumber(tier.rate) && tier.rate < 1)
+                .sort((a, b) => a.minVehicles - b.minVehicles);
+
+            return {
+                ...tariff,
+                currency: tariff.currency || config.currency,
+                volumeDiscounts
+            };
+        });
+
+        return { ...config, tariffs };
+    }
+
+    ensureLoaded() {
+        if (!this.config) {
+            throw new Error('Tariffs have not been loaded yet');
+        }
+    }
+
+    isEffective(tariff, date) {
+        const time = date.getTime();
+        const from = Date.parse(tariff.effectiveFrom);
+        // effectiveTo is inclusive of the whole day
+        const to = tariff.effectiveTo ? Date.parse(tariff.effectiveTo) + 86400000 : Infinity;
+
+        return time >= from && time < to;
+    }
+
+    /**
+     * Tariffs in effect on the given date, one per PPA model.
+     * When definitions overlap, the one with the latest effectiveFrom wins.
+     */
+    getTariffs(date = new Date()) {
+        this.ensureLoaded();
+
+        const byModel = new Map();
+        this.config.tariffs
+            .filter(tariff => this.isEffective(tariff, date))
+            .forEach(tariff => {
+                const existing = byModel.get(tariff.id);
+                if (!existing || Date.parse(tariff.effectiveFrom) > Date.parse(existing.effectiveFrom)) {
+                    byModel.set(tariff.id, tariff);
+                }
+            });
+
+        return Array.from(byModel.values());
+    }
+
+    getTariff(modelId, date = new Date()) {
+        return this.getTariffs(date).find(tariff => tariff.id === modelId) || null;
+    }
+
+    isValidModel(modelId, date = new Date()) {
+        return this.getTariff(modelId, date) !== null;
+    }
+
+    getVolumeDiscount(tariff, fleetSize) {
+        const tier = tariff.volumeDiscounts
+            .filter(discount => fleetSize >= discount.minVehicles)
+            .pop();
+
+        return tier ? tier.rate : 0;
+    }
+
+    /**
+     * Monthly PPA cost for a fleet on one model.
+     * The volume discount applies to the whole per-vehicle cost, fixed fee and distance charge alike.
+     * @param {string} modelId
+     * @param {Object} usage
+     * @param {number} usage.vehicleCount
+     * @param {number} usage.monthlyKm - Per vehicle
+     * @param {number} [usage.fleetSize] - Whole fleet, for the discount tier; defaults to vehicleCount
+     * @param {Date} [date]
+     */
+    calculateMonthlyCost(modelId, usage, date = new Date()) {
+        const tariff = this.getTariff(modelId, date);
+        if (!tariff) {
+            throw new Error(`No tariff in effect for model "${modelId}"`);
+        }
+
+        const { vehicleCount, monthlyKm, fleetSize = vehicleCount } = usage;
+        const perVehicle = tariff.fixedFee + (tariff.perKmRate * monthlyKm);
+        const subtotal = perVehicle * vehicleCount;
+        const discountRate = this.getVolumeDiscount(tariff, fleetSize);
+        const discount = subtotal * discountRate;
+
+        return {
+            tariff,
+            currency: tariff.currency,
+            perVehicle,
+            subtotal,
+            discountRate,
+            discount,
+            total: subtotal - discount
+        };
+    }
+
+    /**
+     * Default multi-year projection assumptions set by finance.
+     * Missing values fall back to a neutral projection (no escalation, no discounting).
+     */
+    getProjectionDefaults() {
+        this.ensureLoaded();
+
+        return {
+            years: 5,
+            dieselEscalation: 0,
+            tariffEscalation: 0,
+            maintenanceSavingPerVehicle: 0,
+            discountRate: 0,
+            ...this.config.projection
+        };
+    }
+
+    getVersion() {
+        this.ensureLoaded();
+        return this.config.version || '';
+    }
+}
+
+// Initialize pricing engine
+const Pricing = new PricingEngine();
@@ -0,0 +1,73 @@
+/**
+ * Total Cost of Ownership Projection
+ * Projects diesel vs PPA costs over a multi-year contract, month by month
+ */
+
+class TcoProjection {
+    constructor() {
+        this.minYears = 1;
+        this.maxYears = 10;
+    }
+
+    /**
+     * Project savings over the contract term.
+     * Escalation steps up once a year; savings are discounted monthly.
+     * @param {Object} results - Output of Calculator.calculateSavings
+     * @param {Object} assumptions
+     * @param {number} assumptions.years - Contract length, 1-10
+     * @param {number} assumptions.dieselEscalation - Annual diesel price increase, e.g. 0.08
+     * @param {number} assumptions.tariffEscalation - Annual PPA tariff increase
+     * @param {number} assumptions.maintenanceSavingPerVehicle - Monthly diesel maintenance avoided per vehicle
+     * @param {number} assumptions.discountRate - Annual discount rate for NPV
+     * @param {number} vehicleCount
+     */
+    project(results, assumptions, vehicleCount) {
+        const years = Math.min(this.maxYears, Math.max(this.minYears, Math.round(assumptions.years)));
+        const monthlyDiscount = Math.pow(1 + assumptions.discountRate, 1 / 12) - 1;
+        const monthlyMaintenance = assumptions.maintenanceSavingPerVehicle * vehicleCount;
+
+        const rows = [];
+        let cumulativeSavings = 0;
+        let npv = 0;
+        let breakevenMonth = null;
+
+        for (let year = 0; year < years; year++) {
+            const dieselMonthly = results.currentMonthlyCost * Math.pow(1 + assumptions.dieselEscalation, year) + monthlyMaintenance;
+            const ppaMonthly = results.newMonthlyCost * Math.pow(1 + assumptions.tariffEscalation, year);
+            const row = { year: year + 1, dieselCost: 0, ppaCost: 0, savings: 0, presentValue: 0, cumulativeSavings: 0 };
+
+            for (let month = 1; month <= 12; month++) {
+                const monthIndex = (year * 12) + month;
+                const saving = dieselMonthly - ppaMonthly;
+                const presentValue = saving / Math.pow(1 + monthlyDiscount, monthIndex);
+
+                row.dieselCost += dieselMonthly;
+                row.ppaCost += ppaMonthly;
+                row.savings += saving;
+                row.presentValue += presentValue;
+
+                cumulativeSavings += saving;
+                npv += presentValue;
+
+                // Breakeven: first month the running total is in the fleet's favour
+                if (breakevenMonth === null && cumulativeSavings > 0) {
+                    breakevenMonth = monthIndex;
+                }
+            }
+
+            row.cumulativeSavings = cumulativeSavings;
+            rows.push(row);
+        }
+
+        return {
+            years,
+            rows,
+            npv,
+            totalSavings: cumulativeSavings,
+            breakevenMonth
+        };
+    }
+}
+
+// Initialize projection engine
+const Projection = new TcoProjection();
@@ -0,0 +1,325 @@
+/**
+ * Savings Proposal Export
+ * Turns a calculator quote into a printable proposal, or CSV/JSON for the sales CRM.
+ * Everything is generated in the browser; nothing is uploaded.
+ */
+
+class ProposalExporter {
+    constructor() {
+        this.company = {
+            name: 'Elyra Premium Seaters',
+            phone: '+254 700 000 000',
+            email: 'info@elyrapremium.co.ke',
+            location: 'Nairobi, Kenya',
+            website: 'https://elyrapremium.co.ke'
+        };
+    }
+
+    /**
+     * Collect everything a proposal needs from one calculation.
+     * @param {Object} quote - { inputs, assumptions, results } as kept by Calculator
+     * @param {string} currency - Display currency; the quote's KES amounts are converted to it
+     */
+    buildProposalData(quote, currency = quote.results.currency) {
+        const { inputs, assumptions, results } = quote;
+        const generatedAt = new Date();
+        const convert = (amount) => ExchangeRates.fromKes(amount, currency);
+
+        return {
+            reference: this.generateReference(generatedAt),
+            generatedAt: generatedAt.toISOString(),
+            currency,
+            // KES per unit of the currency, so the CRM can tell which rates were used
+            exchangeRate: currency === results.currency ? null : {
+                kesPerUnit: ExchangeRates.getRate(currency),
+                date: ExchangeRates.getDate()
+            },
+            tariffVersion: results.tariffVersion,
+            dieselMode: inputs.dieselMode,
+            pumpPrice: convert(inputs.pumpPrice),
+            assumptions: {
+                ...assumptions,
+                maintenanceSavingPerVehicle: convert(assumptions.maintenanceSavingPerVehicle)
+            },
+            tariffs: results.tariffs.map(tariff => ({
+                id: tariff.id,
+                label: tariff.label,
+                fixedFee: convert(tariff.fixedFee),
+                perKmRate: convert(tariff.perKmRate),
+                effectiveFrom: tariff.effectiveFrom
+            })),
+            fleet: results.rows.map(row => ({
+                vehicleClass: row.vehicleClass,
+                vehicleClassLabel: Vehicles.getClass(row.vehicleClass).label,
+                vehicleCount: row.vehicleCount,
+                monthlyKm: row.monthlyKm,
+                dieselPerVehicle: convert(row.dieselCost),
+                ppaModel: row.ppaModel,
+                discountRate: row.results.discountRate,
+                currentMonthlyCost: convert(row.results.currentMonthlyCost),
+                newMonthlyCost: convert(row.results.newMonthlyCost),
+                monthlySavings: convert(row.results.monthlySavings)
+            })),
+            totals: {
+                vehicleCount: results.vehicleCount,
+                currentMonthlyCost: convert(results.currentMonthlyCost),
+                newMonthlyCost: convert(results.newMonthlyCost),
+                monthlySavings: convert(results.monthlySavings),
+                savingsPercent: results.savingsPercent,
+                annualSavings: convert(results.annualSavings)
+            },
+            projection: {
+                ...results.projection,
+                npv: convert(results.projection.npv),
+                totalSavings: convert(results.projection.totalSavings),
+                rows: results.projection.rows.map(row => ({
+                    ...row,
+                    dieselCost: convert(row.dieselCost),
+                    ppaCost: convert(row.ppaCost),
+                    savings: convert(row.savings),
+                    presentValue: convert(row.presentValue),
+                    cumulativeSavings: convert(row.cumulativeSavings)
+                }))
+            },
+            emissions: results.emissions ? {
+                dieselKg: results.emissions.dieselKg,
+                electricKg: results.emissions.electricKg,
+                avoidedKg: results.emissions.avoidedKg,
+                treesEquivalent: results.emissions.treesEquivalent,
+                flightsEquivalent: results.emissions.flightsEquivalent
+            } : null,
+            contact: this.company
+        };
+    }
+
+    generateReference(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `EPS-${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+    }
+
+    formatAmount(amount, currency) {
+        return I18n.formatCurrency(Math.round(amount), currency);
+    }
+
+    // Per-litre and per-km prices keep their cents once converted from KES
+    formatUnitPrice(amount, currency) {
+        return I18n.formatCurrency(amount, currency, { maximumFractionDigits: 2 });
+    }
+
+    formatPercent(rate) {
+        return I18n.formatNumber(rate, { style: 'percent', maximumFractionDigits: 1 });
+    }
+
+    // Printable proposal
+    getProposalHTML(data) {
+        const money = (amount) => this.formatAmount(amount, data.currency);
+        const unitPrice = (amount) => this.formatUnitPrice(amount, data.currency);
+        const date = I18n.formatDate(data.generatedAt, { year: 'numeric', month: 'long', day: 'numeric' });
+        const assumptions = data.assumptions;
+        const dieselBasis = data.dieselMode === 'estimate'
+            ? I18n.t('proposal.dieselEstimated', { price: unitPrice(data.pumpPrice) })
+            : I18n.t('proposal.dieselProvided');
+
+        return Template.html`
+            <header class="proposal-header">
+                <h1>${this.company.name}</h1>
+                <p>${I18n.t('proposal.title')}</p>
+                <dl class="proposal-meta">
+                    <dt>${I18n.t('proposal.reference')}</dt><dd>${data.reference}</dd>
+                    <dt>${I18n.t('proposal.date')}</dt><dd>${date}</dd>
+                </dl>
+            </header>
+
+            <section>
+                <h2>${I18n.t('proposal.summaryHeading')}</h2>
+                <p>${I18n.t('proposal.summary', {
+                    count: data.totals.vehicleCount,
+                    monthly: money(data.totals.monthlySavings),
+                    annual: money(data.totals.annualSavings)
+                })}
+                   ${I18n.t('proposal.npv', { count: data.projection.years, npv: money(data.projection.npv) })}</p>
+            </section>
+
+            <section>
+                <h2>${I18n.t('proposal.fleet')}</h2>
+                <table class="proposal-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">${I18n.t('calculator.column.vehicles')}</th>
+                            <th scope="col">${I18n.t('proposal.column.distance')}</th>
+                            <th scope="col">${I18n.t('proposal.column.diesel')}</th>
+                            <th scope="col">${I18n.t('calculator.row.model')}</th>
+                            <th scope="col">${I18n.t('proposal.column.elyra')}</th>
+                            <th scope="col">${I18n.t('proposal.column.savings')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${data.fleet.map(row => Template.html`
+                            <tr>
+                                <th scope="row">${I18n.t('calculator.fleetRow', { count: row.vehicleCount, vehicle: row.vehicleClassLabel })}</th>
+                                <td>${I18n.t('proposal.distance', { distance: row.monthlyKm })}</td>
+                                <td>${money(row.dieselPerVehicle)}</td>
+                                <td>${data.tariffs.find(tariff => tariff.id === row.ppaModel).label}</td>
+                                <td>${money(row.newMonthlyCost)}</td>
+                                <td>${money(row.monthlySavings)}</td>
+                            </tr>
+                        `)}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <th scope="row">${I18n.t('proposal.total')}</th>
+                            <td></td>
+                            <td>${money(data.totals.currentMonthlyCost)}</td>
+                            <td></td>
+                            <td>${money(data.totals.newMonthlyCost)}</td>
+                            <td>${money(data.totals.monthlySavings)}</td>
+                        </tr>
+                    </tfoot>
+                </table>
+            </section>
+
+            <section>
+                <h2>${I18n.t('calculator.projection')}</h2>
+                <table class="proposal-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">${I18n.t('calculator.column.year')}</th>
+                            <th scope="col">${I18n.t('calculator.column.diesel')}</th>
+                            <th scope="col">${I18n.t('calculator.column.elyra')}</th>
+                            <th scope="col">${I18n.t('calculator.column.savings')}</th>
+                            <th scope="col">${I18n.t('calculator.column.cumulative')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${data.projection.rows.map(row => Template.html`
+                            <tr>
+                                <th scope="row">${I18n.t('calculator.year', { year: row.year })}</th>
+                                <td>${money(row.dieselCost)}</td>
+                                <td>${money(row.ppaCost)}</td>
+                                <td>${money(row.savings)}</td>
+                                <td>${money(row.cumulativeSavings)}</td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+                ${data.emissions ? Template.html`
+                    <h2>${I18n.t('proposal.sustainability')}</h2>
+                    <p>${I18n.t('proposal.co2', {
+                        tonnes: I18n.formatNumber(data.emissions.avoidedKg / 1000, { minimumFractionDigits: 1, maximumFractionDigits: 1 }),
+                        count: Math.round(data.emissions.treesEquivalent)
+                    })}</p>
+                ` : ''}
+            </section>
+
+            <section>
+                <h2>${I18n.t('proposal.assumptions')}</h2>
+                <ul>
+                    ${data.tariffs.map(tariff => Template.html`
+                        <li>${tariff.perKmRate > 0
+                            ? I18n.t('proposal.tariffPerKm', { model: tariff.label, fee: money(tariff.fixedFee), rate: unitPrice(tariff.perKmRate) })
+                            : I18n.t('proposal.tariff', { model: tariff.label, fee: money(tariff.fixedFee) })}</li>
+                    `)}
+                    <li>${I18n.t('proposal.schedule', { version: data.tariffVersion })}</li>
+                    ${data.exchangeRate ? Template.html`<li>${I18n.t('proposal.exchangeRate', {
+                        currency: data.currency,
+                        rate: I18n.formatCurrency(data.exchangeRate.kesPerUnit, 'KES', { maximumFractionDigits: 2 }),
+                        date: I18n.formatDate(data.exchangeRate.date, { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' })
+                    })}</li>` : ''}
+                    <li>${dieselBasis}</li>
+                    <li>${I18n.t('proposal.escalation', {
+                        diesel: this.formatPercent(assumptions.dieselEscalation),
+                        tariff: this.formatPercent(assumptions.tariffEscalation)
+                    })}</li>
+                    <li>${I18n.t('proposal.maintenance', { amount: money(assumptions.maintenanceSavingPerVehicle) })}</li>
+                    <li>${I18n.t('proposal.discountRate', { rate: this.formatPercent(assumptions.discountRate) })}</li>
+                </ul>
+                <p class="proposal-disclaimer">${I18n.t('proposal.disclaimer')}</p>
+            </section>
+
+            <footer class="proposal-footer">
+                <p>${this.company.name} &middot; ${this.company.location}</p>
+                <p>${this.company.phone} &middot; ${this.company.email} &middot; ${this.company.website}</p>
+            </footer>
+        `;
+    }
+
+    print(quote, currency) {
+        const data = this.buildProposalData(quote, currency);
+
+        document.querySelectorAll('.proposal-document').forEach(existing => existing.remove());
+        const proposal = document.createElement('article');
+        proposal.className = 'proposal-document';
+        proposal.setAttribute('aria-hidden', 'true');
+        Template.render(proposal, this.getProposalHTML(data));
+        document.body.appendChild(proposal);
+
+        // The print stylesheet shows only the proposal while this class is set
+        document.body.classList.add('printing-proposal');
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('printing-proposal');
+            proposal.remove();
+        }, { once: true });
+
+        window.print();
+    }
+
+    toCSV(data) {
+        const columns = [
+            'reference', 'generated_at', 'currency', 'tariff_version', 'vehicle_class', 'vehicles', 'monthly_km',
+            'diesel_per_vehicle', 'ppa_model', 'volume_discount', 'current_monthly_cost', 'new_monthly_cost',
+            'monthly_savings', 'annual_savings', 'npv', 'projection_years', 'co2_avoided_kg', 'kes_per_unit'
+        ];
+        const common = [data.reference, data.generatedAt, data.currency, data.tariffVersion];
+        const kesPerUnit = data.exchangeRate ? data.exchangeRate.kesPerUnit : 1;
+        const round = (value) => Math.round(value);
+
+        const rows = data.fleet.map(row => [
+            ...common, row.vehicleClass, row.vehicleCount, row.monthlyKm, round(row.dieselPerVehicle), row.ppaModel,
+            row.discountRate, round(row.currentMonthlyCost), round(row.newMonthlyCost), round(row.monthlySavings),
+            round(row.monthlySavings * 12), '', '', '', kesPerUnit
+        ]);
+
+        // Fleet-wide figures go on a TOTAL row so each line stays one record for the CRM import
+        rows.push([
+            ...common, 'TOTAL', data.totals.vehicleCount, '', '', '', '', round(data.totals.currentMonthlyCost),
+            round(data.totals.newMonthlyCost), round(data.totals.monthlySavings), round(data.totals.annualSavings),
+            round(data.projection.npv), data.projection.years, data.emissions ? round(data.emissions.avoidedKg) : '', kesPerUnit
+        ]);
+
+        return [columns, ...rows].map(row => row.map(value => this.escapeCSV(value)).join(',')).join('\r\n');
+    }
+
+    escapeCSV(value) {
+        let text = String(value);
+        // Stop spreadsheet apps from evaluating cells as formulas
+        if (/^[=+\-@]/.test(text) && isNaN(Number(text))) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    exportCSV(quote, currency) {
+        const data = this.buildProposalData(quote, currency);
+        this.download(`${data.reference}.csv`, this.toCSV(data), 'text/csv;charset=utf-8');
+    }
+
+    exportJSON(quote, currency) {
+        const data = this.buildProposalData(quote, currency);
+        this.download(`${data.reference}.json`, JSON.stringify(data, null, 2), 'application/json');
+    }
+
+    download(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.hidden = true;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Initialize proposal exporter
+const Proposal = new ProposalExporter();
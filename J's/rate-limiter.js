@@ -0,0 +1,226 @@
+/**
+ * Rate Limiter
+ * Named limits, each with its own strategy, counted separately per id (e.g. per IP address on the server).
+ * Shared with the Node server.
+ *
+ * Strategies:
+ *   token-bucket   - { capacity, refillPerSecond }: allows bursts, then a steady rate. Suits typing.
+ *   sliding-window - { limit, windowMs }: at most limit actions in any windowMs. Suits submissions.
+ * A limit with persist: true keeps its state in the limiter's storage (localStorage in the browser),
+ * so reloading the page does not reset it.
+ */
+
+class TokenBucketStrategy {
+    constructor(policy) {
+        if (!(policy.capacity >= 1) || !(policy.refillPerSecond > 0)) {
+            throw new Error('A token bucket needs a capacity of at least 1 and a positive refillPerSecond');
+        }
+        this.capacity = policy.capacity;
+        this.refillPerSecond = policy.refillPerSecond;
+    }
+
+    initialState(now) {
+        return { tokens: this.capacity, updatedAt: now };
+    }
+
+    refill(state, now) {
+        const elapsedSeconds = Math.max(0, now - state.updatedAt) / 1000;
+        return { tokens: Math.min(this.capacity, state.tokens + elapsedSeconds * this.refillPerSecond), updatedAt: now };
+    }
+
+    consume(state, now) {
+        const current = this.refill(state, now);
+
+        if (current.tokens < 1) {
+            return {
+                allowed: false,
+                remaining: 0,
+                retryAfterMs: (1 - current.tokens) / this.refillPerSecond * 1000,
+                state: current
+            };
+        }
+
+        current.tokens -= 1;
+        return { allowed: true, remaining: Math.floor(current.tokens), retryAfterMs: 0, state: current };
+    }
+
+    isIdle(state, now) {
+        return this.refill(state, now).tokens >= this.capacity;
+    }
+}
+
+class SlidingWindowStrategy {
+    constructor(policy) {
+        if (!(policy.limit >= 1) || !(policy.windowMs > 0)) {
+            throw new Error('A sliding window needs a limit of at least 1 and a positive windowMs');
+        }
+        this.limit = policy.limit;
+        this.windowMs = policy.windowMs;
+    }
+
+    initialState() {
+        return { hits: [] };
+    }
+
+    // Only the hits inside the window count, oldest first
+    prune(state, now) {
+        return { hits: state.hits.filter(time => time > now - this.windowMs) };
+    }
+
+    consume(state, now) {
+        const current = this.prune(state, now);
+
+        if (current.hits.length >= this.limit) {
+            // Allowed again once enough of the oldest hits have left the window
+            const freedAt = current.hits[current.hits.length - this.limit] + this.windowMs;
+            return { allowed: false, remaining: 0, retryAfterMs: freedAt - now, state: current };
+        }
+
+        current.hits.push(now);
+        return { allowed: true, remaining: this.limit - current.hits.length, retryAfterMs: 0, state: current };
+    }
+
+    isIdle(state, now) {
+        return this.prune(state, now).hits.length === 0;
+    }
+}
+
+class RateLimiter {
+    /**
+     * @param {Object} policies - Limit name -> { strategy, persist, ...strategy settings }
+     * @param {Object} [options]
+     * @param {Storage} [options.storage] - Where limits with persist: true are kept
+     * @param {string} [options.storageKey]
+     */
+    constructor(policies = {}, options = {}) {
+        this.policies = new Map();
+        this.states = new Map();
+        this.storage = options.storage || null;
+        this.storageKey = options.storageKey || 'elyra_rate_limits';
+        // Idle states are dropped now and then, so a server seeing many ids does not keep them all
+        this.pruneIntervalMs = 60 * 1000;
+        this.lastPrunedAt = Date.now();
+
+        Object.entries(policies).forEach(([name, policy]) => this.configure(name, policy));
+        this.restore();
+    }
+
+    configure(name, policy) {
+        const Strategy = RateLimiter.strategies[policy.strategy];
+        if (!Strategy) {
+            throw new Error(`Unknown rate limit strategy "${policy.strategy}" for ${name}`);
+        }
+
+        this.policies.set(name, { persist: false, ...policy, limiter: new Strategy(policy) });
+    }
+
+    /**
+     * Count one action against a limit.
+     * @param {string} name - A configured limit
+     * @param {string} [id] - Who is acting, when the limit applies per visitor
+     * @returns {{allowed: boolean, remaining: number, retryAfter: number}} retryAfter is in whole seconds, 0 when allowed
+     */
+    consume(name, id = '') {
+        const policy = this.policies.get(name);
+        if (!policy) {
+            throw new Error(`No rate limit configured for "${name}"`);
+        }
+
+        const now = Date.now();
+        this.pruneIdle(now);
+
+        const key = `${name}:${id}`;
+        const state = this.states.get(key) || policy.limiter.initialState(now);
+        const result = policy.limiter.consume(state, now);
+        this.states.set(key, result.state);
+
+        if (policy.persist) {
+            this.save();
+        }
+
+        return {
+            allowed: result.allowed,
+            remaining: result.remaining,
+            retryAfter: Math.ceil(result.retryAfterMs / 1000)
+        };
+    }
+
+    reset(name, id = '') {
+        this.states.delete(`${name}:${id}`);
+        if (this.policies.has(name) && this.policies.get(name).persist) {
+            this.save();
+        }
+    }
+
+    pruneIdle(now) {
+        if (now - this.lastPrunedAt < this.pruneIntervalMs) return;
+
+        this.lastPrunedAt = now;
+        this.states.forEach((state, key) => {
+            const policy = this.policies.get(this.getPolicyName(key));
+            if (!policy || policy.limiter.isIdle(state, now)) {
+                this.states.delete(key);
+            }
+        });
+    }
+
+    getPolicyName(key) {
+        return key.slice(0, key.indexOf(':'));
+    }
+
+    restore() {
+        if (!this.storage) return;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey) || '{}');
+            Object.entries(saved).forEach(([key, state]) => {
+                const policy = this.policies.get(this.getPolicyName(key));
+                if (policy && policy.persist && state && typeof state === 'object') {
+                    this.states.set(key, state);
+                }
+            });
+        } catch (error) {
+            // Unreadable saved state only means the limits start afresh
+            console.error('Rate limit restore error:', error);
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+
+        const persisted = {};
+        this.states.forEach((state, key) => {
+            const policy = this.policies.get(this.getPolicyName(key));
+            if (policy && policy.persist) {
+                persisted[key] = state;
+            }
+        });
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(persisted));
+        } catch (error) {
+            console.error('Rate limit storage error:', error);
+        }
+    }
+}
+
+// Further strategies can be added here by name
+RateLimiter.strategies = {
+    'token-bucket': TokenBucketStrategy,
+    'sliding-window': SlidingWindowStrategy
+};
+
+// Initialize the browser's limits; the server configures its own
+const RateLimits = new RateLimiter({
+    // Recalculating follows typing, so short bursts are fine as long as the pace stays sensible
+    calculator: { strategy: 'token-bucket', capacity: 30, refillPerSecond: 1 },
+    // Kept across reloads, so reloading is not a way round it
+    contactForm: { strategy: 'sliding-window', limit: 3, windowMs: 60 * 1000, persist: true }
+}, {
+    storage: typeof localStorage !== 'undefined' ? localStorage : null
+});
+
+// Shared with the Node server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RateLimiter, TokenBucketStrategy, SlidingWindowStrategy, RateLimits };
+}
@@ -0,0 +1,409 @@
+/**
+ * Saved Calculator Scenarios
+ * Named calculator quotes kept in localStorage, with a side-by-side comparison
+ */
+
+class ScenarioStore {
+    constructor(storageKey = 'elyra_scenarios', latestStorageKey = 'elyra_latest_quote') {
+        this.storageKey = storageKey;
+        // The latest calculation is only kept for the current visit
+        this.latestStorageKey = latestStorageKey;
+        this.maxScenarios = 20;
+    }
+
+    read() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            return stored && Array.isArray(stored.scenarios) ? stored : { scenarios: [] };
+        } catch (error) {
+            console.error('Scenario storage error:', error);
+            return { scenarios: [] };
+        }
+    }
+
+    list() {
+        return this.read().scenarios;
+    }
+
+    get(id) {
+        return this.list().find(scenario => scenario.id === id) || null;
+    }
+
+    persist(scenarios, comparedAt = this.read().comparedAt || null) {
+        // Throws when storage is full or disabled; callers report it to the user
+        localStorage.setItem(this.storageKey, JSON.stringify({ version: 1, scenarios, comparedAt }));
+    }
+
+    /**
+     * Save the current quote under a name. Saving an existing name replaces that scenario.
+     * @param {string} name
+     * @param {Object} query - Calculator query state that reopens the quote
+     * @param {Object} results - Calculator results, reduced to a summary for comparison
+     */
+    save(name, query, results) {
+        const cleanName = String(name).trim().substring(0, 60);
+        if (!cleanName) {
+            throw new Error(I18n.t('scenarios.nameRequired'));
+        }
+
+        const scenarios = this.list();
+        const existing = scenarios.find(scenario => scenario.name.toLowerCase() === cleanName.toLowerCase());
+
+        if (!existing && scenarios.length >= this.maxScenarios) {
+            throw new Error(I18n.t('scenarios.limit', { max: this.maxScenarios }));
+        }
+
+        const scenario = {
+            id: existing ? existing.id : `scenario_${Date.now().toString(36)}`,
+            name: cleanName,
+            savedAt: new Date().toISOString(),
+            query: Object.fromEntries(Object.entries(query).filter(([, value]) => value !== '' && value !== undefined)),
+            summary: this.summarize(results)
+        };
+
+        const updated = existing
+            ? scenarios.map(item => item.id === existing.id ? scenario : item)
+            : [...scenarios, scenario];
+
+        this.persist(updated);
+        return scenario;
+    }
+
+    remove(id) {
+        this.persist(this.list().filter(scenario => scenario.id !== id));
+    }
+
+    // Whether the visitor has put saved scenarios side by side, e.g. for lead scoring
+    wasCompared() {
+        return Boolean(this.read().comparedAt);
+    }
+
+    recordComparison() {
+        try {
+            this.persist(this.list(), new Date().toISOString());
+        } catch (error) {
+            // Nothing depends on it, so a full or disabled storage is not reported
+            console.error('Scenario storage error:', error);
+        }
+    }
+
+    /**
+     * Remember a summary of the latest calculation, e.g. for lead scoring on the contact page.
+     * @param {Object} results - Calculator results
+     */
+    rememberLatest(results) {
+        try {
+            sessionStorage.setItem(this.latestStorageKey, JSON.stringify({
+                calculatedAt: new Date().toISOString(),
+                ...this.summarize(results)
+            }));
+        } catch (error) {
+            // Nothing depends on it, so a full or disabled storage is not reported
+            console.error('Scenario storage error:', error);
+        }
+    }
+
+    getLatest() {
+        try {
+            return JSON.parse(sessionStorage.getItem(this.latestStorageKey) || 'null');
+        } catch (error) {
+            console.error('Scenario storage error:', error);
+            return null;
+        }
+    }
+
+    summarize(results) {
+        return {
+            currency: results.currency,
+            vehicleCount: results.vehicleCount,
+            models: results.tariffs.map(tariff => tariff.label),
+            currentMonthlyCost: results.currentMonthlyCost,
+            newMonthlyCost: results.newMonthlyCost,
+            monthlySavings: results.monthlySavings,
+            annualSavings: results.annualSavings,
+            projectionYears: results.projection.years,
+            npv: results.projection.npv,
+            breakevenMonth: results.projection.breakevenMonth,
+            co2AvoidedKg: results.emissions ? results.emissions.avoidedKg : null
+        };
+    }
+}
+
+/**
+ * Scenario list and comparison on the calculator page.
+ * Created and destroyed together with the Calculator that owns it.
+ */
+class ScenarioPanel {
+    constructor(calculator, signal) {
+        this.calculator = calculator;
+        this.signal = signal;
+        this.selected = new Set();
+        this.minCompare = 2;
+        this.maxCompare = 4;
+        // Comparison rows, labelled by scenarios.metric.<key>; "better" says which direction wins for highlighting
+        this.metrics = [
+            { key: 'vehicleCount', format: value => I18n.formatNumber(value) },
+            { key: 'models', format: value => I18n.formatList(value) },
+            { key: 'currentMonthlyCost', better: 'lower', money: true },
+            { key: 'newMonthlyCost', better: 'lower', money: true },
+            { key: 'monthlySavings', better: 'higher', money: true },
+            { key: 'annualSavings', better: 'higher', money: true },
+            { key: 'npv', better: 'higher', money: true },
+            {
+                key: 'breakevenMonth',
+                better: 'lower',
+                format: value => value === null
+                    ? I18n.t('calculator.breakevenNone')
+                    : I18n.t('calculator.breakevenMonth', { month: value })
+            },
+            {
+                key: 'co2AvoidedKg',
+                better: 'higher',
+                format: value => value === null ? '-' : this.calculator.formatTonnes(value)
+            }
+        ];
+        this.init();
+    }
+
+    init() {
+        const saveButton = document.getElementById('saveScenario');
+        const list = document.getElementById('scenarioList');
+        const compareButton = document.getElementById('compareScenarios');
+        if (!saveButton || !list) return;
+
+        saveButton.addEventListener('click', () => this.saveCurrent(), { signal: this.signal });
+
+        document.getElementById('scenarioName').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.saveCurrent();
+            }
+        }, { signal: this.signal });
+
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-scenario-action]');
+            if (!button) return;
+
+            const id = button.closest('[data-scenario-id]').getAttribute('data-scenario-id');
+            if (button.getAttribute('data-scenario-action') === 'load') {
+                this.load(id);
+            } else {
+                this.remove(id);
+            }
+        }, { signal: this.signal });
+
+        list.addEventListener('change', (e) => {
+            if (e.target.matches('input[type="checkbox"]')) {
+                const id = e.target.closest('[data-scenario-id]').getAttribute('data-scenario-id');
+                if (e.target.checked) {
+                    this.selected.add(id);
+                } else {
+                    this.selected.delete(id);
+                }
+                this.updateSelectionState();
+            }
+        }, { signal: this.signal });
+
+        compareButton.addEventListener('click', () => this.compareSelected(), { signal: this.signal });
+
+        this.renderList();
+    }
+
+    saveCurrent() {
+        const quote = this.calculator.lastQuote;
+        const nameInput = document.getElementById('scenarioName');
+
+        if (!quote) {
+            this.setStatus(I18n.t('scenarios.fixFields'));
+            return;
+        }
+
+        if (!nameInput.value.trim()) {
+            this.setStatus(I18n.t('scenarios.nameNeeded'));
+            nameInput.focus();
+            return;
+        }
+
+        try {
+            const scenario = Scenarios.save(nameInput.value, this.calculator.getQueryState(quote.inputs), quote.results);
+            nameInput.value = '';
+            this.setStatus(I18n.t('scenarios.saved', { name: scenario.name }));
+            this.renderList();
+        } catch (error) {
+            console.error('Scenario save error:', error);
+            // Storage failures surface as DOMExceptions; anything else is a validation message
+            this.setStatus(error instanceof DOMException
+                ? I18n.t('scenarios.saveFailed')
+                : error.message);
+        }
+    }
+
+    load(id) {
+        const scenario = Scenarios.get(id);
+        if (!scenario || typeof Navigation === 'undefined') return;
+
+        // Re-opening the calculator with the saved query restores every input
+        Navigation.navigateTo('calculator', { query: scenario.query });
+    }
+
+    remove(id) {
+        const scenario = Scenarios.get(id);
+        try {
+            Scenarios.remove(id);
+        } catch (error) {
+            console.error('Scenario delete error:', error);
+            this.setStatus(I18n.t('scenarios.updateFailed'));
+            return;
+        }
+
+        this.selected.delete(id);
+        this.setStatus(scenario ? I18n.t('scenarios.deleted', { name: scenario.name }) : '');
+        this.renderList();
+        this.renderComparison();
+    }
+
+    // After a currency change, so saved figures are shown in the new currency
+    refresh() {
+        const comparison = document.getElementById('scenarioComparison');
+        if (!comparison) return;
+
+        this.renderList();
+        if (!comparison.hidden) {
+            this.renderComparison();
+        }
+    }
+
+    renderList() {
+        const list = document.getElementById('scenarioList');
+        const scenarios = Scenarios.list();
+
+        // Drop selections for scenarios deleted in another tab
+        this.selected.forEach(id => {
+            if (!scenarios.some(scenario => scenario.id === id)) {
+                this.selected.delete(id);
+            }
+        });
+
+        document.getElementById('scenarioEmpty').hidden = scenarios.length > 0;
+
+        Template.render(list, Template.html`${scenarios.map(scenario => Template.html`
+            <li class="scenario-item" data-scenario-id="${scenario.id}">
+                <input type="checkbox" id="compare-${scenario.id}"${this.selected.has(scenario.id) ? ' checked' : ''}>
+                <label for="compare-${scenario.id}" class="scenario-name">${scenario.name}</label>
+                <span class="scenario-summary">${I18n.t('scenarios.summary', {
+                    count: scenario.summary.vehicleCount,
+                    models: I18n.formatList(scenario.summary.models),
+                    amount: this.formatMoney(scenario.summary.annualSavings)
+                })}</span>
+                <button type="button" class="btn-link scenario-load" data-scenario-action="load">${I18n.t('scenarios.load')}</button>
+                <button type="button" class="btn-link" data-scenario-action="delete">${I18n.t('scenarios.delete')}</button>
+            </li>
+        `)}`);
+
+        this.updateSelectionState();
+    }
+
+    updateSelectionState() {
+        const count = this.selected.size;
+        const compareButton = document.getElementById('compareScenarios');
+        compareButton.disabled = count < this.minCompare || count > this.maxCompare;
+        compareButton.textContent = I18n.t('scenarios.compare', { count });
+
+        // Cap the selection so the comparison stays readable
+        document.querySelectorAll('#scenarioList input[type="checkbox"]').forEach(checkbox => {
+            checkbox.disabled = !checkbox.checked && count >= this.maxCompare;
+        });
+    }
+
+    compareSelected() {
+        if (this.renderComparison()) {
+            Scenarios.recordComparison();
+        }
+    }
+
+    // Returns whether a comparison is shown
+    renderComparison() {
+        const container = document.getElementById('scenarioComparison');
+        const scenarios = Array.from(this.selected).map(id => Scenarios.get(id)).filter(Boolean);
+
+        if (scenarios.length < this.minCompare) {
+            container.hidden = true;
+            container.replaceChildren();
+            return false;
+        }
+
+        Template.render(container, Template.html`
+            <p class="field-hint">${I18n.t('scenarios.differences', { name: scenarios[0].name })}</p>
+            <table class="comparison-table">
+                <caption class="sr-only">${I18n.t('scenarios.comparison')}</caption>
+                <thead>
+                    <tr>
+                        <th scope="col">${I18n.t('scenarios.metric')}</th>
+                        ${scenarios.map(scenario => Template.html`<th scope="col">${scenario.name}</th>`)}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.metrics.map(metric => this.getComparisonRowHTML(metric, scenarios))}
+                </tbody>
+            </table>
+        `);
+        container.hidden = false;
+        return true;
+    }
+
+    getComparisonRowHTML(metric, scenarios) {
+        const values = scenarios.map(scenario => scenario.summary[metric.key]);
+        const best = this.findBest(values, metric.better);
+        const baseline = JSON.stringify(values[0]);
+
+        const cells = scenarios.map((scenario, index) => {
+            const differs = index > 0 && JSON.stringify(values[index]) !== baseline;
+            const classes = [differs && 'comparison-differs', best !== null && values[index] === best && 'comparison-best'].filter(Boolean);
+            const difference = values[index] - values[0];
+
+            return Template.html`
+                <td class="${classes.join(' ')}">${this.formatMetric(metric, values[index])}${differs && metric.money
+                    ? Template.html`<span class="comparison-delta"> (${difference > 0 ? '+' : ''}${this.formatMoney(difference)})</span>`
+                    : ''}</td>
+            `;
+        });
+
+        return Template.html`
+            <tr>
+                <th scope="row">${I18n.t(`scenarios.metric.${metric.key}`)}</th>
+                ${cells}
+            </tr>
+        `;
+    }
+
+    findBest(values, better) {
+        const numbers = values.filter(value => typeof value === 'number');
+        if (!better || numbers.length < 2 || numbers.every(value => value === numbers[0])) {
+            return null;
+        }
+
+        return better === 'higher' ? Math.max(...numbers) : Math.min(...numbers);
+    }
+
+    formatMetric(metric, value) {
+        if (metric.money) {
+            return this.formatMoney(value);
+        }
+        return metric.format(value);
+    }
+
+    // Summaries are kept in KES like the results, and shown in the calculator's currency
+    formatMoney(amountKes) {
+        return this.calculator.formatCurrency(amountKes);
+    }
+
+    setStatus(message) {
+        const status = document.getElementById('scenarioStatus');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+}
+
+// Initialize scenario storage
+const Scenarios = new ScenarioStore();
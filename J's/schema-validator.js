@@ -0,0 +1,215 @@
+/**
+ * Schema Validation Engine
+ * Validates values against declarative per-field rules. Runs unchanged in the browser and in Node.
+ *
+ * A schema looks like:
+ *   {
+ *       fields: {
+ *           email: { required: true, maxLength: 254, pattern: /.../, message: 'Please enter a valid email address' },
+ *           guests: { required: true, type: 'number', integer: true, min: 1, max: (values, context) => context.maxGuests }
+ *       },
+ *       rules: [
+ *           { field: 'guests', test: (values, context) => values.guests <= context.seatsLeft, message: 'Not enough seats' }
+ *       ]
+ *   }
+ *
+ * Field rules, checked in this order (the first failure wins):
+ *   required, type ('number'; anything else must be a string), minLength, maxLength, pattern, integer, min, max, oneOf,
+ *   custom: [{ test(value, values, context), message }], async: [{ test(value, values, context), message }]
+ * Other options:
+ *   normalize(value, values, context) - applied to the trimmed value before any check
+ *   when(values, context) - the field is skipped when this returns false
+ *   message - replaces the default message of every rule except required
+ *   messages: { required, pattern, ... } - per-rule messages, these win over message
+ * minLength, maxLength, min, max and oneOf may be functions of (values, context).
+ * Messages may be strings with {param} placeholders or functions of (params, values, context).
+ * Strings go through SchemaValidator.translate(message, params), so they can be catalog keys
+ * such as 'validation.required' once validator.js connects the i18n layer.
+ */
+
+class SchemaValidator {
+    static getDefaultMessages() {
+        return {
+            required: 'validation.required',
+            number: 'validation.number',
+            integer: 'validation.integer',
+            range: 'validation.range',
+            min: 'validation.min',
+            max: 'validation.max',
+            minLength: 'validation.minLength',
+            maxLength: 'validation.maxLength',
+            pattern: 'validation.pattern',
+            oneOf: 'validation.oneOf'
+        };
+    }
+
+    /**
+     * Validate every field, then the cross-field rules. Async checks are skipped.
+     * @param {Object} schema
+     * @param {Object} values - Raw values keyed by field name
+     * @param {Object} [context] - Anything rules need that is not a field value
+     * @returns {{valid: boolean, errors: Object, values: Object}} Errors and normalized values keyed by field name
+     */
+    static validate(schema, values, context = {}) {
+        const errors = {};
+        const normalized = { ...values };
+
+        Object.keys(schema.fields).forEach(field => {
+            const result = SchemaValidator.validateValue(schema.fields[field], values[field], values, context);
+            normalized[field] = result.value;
+            if (result.error) {
+                errors[field] = result.error;
+            }
+        });
+
+        (schema.rules || []).forEach(rule => {
+            // A cross-field rule only runs once the field it reports on is valid by itself
+            if (errors[rule.field] || rule.test(normalized, context)) return;
+            errors[rule.field] = SchemaValidator.formatMessage(rule.message, {}, normalized, context);
+        });
+
+        return { valid: Object.keys(errors).length === 0, errors, values: normalized };
+    }
+
+    /**
+     * validate() plus the async checks of fields that passed everything else,
+     * e.g. asking the server whether a slot is still free.
+     */
+    static async validateAsync(schema, values, context = {}) {
+        const result = SchemaValidator.validate(schema, values, context);
+
+        const checks = [];
+        Object.keys(schema.fields).forEach(field => {
+            if (result.errors[field]) return;
+            (schema.fields[field].async || []).forEach(check => {
+                checks.push(Promise.resolve(check.test(result.values[field], result.values, context))
+                    .then(passed => ({ field, check, passed })));
+            });
+        });
+
+        (await Promise.all(checks)).forEach(({ field, check, passed }) => {
+            if (!passed && !result.errors[field]) {
+                result.errors[field] = SchemaValidator.formatMessage(check.message, {}, result.values, context);
+            }
+        });
+
+        result.valid = Object.keys(result.errors).length === 0;
+        return result;
+    }
+
+    /**
+     * Validate a single field of a schema, e.g. on blur.
+     * @returns {string|null} The error message, or null when the field is valid
+     */
+    static validateField(schema, field, values, context = {}) {
+        const rules = schema.fields[field];
+        if (!rules) return null;
+
+        const { error, value } = SchemaValidator.validateValue(rules, values[field], values, context);
+        if (error) return error;
+
+        const normalized = { ...values, [field]: value };
+        const failed = (schema.rules || []).find(rule => rule.field === field && !rule.test(normalized, context));
+        return failed ? SchemaValidator.formatMessage(failed.message, {}, normalized, context) : null;
+    }
+
+    /**
+     * Check one value against one field's rules.
+     * @returns {{error: string|null, value: *}} The first error, and the trimmed/normalized (or numeric) value
+     */
+    static validateValue(rules, rawValue, values = {}, context = {}) {
+        const resolve = (option) => typeof option === 'function' ? option(values, context) : option;
+        const fail = (rule, params = {}) => ({
+            error: SchemaValidator.getMessage(rules, rule, params, values, context),
+            value: rawValue
+        });
+
+        if (rules.when && !rules.when(values, context)) {
+            return { error: null, value: rawValue };
+        }
+
+        let value = rawValue === undefined || rawValue === null ? '' : rawValue;
+        if (typeof value === 'number' && rules.type === 'number') {
+            value = String(value);
+        }
+        if (typeof value !== 'string') {
+            // JSON bodies can carry arrays or objects where text is expected
+            return fail(rules.type === 'number' ? 'number' : 'pattern');
+        }
+
+        value = value.trim();
+        if (rules.normalize && value !== '') {
+            value = rules.normalize(value, values, context);
+        }
+
+        if (value === '') {
+            return rules.required ? fail('required') : { error: null, value: '' };
+        }
+
+        if (rules.type === 'number') {
+            value = Number(value);
+            if (!isFinite(value)) return fail('number');
+        }
+
+        const minLength = resolve(rules.minLength);
+        const maxLength = resolve(rules.maxLength);
+        if (minLength !== undefined && String(value).length < minLength) return fail('minLength', { minLength });
+        if (maxLength !== undefined && String(value).length > maxLength) return fail('maxLength', { maxLength });
+
+        if (rules.pattern && !rules.pattern.test(String(value))) return fail('pattern');
+
+        if (rules.integer && !Number.isInteger(Number(value))) return fail('integer');
+
+        const min = resolve(rules.min);
+        const max = resolve(rules.max);
+        const outOfRange = (min !== undefined && value < min) || (max !== undefined && value > max);
+        if (outOfRange) {
+            const rule = min !== undefined && max !== undefined ? 'range' : (min !== undefined ? 'min' : 'max');
+            return fail(rule, { min, max });
+        }
+
+        const oneOf = resolve(rules.oneOf);
+        if (oneOf && !oneOf.includes(value)) return fail('oneOf');
+
+        const failedCheck = (rules.custom || []).find(check => !check.test(value, values, context));
+        if (failedCheck) {
+            return {
+                error: SchemaValidator.formatMessage(failedCheck.message || rules.message, {}, values, context),
+                value: rawValue
+            };
+        }
+
+        return { error: null, value };
+    }
+
+    static getMessage(rules, rule, params, values, context) {
+        const messages = rules.messages || {};
+        const template = messages[rule] || (rule !== 'required' && rules.message) || SchemaValidator.getDefaultMessages()[rule];
+
+        return SchemaValidator.formatMessage(template, params, values, context);
+    }
+
+    static formatMessage(template, params, values, context) {
+        if (typeof template === 'function') {
+            return template(params, values, context);
+        }
+
+        return SchemaValidator.translate(template || SchemaValidator.getDefaultMessages().pattern, params);
+    }
+
+    /**
+     * Fill in {param} placeholders. Replaced by the i18n layer to look messages up in a catalog.
+     */
+    static translate(message, params) {
+        return String(message).replace(/\{(\w+)\}/g, (match, key) => {
+            const param = params[key];
+            if (param === undefined) return match;
+            return typeof param === 'number' ? param.toLocaleString() : String(param);
+        });
+    }
+}
+
+// Shared with the Node server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SchemaValidator };
+}
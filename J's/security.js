@@ -12,7 +12,6 @@ class SecurityFramework {
         this.setSecurityHeaders();
         this.preventXSS();
         this.setupCSRFProtection();
-        this.initializeRateLimiting();
     }
 
     setSecurityHeaders() {
@@ -43,81 +42,112 @@ class SecurityFramework {
     }
 
     setupCSRFProtection() {
-        this.csrfToken = this.generateToken();
-        sessionStorage.setItem('csrf_token', this.csrfToken);
+        // Issued by the server (GET /api/csrf) when first needed; each token is accepted once
+        // and the reply to every protected request carries the next one
+        this.csrfUrl = '/api/csrf';
+        this.csrfToken = null;
+        this.csrfExpiresAt = 0;
+        this.csrfLoading = null;
     }
 
-    generateToken() {
-        return 'elyra_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-    }
+    /**
+     * A valid CSRF token, fetched from the server when there is none or it is about to expire.
+     * @returns {Promise<string>}
+     */
+    getCSRFToken() {
+        if (this.csrfToken && this.csrfExpiresAt - Date.now() > 60000) {
+            return Promise.resolve(this.csrfToken);
+        }
 
-    validateCSRF(token) {
-        const storedToken = sessionStorage.getItem('csrf_token');
-        return token === storedToken;
+        if (!this.csrfLoading) {
+            this.csrfLoading = fetch(this.csrfUrl, { credentials: 'same-origin', cache: 'no-store' })
+                .then(response => {
+                    if (!response.ok) {
+                        const error = new Error(`Could not get a CSRF token (status ${response.status})`);
+                        error.status = response.status;
+                        throw error;
+                    }
+                    return response.json();
+                })
+                .then(({ token, expiresAt }) => {
+                    this.setCSRFToken(token, expiresAt);
+                    return token;
+                })
+                .finally(() => {
+                    this.csrfLoading = null;
+                });
+        }
+
+        return this.csrfLoading;
     }
 
-    initializeRateLimiting() {
-        this.rateLimitStore = new Map();
-        
-        setInterval(() => {
-            this.rateLimitStore.clear();
-        }, 60000); // Clear every minute
+    setCSRFToken(token, expiresAt) {
+        this.csrfToken = token;
+        this.csrfExpiresAt = Number(expiresAt) || 0;
     }
 
-    checkRateLimit(key, maxRequests = 5) {
-        const now = Date.now();
-        const windowStart = now - 60000; // 1 minute window
-        
-        // Clean old entries
-        for (let [storedKey, data] of this.rateLimitStore) {
-            if (data.timestamp < windowStart) {
-                this.rateLimitStore.delete(storedKey);
-            }
+    // The server rotates the token on every protected request
+    storeRotatedCSRFToken(response) {
+        const token = response.headers.get('X-CSRF-Token');
+        if (token) {
+            this.setCSRFToken(token, response.headers.get('X-CSRF-Token-Expires'));
         }
-        
-        const existing = this.rateLimitStore.get(key);
-        
-        if (!existing) {
-            this.rateLimitStore.set(key, {
-                count: 1,
-                timestamp: now
-            });
-            return true;
-        }
-        
-        if (existing.count >= maxRequests) {
-            return false;
+    }
+
+    /**
+     * Random hex string from the browser's cryptographic random source.
+     * @param {number} [bytes] - Amount of randomness; the string is twice as long
+     */
+    generateToken(bytes = 16) {
+        const values = crypto.getRandomValues(new Uint8Array(bytes));
+        return Array.from(values, value => value.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Unique key per logical submission so the server can ignore retries it has already handled
+    generateIdempotencyKey() {
+        if (window.crypto && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
         }
-        
-        existing.count++;
-        existing.timestamp = now;
-        return true;
+
+        return this.generateToken(16);
     }
 
-    // Secure fetch wrapper
-    async secureFetch(url, options = {}) {
-        const defaultOptions = {
-            credentials: 'same-origin',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-CSRF-Token': this.csrfToken
-            }
-        };
+    /**
+     * Secure fetch wrapper. Requests that change something carry the CSRF token;
+     * when the server turns one down (403: expired, already used, or the server restarted)
+     * a new token is fetched and the request is sent once more.
+     */
+    async secureFetch(url, options = {}, isRetry = false) {
+        const method = (options.method || 'GET').toUpperCase();
+        const csrfHeaders = method === 'GET' || method === 'HEAD'
+            ? {}
+            : { 'X-CSRF-Token': await this.getCSRFToken() };
 
         const mergedOptions = {
-            ...defaultOptions,
+            credentials: 'same-origin',
             ...options,
             headers: {
-                ...defaultOptions.headers,
+                'Content-Type': 'application/json',
+                ...csrfHeaders,
                 ...options.headers
             }
         };
 
         try {
             const response = await fetch(url, mergedOptions);
-            
+            this.storeRotatedCSRFToken(response);
+
+            if (response.status === 403 && csrfHeaders['X-CSRF-Token'] && !isRetry) {
+                this.csrfToken = null;
+                return this.secureFetch(url, options, true);
+            }
+
             if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                const error = new Error(`HTTP error! status: ${response.status}`);
+                // Keep the server's explanation (e.g. field errors) for the caller
+                error.status = response.status;
+                error.body = await response.json().catch(() => null);
+                throw error;
             }
             
             return await response.json();
@@ -128,43 +158,5 @@ class SecurityFramework {
     }
 }
 
-// Input validation utilities
-class InputValidator {
-    static validateEmail(email) {
-        const emailRegex = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
-        return emailRegex.test(email);
-    }
-
-    static validatePhone(phone) {
-        // Kenyan phone number validation
-        const phoneRegex = /^(\+?254|0)?[17]\d{8}$/;
-        return phoneRegex.test(phone.replace(/\s/g, ''));
-    }
-
-    static validateName(name) {
-        return typeof name === 'string' && 
-               name.trim().length >= 2 && 
-               name.trim().length <= 50 &&
-               /^[a-zA-Z\s\-']+$/.test(name);
-    }
-
-    static sanitizeInput(input) {
-        if (typeof input !== 'string') return '';
-        
-        return input
-            .trim()
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&#x27;')
-            .replace(/\//g, '&#x2F;');
-    }
-
-    static validateNumber(value, min = 0, max = Number.MAX_SAFE_INTEGER) {
-        const num = Number(value);
-        return !isNaN(num) && num >= min && num <= max;
-    }
-}
-
 // Initialize security framework
 const Security = new SecurityFramework();
@@ -0,0 +1,210 @@
+/**
+ * Offline Submission Queue
+ * Keeps form submissions that could not be sent in IndexedDB and retries them
+ * with exponential backoff, when the browser comes back online and when the site is opened again.
+ * Each submission carries an idempotency key so a retry never creates a duplicate inquiry.
+ */
+
+class SubmissionQueue extends EventTarget {
+    constructor(databaseName = 'elyra_outbox') {
+        super();
+        this.databaseName = databaseName;
+        this.storeName = 'submissions';
+        this.baseDelay = 5000;
+        this.maxDelay = 30 * 60 * 1000;
+        this.database = null;
+        this.flushing = null;
+        this.retryTimer = null;
+        this.init();
+    }
+
+    init() {
+        if (!this.isSupported()) return;
+
+        // Connectivity is back: retry everything now rather than waiting out the backoff
+        window.addEventListener('online', () => this.flush({ force: true }));
+
+        // Anything left over from an earlier visit is retried when the site opens
+        this.flush({ force: true });
+    }
+
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * A new submission for send() or enqueue().
+     * @param {string} url - API endpoint
+     * @param {Object} payload - JSON body
+     */
+    createSubmission(url, payload) {
+        return {
+            id: Security.generateIdempotencyKey(),
+            url,
+            payload,
+            createdAt: Date.now(),
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            lastError: null
+        };
+    }
+
+    /**
+     * Send a submission once. The idempotency key lets the server recognise retries.
+     */
+    send(submission) {
+        // secureFetch adds a current CSRF token, so a submission queued in an earlier visit still goes through
+        return Security.secureFetch(submission.url, {
+            method: 'POST',
+            headers: { 'Idempotency-Key': submission.id },
+            body: JSON.stringify(submission.payload)
+        });
+    }
+
+    /**
+     * Network failures, timeouts, throttling and server errors are worth retrying.
+     * Other HTTP errors (validation, CSRF) will fail the same way every time.
+     */
+    isRetryable(error) {
+        return !error.status || error.status === 408 || error.status === 429 || error.status >= 500;
+    }
+
+    // A throttled request is not retried before the server says it may be
+    getRetryAfterDelay(error) {
+        const retryAfter = error.status === 429 && error.body ? error.body.retryAfter : null;
+        return Number.isFinite(retryAfter) ? retryAfter * 1000 : 0;
+    }
+
+    getBackoffDelay(attempts) {
+        const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempts - 1));
+        // Jitter keeps many visitors from retrying in lockstep after an outage
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    async enqueue(submission) {
+        if (!this.isSupported()) {
+            throw new Error('Offline storage is not available in this browser');
+        }
+
+        submission.attempts += 1;
+        submission.nextAttemptAt = Date.now() + this.getBackoffDelay(submission.attempts);
+        await this.put(submission);
+
+        this.dispatchChange();
+        this.scheduleRetry();
+        return submission;
+    }
+
+    /**
+     * Try every queued submission that is due (or all of them with force).
+     * Only one flush runs at a time per page.
+     */
+    flush(options = {}) {
+        if (!this.flushing) {
+            this.flushing = this.processQueue(options)
+                .catch(error => console.error('Submission queue error:', error))
+                .finally(() => {
+                    this.flushing = null;
+                    this.dispatchChange();
+                    this.scheduleRetry();
+                });
+        }
+
+        return this.flushing;
+    }
+
+    async processQueue({ force = false } = {}) {
+        const submissions = (await this.getAll()).sort((a, b) => a.createdAt - b.createdAt);
+
+        for (const submission of submissions) {
+            if (!force && submission.nextAttemptAt > Date.now()) continue;
+
+            try {
+                const result = await this.send(submission);
+                await this.remove(submission.id);
+                this.dispatchEvent(new CustomEvent('sent', { detail: { submission, result } }));
+            } catch (error) {
+                if (!this.isRetryable(error)) {
+                    await this.remove(submission.id);
+                    this.dispatchEvent(new CustomEvent('failed', { detail: { submission, error } }));
+                    continue;
+                }
+
+                submission.attempts += 1;
+                submission.nextAttemptAt = Date.now() + Math.max(this.getBackoffDelay(submission.attempts), this.getRetryAfterDelay(error));
+                submission.lastError = error.message;
+                await this.put(submission);
+
+                // Still offline: the rest would fail the same way
+                if (!error.status) break;
+            }
+        }
+    }
+
+    async scheduleRetry() {
+        clearTimeout(this.retryTimer);
+
+        const submissions = await this.getAll().catch(() => []);
+        if (submissions.length === 0) return;
+
+        const nextAttempt = Math.min(...submissions.map(submission => submission.nextAttemptAt));
+        this.retryTimer = setTimeout(() => this.flush(), Math.max(1000, nextAttempt - Date.now()));
+    }
+
+    async count() {
+        return (await this.getAll()).length;
+    }
+
+    async dispatchChange() {
+        const pending = await this.count().catch(() => 0);
+        this.dispatchEvent(new CustomEvent('change', { detail: { pending } }));
+    }
+
+    // IndexedDB access
+    openDatabase() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                // Not kept, so the next request opens the database again
+                this.database = null;
+                throw error;
+            });
+        }
+
+        return this.database;
+    }
+
+    async request(mode, operation) {
+        const database = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    getAll() {
+        if (!this.isSupported()) return Promise.resolve([]);
+        return this.request('readonly', store => store.getAll());
+    }
+
+    put(submission) {
+        return this.request('readwrite', store => store.put(submission));
+    }
+
+    remove(id) {
+        return this.request('readwrite', store => store.delete(id));
+    }
+}
+
+// Initialize submission queue
+const FormQueue = new SubmissionQueue();
@@ -0,0 +1,134 @@
+/**
+ * Safe Templating
+ * Builds page markup with a tagged template that escapes every interpolated value,
+ * and renders it into the page, optionally patching the existing DOM instead of replacing it.
+ *
+ *   Template.html`<h2>${I18n.t('contact.heading')}</h2><ul>${items.map(item => Template.html`<li>${item}</li>`)}</ul>`
+ *
+ * Values are escaped unless they are markup from Template.html itself or explicitly
+ * marked with Template.trusted(). Arrays are rendered item by item under the same rules;
+ * null, undefined and false render nothing.
+ */
+
+class TrustedHtml {
+    constructor(markup) {
+        this.markup = String(markup);
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+class TemplateRenderer {
+    html(strings, ...values) {
+        const markup = strings.reduce((result, string, index) =>
+            result + string + (index < values.length ? this.toMarkup(values[index]) : ''), '');
+
+        return new TrustedHtml(markup);
+    }
+
+    /**
+     * Opt in to inserting markup as it is. Only for markup the site itself controls,
+     * never for user input, server responses or translations.
+     */
+    trusted(markup) {
+        return new TrustedHtml(markup);
+    }
+
+    toMarkup(value) {
+        if (value instanceof TrustedHtml) return value.markup;
+        if (Array.isArray(value)) return value.map(item => this.toMarkup(item)).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return this.escape(value);
+    }
+
+    escape(value) {
+        return String(value).replace(/[&<>"'`]/g, character => `&#${character.charCodeAt(0)};`);
+    }
+
+    /**
+     * Parse markup into a fragment. Plain strings are treated as text.
+     * Inline event handlers are never used by the site, so any that appear are dropped.
+     */
+    fragment(content) {
+        const template = document.createElement('template');
+        template.innerHTML = content instanceof TrustedHtml ? content.markup : this.escape(content);
+
+        template.content.querySelectorAll('*').forEach(element => {
+            Array.from(element.attributes)
+                .filter(attribute => attribute.name.toLowerCase().startsWith('on'))
+                .forEach(attribute => element.removeAttribute(attribute.name));
+        });
+
+        return template.content;
+    }
+
+    /**
+     * Render content into a container.
+     * @param {Element} container
+     * @param {TrustedHtml|string} content - Markup from Template.html; a plain string is shown as text
+     * @param {Object} [options]
+     * @param {boolean} [options.patch] - Update the existing elements in place, so focus, typed
+     *   values and scroll positions survive; otherwise the contents are replaced
+     */
+    render(container, content, options = {}) {
+        const fragment = this.fragment(content);
+
+        if (options.patch) {
+            this.patchChildren(container, fragment);
+        } else {
+            container.replaceChildren(fragment);
+        }
+    }
+
+    // Children are matched by position; an element is reused when its tag and id are unchanged
+    patchChildren(current, next) {
+        const currentNodes = Array.from(current.childNodes);
+        const nextNodes = Array.from(next.childNodes);
+
+        nextNodes.forEach((nextNode, index) => {
+            const currentNode = currentNodes[index];
+
+            if (!currentNode) {
+                current.appendChild(nextNode);
+            } else if (this.isSameNode(currentNode, nextNode)) {
+                this.patchNode(currentNode, nextNode);
+            } else {
+                current.replaceChild(nextNode, currentNode);
+            }
+        });
+
+        currentNodes.slice(nextNodes.length).forEach(node => node.remove());
+    }
+
+    isSameNode(current, next) {
+        if (current.nodeType !== next.nodeType) return false;
+        if (current.nodeType !== Node.ELEMENT_NODE) return true;
+
+        return current.tagName === next.tagName && current.id === next.id;
+    }
+
+    patchNode(current, next) {
+        if (current.nodeType !== Node.ELEMENT_NODE) {
+            if (current.nodeValue !== next.nodeValue) {
+                current.nodeValue = next.nodeValue;
+            }
+            return;
+        }
+
+        Array.from(current.attributes)
+            .filter(attribute => !next.hasAttribute(attribute.name))
+            .forEach(attribute => current.removeAttribute(attribute.name));
+
+        // Attributes only; the live value of a control the visitor has changed is left alone
+        Array.from(next.attributes)
+            .filter(attribute => current.getAttribute(attribute.name) !== attribute.value)
+            .forEach(attribute => current.setAttribute(attribute.name, attribute.value));
+
+        this.patchChildren(current, next);
+    }
+}
+
+// Initialize templating
+const Template = new TemplateRenderer();
@@ -0,0 +1,199 @@
+/**
+ * Input Validation Utilities
+ * Validation schemas for the site's forms, shared by the browser and the Node server
+ * so both apply the same rules. Built on the SchemaValidator engine; messages are
+ * i18n catalog keys, so errors show in the visitor's language.
+ */
+
+// A browser global from schema-validator.js; Node loads it here
+const ValidationEngine = typeof SchemaValidator !== 'undefined'
+    ? SchemaValidator
+    : require('./schema-validator.js').SchemaValidator;
+const PhoneNumberLookup = typeof PhoneNumbers !== 'undefined'
+    ? PhoneNumbers
+    : require('./phone-numbers.js').PhoneNumbers;
+const Translations = typeof I18n !== 'undefined'
+    ? I18n
+    : require('./i18n.js').I18n;
+
+ValidationEngine.translate = (message, params) => Translations.t(message, params);
+
+// Rules shared by more than one form
+const ValidationRules = {
+    name: {
+        required: true,
+        minLength: 2,
+        maxLength: 50,
+        pattern: /^[a-zA-Z\s\-']+$/,
+        message: 'validation.name'
+    },
+    email: {
+        required: true,
+        maxLength: 254,
+        pattern: /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/,
+        message: 'validation.email'
+    },
+    phone: {
+        // National numbers are read for the selected country (Kenya by default); valid numbers become E.164
+        required: true,
+        maxLength: 30,
+        normalize: (value, values) => PhoneNumberLookup.toE164(value, values.phoneCountry) || value,
+        custom: [{ test: (value, values) => PhoneNumberLookup.isValid(value, values.phoneCountry) }],
+        message: (params, values) => {
+            const country = PhoneNumberLookup.getCountry(values.phoneCountry);
+            return Translations.t('validation.phone', {
+                country: Translations.formatRegion(country.code, country.name),
+                example: PhoneNumberLookup.getExample(country.code)
+            });
+        }
+    },
+    phoneCountry: {
+        // Older clients and queued submissions do not send it: treated as Kenya
+        oneOf: () => PhoneNumberLookup.getCountryCodes(),
+        message: 'validation.phoneCountry'
+    }
+};
+
+const ValidationSchemas = {
+    contact: {
+        fields: {
+            name: ValidationRules.name,
+            email: ValidationRules.email,
+            phone: ValidationRules.phone,
+            phoneCountry: ValidationRules.phoneCountry,
+            businessType: {
+                required: true,
+                oneOf: ['safari-lodge', 'tour-operator', 'corporate', 'luxury-travel', 'other'],
+                messages: { required: 'validation.oneOf' }
+            },
+            vehicleCount: {
+                required: true,
+                oneOf: ['1-3', '4-6', '7-10', '10+'],
+                messages: { required: 'validation.oneOf' }
+            },
+            message: {
+                maxLength: 2000,
+                message: 'validation.message'
+            }
+        }
+    },
+
+    /**
+     * Demo safari booking. Context: { slot, location, vehicleClasses } with the chosen slot
+     * and its location (null when the slot does not exist or is closed), and the vehicle class ids.
+     * The browser can add context.checkSlot(slotId, guests) to recheck seats with the server.
+     */
+    booking: {
+        fields: {
+            slotId: {
+                required: true,
+                custom: [{ test: (value, values, context) => Boolean(context.slot && context.location) }],
+                message: 'validation.slot',
+                messages: { required: 'validation.slot' },
+                async: [{
+                    test: (value, values, context) => context.checkSlot ? context.checkSlot(value, values.guests) : true,
+                    message: 'validation.slotTaken'
+                }]
+            },
+            guests: {
+                required: true,
+                type: 'number',
+                integer: true,
+                min: 1,
+                max: (values, context) => context.location ? context.location.maxGuests : 1,
+                message: (params, values, context) => Translations.t('validation.guests', {
+                    max: context.location ? context.location.maxGuests : 1
+                })
+            },
+            vehicleClass: {
+                // Empty means "no preference"
+                oneOf: (values, context) => context.vehicleClasses,
+                message: 'validation.vehicleClass'
+            },
+            name: ValidationRules.name,
+            email: ValidationRules.email,
+            phone: ValidationRules.phone,
+            phoneCountry: ValidationRules.phoneCountry,
+            company: {
+                maxLength: 100,
+                message: 'validation.company'
+            },
+            notes: {
+                maxLength: 1000,
+                message: 'validation.notes'
+            }
+        },
+        rules: [{
+            field: 'guests',
+            test: (values, context) => !context.slot || values.guests <= context.slot.seats,
+            message: (params, values, context) => Translations.t('validation.seatsLeft', { count: context.slot.seats })
+        }]
+    }
+};
+
+class InputValidator {
+    static isValid(rules, value) {
+        return ValidationEngine.validateValue(rules, value).error === null;
+    }
+
+    static validateEmail(email) {
+        return InputValidator.isValid(ValidationRules.email, email);
+    }
+
+    static validatePhone(phone, phoneCountry) {
+        return ValidationEngine.validateValue(ValidationRules.phone, phone, { phoneCountry }).error === null;
+    }
+
+    /**
+     * @param {string} phone - As typed
+     * @param {string} [phoneCountry] - Country code from the selector, for national numbers
+     * @returns {string|null} The number in E.164 format, or null when it is not valid
+     */
+    static normalizePhone(phone, phoneCountry) {
+        return PhoneNumberLookup.toE164(phone, phoneCountry);
+    }
+
+    static validateName(name) {
+        return InputValidator.isValid(ValidationRules.name, name);
+    }
+
+    static sanitizeInput(input) {
+        if (typeof input !== 'string') return '';
+
+        return input
+            .trim()
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#x27;')
+            .replace(/\//g, '&#x2F;');
+    }
+
+    static validateNumber(value, min = 0, max = Number.MAX_SAFE_INTEGER) {
+        return InputValidator.isValid({ required: true, type: 'number', min, max }, value);
+    }
+
+    /**
+     * Validate a whole contact submission.
+     * @param {Object} data - Raw field values keyed by field name
+     * @returns {Object} Error messages keyed by field name; empty when valid
+     */
+    static validateContactSubmission(data) {
+        return ValidationEngine.validate(ValidationSchemas.contact, data).errors;
+    }
+
+    /**
+     * Validate a demo safari booking.
+     * @param {Object} data - Raw booking values keyed by field name
+     * @param {Object} context - See ValidationSchemas.booking
+     * @returns {Object} Error messages keyed by field name; empty when valid
+     */
+    static validateBookingSubmission(data, context) {
+        return ValidationEngine.validate(ValidationSchemas.booking, data, context).errors;
+    }
+}
+
+// Shared with the Node server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { InputValidator, ValidationSchemas, ValidationRules };
+}
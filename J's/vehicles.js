@@ -0,0 +1,77 @@
+/**
+ * Vehicle Class Catalog
+ * Loads the vehicle classes a quote can include from data/vehicle-classes.json
+ */
+
+class VehicleCatalog {
+    constructor(configUrl = 'data/vehicle-classes.json') {
+        this.configUrl = configUrl;
+        this.config = null;
+    }
+
+    async load(options = {}) {
+        this.config = await loadJsonConfig(this.configUrl, config => this.validateConfig(config), options);
+        return this.config;
+    }
+
+    validateConfig(config) {
+        if (!config || !Array.isArray(config.classes) || config.classes.length === 0) {
+            throw new Error('Invalid vehicle config: no vehicle classes defined');
+        }
+
+        config.classes.forEach(vehicleClass => {
+            if (!vehicleClass.id || !vehicleClass.label || !Array.isArray(vehicleClass.allowedModels)) {
+                throw new Error(`Invalid vehicle config: "${vehicleClass.id}" needs an id, label and allowedModels`);
+            }
+        });
+
+        return {
+            maxFleetSize: 200,
+            maxVehiclesPerRow: 50,
+            ...config,
+            fuel: {
+                currency: 'KES',
+                pumpPricePerLitre: null,
+                ...config.fuel
+            }
+        };
+    }
+
+    ensureLoaded() {
+        if (!this.config) {
+            throw new Error('Vehicle classes have not been loaded yet');
+        }
+    }
+
+    getClasses() {
+        this.ensureLoaded();
+        return this.config.classes;
+    }
+
+    getClass(classId) {
+        return this.getClasses().find(vehicleClass => vehicleClass.id === classId) || null;
+    }
+
+    isModelAllowed(classId, modelId) {
+        const vehicleClass = this.getClass(classId);
+        return Boolean(vehicleClass) && vehicleClass.allowedModels.includes(modelId);
+    }
+
+    getDefaultPumpPrice() {
+        this.ensureLoaded();
+        return this.config.fuel.pumpPricePerLitre;
+    }
+
+    getMaxFleetSize() {
+        this.ensureLoaded();
+        return this.config.maxFleetSize;
+    }
+
+    getMaxVehiclesPerRow() {
+        this.ensureLoaded();
+        return this.config.maxVehiclesPerRow;
+    }
+}
+
+// Initialize vehicle catalog
+const Vehicles = new VehicleCatalog();
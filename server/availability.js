@@ -0,0 +1,49 @@
+/**
+ * Availability API
+ * GET /api/availability - the published demo safari slots with seats already booked taken off
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { sendJson } = require('./http-utils');
+
+class AvailabilityService {
+    /**
+     * @param {string} feedPath - Published slot schedule (data/availability.json)
+     * @param {RecordStore} bookingStore - Confirmed bookings
+     */
+    constructor(feedPath, bookingStore) {
+        this.feedPath = feedPath;
+        this.bookingStore = bookingStore;
+    }
+
+    async getBookedSeats() {
+        const booked = new Map();
+        (await this.bookingStore.readAll()).forEach(booking => {
+            booked.set(booking.slotId, (booked.get(booking.slotId) || 0) + booking.guests);
+        });
+        return booked;
+    }
+
+    /**
+     * The feed as the browser sees it: future slots only, with remaining seats.
+     */
+    async getFeed(now = new Date()) {
+        const feed = JSON.parse(await fs.promises.readFile(this.feedPath, 'utf8'));
+        const booked = await this.getBookedSeats();
+        const utcOffset = feed.utcOffset || '+03:00';
+
+        const slots = feed.slots
+            .filter(slot => new Date(`${slot.date}T${slot.start}:00${utcOffset}`) > now)
+            .map(slot => ({ ...slot, seats: Math.max(0, slot.seats - (booked.get(slot.id) || 0)) }));
+
+        return { ...feed, utcOffset, generatedAt: now.toISOString(), slots };
+    }
+
+    async handle(req, res) {
+        sendJson(res, 200, await this.getFeed());
+    }
+}
+
+module.exports = { AvailabilityService };
@@ -0,0 +1,132 @@
+/**
+ * Bookings API
+ * POST /api/bookings - books seats on a demo safari slot
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { InputValidator } = require("../J's/validator.js");
+const { HttpError, sendJson, readJsonBody, getClientAddress, getIdempotencyKey } = require('./http-utils');
+
+class BookingHandler {
+    /**
+     * @param {RecordStore} store - Confirmed bookings
+     * @param {AvailabilityService} availability
+     * @param {string} vehicleClassesPath - data/vehicle-classes.json
+     * @param {RateLimiter} limiter - Must have a "booking" limit, counted per client address
+     */
+    constructor(store, availability, vehicleClassesPath, limiter) {
+        this.store = store;
+        this.availability = availability;
+        this.vehicleClassesPath = vehicleClassesPath;
+        this.limiter = limiter;
+        this.fields = ['vehicleClass', 'name', 'email', 'phone', 'company', 'notes'];
+        // Seat checks and writes run one booking at a time so two guests cannot take the last seat
+        this.booking = Promise.resolve();
+    }
+
+    async handle(req, res) {
+        try {
+            const body = await readJsonBody(req);
+            const idempotencyKey = getIdempotencyKey(req);
+            const clientAddress = getClientAddress(req);
+
+            const result = this.booking.then(() => this.createBooking(body, idempotencyKey, clientAddress));
+            this.booking = result.catch(() => {});
+
+            const { record, duplicate, location, utcOffset } = await result;
+            sendJson(res, duplicate ? 200 : 201, {
+                success: true,
+                id: record.id,
+                booking: this.toPublicBooking(record, location, utcOffset)
+            }, duplicate ? { 'Idempotent-Replayed': 'true' } : {});
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                throw error;
+            }
+            sendJson(res, error.status, { success: false, error: error.message, ...error.body }, error.headers);
+        }
+    }
+
+    async createBooking(body, idempotencyKey, clientAddress) {
+        const feed = await this.availability.getFeed();
+        const findLocation = (locationId) => feed.locations.find(location => location.id === locationId) || null;
+
+        // A retry of a booking that went through must not be refused for lack of seats it took itself
+        if (idempotencyKey) {
+            const existing = await this.store.findByIdempotencyKey(idempotencyKey);
+            if (existing) {
+                return { record: existing, duplicate: true, location: findLocation(existing.locationId), utcOffset: feed.utcOffset };
+            }
+        }
+
+        // Only new bookings count, so a retry is never refused for the booking it repeats
+        this.checkRateLimit(clientAddress);
+
+        const slot = feed.slots.find(candidate => candidate.id === body.slotId) || null;
+        const location = slot ? findLocation(slot.locationId) : null;
+
+        if (slot && slot.seats === 0) {
+            throw new HttpError(409, 'This safari is now fully booked. Please choose another date or time.');
+        }
+
+        const errors = InputValidator.validateBookingSubmission(body, {
+            slot,
+            location,
+            vehicleClasses: await this.getVehicleClassIds()
+        });
+        if (Object.keys(errors).length > 0) {
+            throw new HttpError(422, 'Some fields need attention', { errors });
+        }
+
+        const booking = {
+            slotId: slot.id,
+            locationId: location.id,
+            date: slot.date,
+            start: slot.start,
+            end: slot.end,
+            guests: Number(body.guests)
+        };
+        this.fields.forEach(field => {
+            booking[field] = typeof body[field] === 'string' ? body[field].trim() : '';
+        });
+        booking.phone = InputValidator.normalizePhone(booking.phone, body.phoneCountry);
+
+        const { record, duplicate } = await this.store.add(booking, {
+            submittedAt: typeof body._timestamp === 'string' ? body._timestamp.substring(0, 40) : null
+        }, idempotencyKey);
+
+        return { record, duplicate, location, utcOffset: feed.utcOffset };
+    }
+
+    checkRateLimit(clientAddress) {
+        const limit = this.limiter.consume('booking', clientAddress);
+        if (!limit.allowed) {
+            throw new HttpError(429, 'Too many bookings, please try again later',
+                { retryAfter: limit.retryAfter }, { 'Retry-After': String(limit.retryAfter) });
+        }
+    }
+
+    async getVehicleClassIds() {
+        const config = JSON.parse(await fs.promises.readFile(this.vehicleClassesPath, 'utf8'));
+        return config.classes.map(vehicleClass => vehicleClass.id);
+    }
+
+    // What the browser needs for the confirmation and calendar file
+    toPublicBooking(record, location, utcOffset) {
+        return {
+            id: record.id,
+            slotId: record.slotId,
+            date: record.date,
+            start: record.start,
+            end: record.end,
+            utcOffset,
+            guests: record.guests,
+            vehicleClass: record.vehicleClass,
+            location: location ? { id: location.id, label: location.label, meetingPoint: location.meetingPoint } : null
+        };
+    }
+}
+
+module.exports = { BookingHandler };
@@ -0,0 +1,102 @@
+/**
+ * Contact API
+ * POST /api/contact - validates an inquiry again on the server and stores it
+ */
+
+'use strict';
+
+const { InputValidator } = require("../J's/validator.js");
+const { HttpError, sendJson, readJsonBody, getClientAddress, getIdempotencyKey } = require('./http-utils');
+
+class ContactHandler {
+    /**
+     * @param {RecordStore} store
+     * @param {RateLimiter} limiter - Must have a "contact" limit, counted per client address
+     */
+    constructor(store, limiter) {
+        this.store = store;
+        this.limiter = limiter;
+        this.fields = ['name', 'email', 'phone', 'businessType', 'vehicleCount', 'message'];
+    }
+
+    async handle(req, res) {
+        try {
+            const body = await readJsonBody(req);
+            const idempotencyKey = getIdempotencyKey(req);
+
+            // A queued retry of an inquiry already stored gets its answer back without spending a submission
+            if (idempotencyKey) {
+                const existing = await this.store.findByIdempotencyKey(idempotencyKey);
+                if (existing) {
+                    return sendJson(res, 200, { success: true, id: existing.id }, { 'Idempotent-Replayed': 'true' });
+                }
+            }
+
+            this.checkRateLimit(req);
+
+            const errors = InputValidator.validateContactSubmission(body);
+            if (Object.keys(errors).length > 0) {
+                throw new HttpError(422, 'Some fields need attention', { errors });
+            }
+
+            const inquiry = { ...this.pickFields(body), lead: this.pickLead(body.lead) };
+            const { record, duplicate } = await this.store.add(inquiry, {
+                submittedAt: typeof body._timestamp === 'string' ? body._timestamp.substring(0, 40) : null,
+                userAgent: typeof body._userAgent === 'string' ? body._userAgent.substring(0, 100) : null
+            }, idempotencyKey);
+
+            // A retried submission gets the original id back rather than a second inquiry
+            sendJson(res, duplicate ? 200 : 201, { success: true, id: record.id }, duplicate ? { 'Idempotent-Replayed': 'true' } : {});
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                throw error;
+            }
+            sendJson(res, error.status, { success: false, error: error.message, ...error.body }, error.headers);
+        }
+    }
+
+    checkRateLimit(req) {
+        const limit = this.limiter.consume('contact', getClientAddress(req));
+        if (!limit.allowed) {
+            throw new HttpError(429, 'Too many inquiries, please try again later',
+                { retryAfter: limit.retryAfter }, { 'Retry-After': String(limit.retryAfter) });
+        }
+    }
+
+    // Only known fields are stored, trimmed, with the phone number in E.164; anything else in the body is dropped
+    pickFields(body) {
+        const inquiry = {};
+        this.fields.forEach(field => {
+            inquiry[field] = typeof body[field] === 'string' ? body[field].trim() : '';
+        });
+        inquiry.phone = InputValidator.normalizePhone(inquiry.phone, body.phoneCountry);
+        return inquiry;
+    }
+
+    /**
+     * The lead score is worked out in the browser (see J's/lead-scoring.js) and only guides
+     * sales, so it is not recalculated here; anything not shaped like a score is dropped.
+     */
+    pickLead(lead) {
+        if (!lead || typeof lead !== 'object' || !Number.isFinite(lead.score)) {
+            return null;
+        }
+
+        const factors = {};
+        Object.entries(lead.factors && typeof lead.factors === 'object' ? lead.factors : {})
+            .filter(([factor, points]) => /^[a-zA-Z]{1,30}$/.test(factor) && Number.isFinite(points))
+            .slice(0, 10)
+            .forEach(([factor, points]) => {
+                factors[factor] = points;
+            });
+
+        return {
+            score: Math.min(100, Math.max(0, Math.round(lead.score))),
+            tier: typeof lead.tier === 'string' && /^[a-z-]{1,20}$/.test(lead.tier) ? lead.tier : null,
+            factors,
+            version: typeof lead.version === 'string' ? lead.version.substring(0, 20) : null
+        };
+    }
+}
+
+module.exports = { ContactHandler };
@@ -0,0 +1,203 @@
+/**
+ * Content Security Policy
+ * The strict policy sent with every page, and POST /api/csp-report, which logs the violations browsers report.
+ *
+ * The policy has no 'unsafe-inline' for scripts or styles. Inline <script> and <style> blocks in
+ * index.html (the JSON-LD structured data) are allowed by their SHA-256 hashes, worked out when
+ * the page is served and again whenever the file changes, so editing one never needs a policy edit.
+ * Browsers send reports in either of two formats:
+ *   application/csp-report   - { "csp-report": { "document-uri", "violated-directive", ... } } (report-uri)
+ *   application/reports+json - [{ "type": "csp-violation", "body": { "documentURL", ... } }] (report-to)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { HttpError, sendJson, readBody, getClientAddress } = require('./http-utils');
+
+class ContentSecurityPolicy {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.reportUri] - Where browsers send violation reports
+     */
+    constructor(options = {}) {
+        this.reportUri = options.reportUri || '/api/csp-report';
+        this.directives = {
+            'default-src': ["'self'"],
+            'script-src': ["'self'"],
+            'style-src': ["'self'"],
+            'img-src': ["'self'", 'data:', 'https:'],
+            'font-src': ["'self'"],
+            'connect-src': ["'self'"],
+            'object-src': ["'none'"],
+            'base-uri': ["'self'"],
+            'form-action': ["'self'"],
+            'frame-ancestors': ["'none'"]
+        };
+        // File path -> { mtimeMs, hashes } so a page is only hashed again when it changes
+        this.hashCache = new Map();
+    }
+
+    /**
+     * The SHA-256 source expressions for a document's inline blocks.
+     * @returns {{scripts: string[], styles: string[]}}
+     */
+    hashInlineBlocks(html) {
+        const hashBlocks = pattern => Array.from(html.matchAll(pattern), match =>
+            `'sha256-${crypto.createHash('sha256').update(match[1], 'utf8').digest('base64')}'`);
+
+        return {
+            // Only blocks without a src attribute are inline
+            scripts: hashBlocks(/<script\b(?![^>]*\bsrc\s*=)[^>]*>([\s\S]*?)<\/script\s*>/gi),
+            styles: hashBlocks(/<style\b[^>]*>([\s\S]*?)<\/style\s*>/gi)
+        };
+    }
+
+    async getHashes(filePath, stats) {
+        const cached = this.hashCache.get(filePath);
+        if (cached && cached.mtimeMs === stats.mtimeMs) {
+            return cached.hashes;
+        }
+
+        const hashes = this.hashInlineBlocks(await fs.promises.readFile(filePath, 'utf8'));
+        this.hashCache.set(filePath, { mtimeMs: stats.mtimeMs, hashes });
+        return hashes;
+    }
+
+    /**
+     * The policy header value, with the given inline blocks allowed.
+     */
+    build(hashes = { scripts: [], styles: [] }) {
+        const directives = {
+            ...this.directives,
+            'script-src': [...this.directives['script-src'], ...hashes.scripts],
+            'style-src': [...this.directives['style-src'], ...hashes.styles]
+        };
+
+        return Object.entries(directives)
+            .map(([name, sources]) => `${name} ${sources.join(' ')}`)
+            .concat([`report-uri ${this.reportUri}`, 'report-to csp-endpoint'])
+            .join('; ');
+    }
+
+    /**
+     * Headers for serving an HTML page.
+     * @param {string} filePath
+     * @param {fs.Stats} stats
+     */
+    async getPageHeaders(filePath, stats) {
+        return {
+            'Content-Security-Policy': this.build(await this.getHashes(filePath, stats)),
+            'Reporting-Endpoints': `csp-endpoint="${this.reportUri}"`
+        };
+    }
+}
+
+class CspReportHandler {
+    /**
+     * @param {RecordStore} store
+     * @param {RateLimiter} limiter - Must have a "cspReport" limit, counted per client address
+     */
+    constructor(store, limiter) {
+        this.store = store;
+        this.limiter = limiter;
+        this.contentTypes = ['application/csp-report', 'application/reports+json', 'application/json'];
+    }
+
+    // POST /api/csp-report
+    async handle(req, res) {
+        try {
+            const limit = this.limiter.consume('cspReport', getClientAddress(req));
+            if (!limit.allowed) {
+                // One page load can raise the same violation many times; the first few are enough
+                throw new HttpError(429, 'Too many reports', null, { 'Retry-After': String(limit.retryAfter) });
+            }
+
+            const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+            if (!this.contentTypes.includes(contentType)) {
+                throw new HttpError(415, 'Expected a CSP violation report');
+            }
+
+            let body;
+            try {
+                body = JSON.parse(await readBody(req, 64 * 1024));
+            } catch (error) {
+                if (error instanceof HttpError) throw error;
+                throw new HttpError(400, 'Malformed report');
+            }
+
+            const reports = this.parseReports(body);
+            if (reports.length === 0) {
+                throw new HttpError(400, 'No CSP violations in the report');
+            }
+
+            const userAgent = String(req.headers['user-agent'] || '').substring(0, 100);
+            for (const report of reports) {
+                console.warn(`CSP violation: ${report.directive} blocked ${report.blockedUrl || 'inline'} on ${report.documentUrl}`);
+                await this.store.add(report, { userAgent });
+            }
+
+            res.writeHead(204, { 'Cache-Control': 'no-store' });
+            res.end();
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                throw error;
+            }
+            sendJson(res, error.status, { success: false, error: error.message }, error.headers);
+        }
+    }
+
+    /**
+     * The violations in a report body, in either format, with only known fields kept.
+     * @returns {Object[]}
+     */
+    parseReports(body) {
+        if (Array.isArray(body)) {
+            return body
+                .filter(report => report && report.type === 'csp-violation' && report.body && typeof report.body === 'object')
+                .slice(0, 20)
+                .map(report => this.pickFields({
+                    documentUrl: report.body.documentURL,
+                    blockedUrl: report.body.blockedURL,
+                    directive: report.body.effectiveDirective,
+                    disposition: report.body.disposition,
+                    sourceFile: report.body.sourceFile,
+                    line: report.body.lineNumber,
+                    column: report.body.columnNumber,
+                    sample: report.body.sample
+                }));
+        }
+
+        const report = body && body['csp-report'];
+        if (!report || typeof report !== 'object') {
+            return [];
+        }
+
+        return [this.pickFields({
+            documentUrl: report['document-uri'],
+            blockedUrl: report['blocked-uri'],
+            directive: report['effective-directive'] || report['violated-directive'],
+            disposition: report.disposition,
+            sourceFile: report['source-file'],
+            line: report['line-number'],
+            column: report['column-number'],
+            sample: report['script-sample']
+        })];
+    }
+
+    // Strings are trimmed to a sensible length and anything else of the wrong type is dropped
+    pickFields(fields) {
+        const report = {};
+        Object.entries(fields).forEach(([name, value]) => {
+            if (name === 'line' || name === 'column') {
+                report[name] = Number.isInteger(value) && value >= 0 ? value : null;
+            } else {
+                report[name] = typeof value === 'string' ? value.substring(0, name === 'sample' ? 100 : 500) : null;
+            }
+        });
+        return report;
+    }
+}
+
+module.exports = { ContentSecurityPolicy, CspReportHandler };
@@ -0,0 +1,128 @@
+/**
+ * CSRF Tokens
+ * Signed, expiring, single-use tokens for every state-changing API route.
+ *
+ * GET /api/csrf issues a token in the JSON reply and in the HttpOnly elyra_csrf cookie.
+ * A POST must send the same token in the X-CSRF-Token header. Another site can neither
+ * read the token nor set the header, and the signature stops a cookie planted by
+ * anyone else from being accepted. Each token is accepted once; the reply to a
+ * protected request carries the next one in its X-CSRF-Token header.
+ *
+ * Token format: <nonce>.<expiresAt ms>.<HMAC-SHA256 of both>, all base64url or decimal.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { parseCookies, sendJson } = require('./http-utils');
+
+class CsrfTokens {
+    /**
+     * @param {Object} [options]
+     * @param {string|Buffer} [options.secret] - Signing key; a random one means tokens end with the process
+     * @param {number} [options.ttlMs] - How long a token stays valid
+     */
+    constructor(options = {}) {
+        this.secret = options.secret || crypto.randomBytes(32);
+        this.ttlMs = options.ttlMs || 2 * 60 * 60 * 1000;
+        this.cookieName = 'elyra_csrf';
+        // Nonces already accepted, until their token would have expired anyway
+        this.used = new Map();
+    }
+
+    issue(now = Date.now()) {
+        const nonce = crypto.randomBytes(18).toString('base64url');
+        const expiresAt = now + this.ttlMs;
+        const payload = `${nonce}.${expiresAt}`;
+
+        return { token: `${payload}.${this.sign(payload)}`, expiresAt };
+    }
+
+    sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+
+    /**
+     * Check a request's token without using it up.
+     * @returns {{nonce: string, expiresAt: number}|null}
+     */
+    verify(req, now = Date.now()) {
+        const headerToken = req.headers['x-csrf-token'];
+        const cookieToken = parseCookies(req.headers.cookie)[this.cookieName];
+
+        if (typeof headerToken !== 'string' || !tokensMatch(headerToken, cookieToken)) {
+            return null;
+        }
+
+        const [nonce, expires, signature] = headerToken.split('.');
+        const expiresAt = Number(expires);
+        if (!nonce || !signature || !Number.isFinite(expiresAt) || expiresAt <= now) {
+            return null;
+        }
+
+        if (!tokensMatch(signature, this.sign(`${nonce}.${expires}`)) || this.used.has(nonce)) {
+            return null;
+        }
+
+        return { nonce, expiresAt };
+    }
+
+    /**
+     * Accept a request's token once and hand out its replacement on the response.
+     * @returns {boolean} false when the token is missing, forged, expired or already used
+     */
+    consume(req, res, now = Date.now()) {
+        const token = this.verify(req, now);
+        if (!token) return false;
+
+        this.pruneUsed(now);
+        this.used.set(token.nonce, token.expiresAt);
+        this.setToken(req, res, this.issue(now));
+        return true;
+    }
+
+    pruneUsed(now) {
+        this.used.forEach((expiresAt, nonce) => {
+            if (expiresAt <= now) {
+                this.used.delete(nonce);
+            }
+        });
+    }
+
+    setToken(req, res, { token, expiresAt }) {
+        const secure = req.socket.encrypted ? '; Secure' : '';
+        res.setHeader('Set-Cookie',
+            `${this.cookieName}=${token}; Path=/; Max-Age=${Math.floor(this.ttlMs / 1000)}; HttpOnly; SameSite=Strict${secure}`);
+        res.setHeader('X-CSRF-Token', token);
+        res.setHeader('X-CSRF-Token-Expires', String(expiresAt));
+    }
+
+    // GET /api/csrf
+    handle(req, res) {
+        const issued = this.issue();
+        this.setToken(req, res, issued);
+        sendJson(res, 200, { token: issued.token, expiresAt: issued.expiresAt });
+    }
+
+    /**
+     * Wrap a route handler so it only runs with a valid token.
+     */
+    protect(handler) {
+        return (req, res, url) => {
+            if (!this.consume(req, res)) {
+                return sendJson(res, 403, { success: false, error: 'Invalid or missing CSRF token' });
+            }
+            return handler(req, res, url);
+        };
+    }
+}
+
+function tokensMatch(token, expected) {
+    if (typeof token !== 'string' || typeof expected !== 'string') return false;
+
+    const a = Buffer.from(token);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = { CsrfTokens };
@@ -0,0 +1,48 @@
+/**
+ * Daily Log
+ * Appends entries to newline-delimited JSON files, one file per UTC day (e.g. events-2026-10-18.ndjson),
+ * so old days can be archived or deleted without touching the current one.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+class DailyLog {
+    /**
+     * @param {string} dir - Directory the daily files are kept in
+     * @param {string} prefix - File name prefix, e.g. "events"
+     */
+    constructor(dir, prefix) {
+        this.dir = dir;
+        this.prefix = prefix;
+        // Appends are chained so concurrent requests never interleave lines
+        this.writing = Promise.resolve();
+    }
+
+    getFilePath(date = new Date()) {
+        return path.join(this.dir, `${this.prefix}-${date.toISOString().slice(0, 10)}.ndjson`);
+    }
+
+    /**
+     * Append entries to the file for the day they were received.
+     * @param {Object[]} entries
+     * @param {Date} [date]
+     */
+    append(entries, date = new Date()) {
+        const filePath = this.getFilePath(date);
+        const lines = entries.map(entry => JSON.stringify(entry) + '\n').join('');
+
+        const write = this.writing.then(async () => {
+            await fs.promises.mkdir(this.dir, { recursive: true });
+            await fs.promises.appendFile(filePath, lines, { mode: 0o600 });
+        });
+
+        // Keep the chain alive after a failed write; the caller still sees the error
+        this.writing = write.catch(() => {});
+        return write;
+    }
+}
+
+module.exports = { DailyLog };
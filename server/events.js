@@ -0,0 +1,134 @@
+/**
+ * Analytics Collector
+ * POST /api/events - stores batches of usage events sent by the site's own analytics
+ *
+ * Body: { sessionId: "session_<32 hex>", events: [{ type, page, timestamp, ...details }] }
+ * Only known event types and their known details are kept. Nothing identifying is stored:
+ * no cookies are read or set, and neither the address nor the user agent is recorded.
+ */
+
+'use strict';
+
+const { HttpError, sendJson, readBody, getClientAddress } = require('./http-utils');
+
+class EventCollector {
+    /**
+     * @param {DailyLog} log
+     * @param {RateLimiter} limiter - Must have an "events" limit, counted per client address
+     */
+    constructor(log, limiter) {
+        this.log = log;
+        this.limiter = limiter;
+        this.maxEvents = 50;
+        // Event type -> the details it may carry
+        this.eventFields = {
+            page_view: ['referrer'],
+            click: ['target'],
+            calculator_input: ['field'],
+            form_submit: ['formId'],
+            form_sent: ['formId'],
+            calculator_result: ['model', 'vehicles'],
+            performance: ['loadTime']
+        };
+    }
+
+    async handle(req, res) {
+        try {
+            const limit = this.limiter.consume('events', getClientAddress(req));
+            if (!limit.allowed) {
+                throw new HttpError(429, 'Too many events', null, { 'Retry-After': String(limit.retryAfter) });
+            }
+
+            // sendBeacon cannot be asked for anything but a simple request, so plain text is accepted too
+            const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+            if (contentType !== 'application/json' && contentType !== 'text/plain') {
+                throw new HttpError(415, 'Expected a JSON request body');
+            }
+
+            let body;
+            try {
+                body = JSON.parse(await readBody(req, 32 * 1024));
+            } catch (error) {
+                if (error instanceof HttpError) throw error;
+                throw new HttpError(400, 'Malformed JSON request body');
+            }
+
+            const events = this.pickEvents(body);
+            if (events.length === 0) {
+                throw new HttpError(400, 'No valid events in the batch');
+            }
+
+            await this.log.append(events);
+
+            res.writeHead(204, { 'Cache-Control': 'no-store' });
+            res.end();
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                throw error;
+            }
+            sendJson(res, error.status, { success: false, error: error.message }, error.headers);
+        }
+    }
+
+    /**
+     * The valid events in a batch, ready to store. Invalid events are dropped rather than failing the batch.
+     * @returns {Object[]}
+     */
+    pickEvents(body) {
+        if (!body || typeof body !== 'object' || !Array.isArray(body.events)) {
+            return [];
+        }
+        if (typeof body.sessionId !== 'string' || !/^session_[0-9a-f]{32}$/.test(body.sessionId)) {
+            return [];
+        }
+
+        const receivedAt = new Date().toISOString();
+
+        return body.events
+            .slice(0, this.maxEvents)
+            .filter(event => event && typeof event === 'object' && Object.prototype.hasOwnProperty.call(this.eventFields, event.type))
+            .map(event => {
+                const stored = {
+                    receivedAt,
+                    sessionId: body.sessionId,
+                    type: event.type,
+                    page: this.pickString(event.page, 30),
+                    timestamp: this.pickTimestamp(event.timestamp)
+                };
+
+                this.eventFields[event.type].forEach(field => {
+                    if (field === 'loadTime') {
+                        stored[field] = this.pickDuration(event[field]);
+                    } else if (field === 'vehicles') {
+                        stored[field] = this.pickCount(event[field]);
+                    } else {
+                        stored[field] = this.pickString(event[field], 100);
+                    }
+                });
+
+                return stored;
+            });
+    }
+
+    pickString(value, maxLength) {
+        return typeof value === 'string' ? value.trim().substring(0, maxLength) : null;
+    }
+
+    // The browser's clock, kept only when it is a real date
+    pickTimestamp(value) {
+        if (typeof value !== 'string' || value.length > 40) return null;
+
+        const time = Date.parse(value);
+        return Number.isNaN(time) ? null : new Date(time).toISOString();
+    }
+
+    pickDuration(value) {
+        return Number.isFinite(value) && value >= 0 && value <= 10 * 60 * 1000 ? Math.round(value) : null;
+    }
+
+    pickCount(value) {
+        return Number.isInteger(value) && value > 0 && value <= 10000 ? value : null;
+    }
+}
+
+module.exports = { EventCollector };
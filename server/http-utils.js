@@ -0,0 +1,118 @@
+/**
+ * HTTP Helpers
+ * Request parsing and JSON responses shared by the API handlers
+ */
+
+'use strict';
+
+class HttpError extends Error {
+    constructor(status, message, body = null, headers = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.body = body;
+        this.headers = headers;
+    }
+}
+
+function sendJson(res, status, body, headers = {}) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    res.end(payload);
+}
+
+/**
+ * Read a request body as text.
+ * @param {http.IncomingMessage} req
+ * @param {number} [limit] - Maximum body size in bytes
+ * @throws {HttpError} 413 when too large
+ */
+function readBody(req, limit = 16 * 1024) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(new HttpError(413, 'Request body is too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Read and parse a JSON request body.
+ * @param {http.IncomingMessage} req
+ * @param {number} [limit] - Maximum body size in bytes
+ * @throws {HttpError} 415 for non-JSON, 413 when too large, 400 when malformed
+ */
+async function readJsonBody(req, limit = 16 * 1024) {
+    const contentType = req.headers['content-type'] || '';
+    if (!contentType.startsWith('application/json')) {
+        throw new HttpError(415, 'Expected a JSON request body');
+    }
+
+    const text = await readBody(req, limit);
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch (error) {
+        body = null;
+    }
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new HttpError(400, 'Malformed JSON request body');
+    }
+    return body;
+}
+
+function parseCookies(header = '') {
+    const cookies = {};
+    header.split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index > 0) {
+            const name = pair.slice(0, index).trim();
+            try {
+                cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+            } catch (error) {
+                // Ignore cookies that are not valid URI components
+            }
+        }
+    });
+    return cookies;
+}
+
+/**
+ * The address the request came from. The server is reached directly, so proxy headers are not trusted.
+ */
+function getClientAddress(req) {
+    return req.socket.remoteAddress || 'unknown';
+}
+
+/**
+ * The Idempotency-Key header, if the client sent one.
+ * @throws {HttpError} 400 when the key is malformed
+ */
+function getIdempotencyKey(req) {
+    const key = req.headers['idempotency-key'];
+    if (key === undefined) return null;
+
+    if (!/^[A-Za-z0-9_-]{16,100}$/.test(key)) {
+        throw new HttpError(400, 'Invalid Idempotency-Key header');
+    }
+    return key;
+}
+
+module.exports = { HttpError, sendJson, readBody, readJsonBody, parseCookies, getClientAddress, getIdempotencyKey };
@@ -0,0 +1,204 @@
+/**
+ * Static Strict CSP Lint
+ * Starts the server on a free port, fetches every page with the policy it sends and fails
+ * when the markup or scripts look like they would need 'unsafe-inline' or 'unsafe-eval'.
+ *
+ * Usage: node server/lint-csp.js
+ *
+ * For each page it checks that the policy is strict, that every inline block is covered by a
+ * hash, that the markup has no inline styles or event handlers, and that every script and
+ * stylesheet is same-origin and loads. The script sources are then matched line by line against
+ * patterns for code that writes inline styles, adds inline handlers or evaluates strings.
+ * Finally it posts a sample violation report to the report endpoint.
+ *
+ * Nothing is executed: the pages are not run under the policy, so markup built in the browser
+ * in a way the patterns miss gets through. Violations at run time show up in the server log,
+ * from the reports browsers send to the report endpoint.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ElyraServer } = require('./server');
+const { ContentSecurityPolicy } = require('./csp');
+
+// Every client route, plus one the router answers with its 404 page
+const PAGES = ['/', '/solutions', '/models', '/calculator', '/contact', '/booking', '/admin/analytics', '/no-such-page'];
+
+// Code that only works with 'unsafe-inline' or 'unsafe-eval'
+const SCRIPT_RULES = [
+    { pattern: /\.style\s*(\.\s*\w+\s*)?=(?!=)|\.style\.setProperty\(|\.cssText\b|Object\.assign\([^,]*\.style\b/, reason: 'writes an inline style' },
+    { pattern: /setAttribute\(\s*['"](style|on\w+)['"]/, reason: 'sets an inline style or handler attribute' },
+    { pattern: /<[a-z][^<>]*\s(style|on[a-z]+)\s*=/i, reason: 'builds markup with an inline style or handler' },
+    { pattern: /\beval\s*\(|\bnew\s+Function\s*\(|set(Timeout|Interval)\(\s*['"`]/, reason: 'evaluates a string as code' },
+    { pattern: /javascript:/i, reason: 'uses a javascript: URL' }
+];
+
+const MARKUP_RULES = [
+    { pattern: /<[a-z][^<>]*\sstyle\s*=/i, reason: 'has an inline style attribute' },
+    { pattern: /<[a-z][^<>]*\son[a-z]+\s*=/i, reason: 'has an inline event handler' },
+    { pattern: /<style\b/i, reason: 'has an inline style block' },
+    { pattern: /javascript:/i, reason: 'uses a javascript: URL' }
+];
+
+const SAMPLE_REPORT = {
+    'csp-report': {
+        'document-uri': 'http://localhost/check',
+        'violated-directive': 'style-src-attr',
+        'effective-directive': 'style-src-attr',
+        'blocked-uri': 'inline',
+        'source-file': 'http://localhost/js/check.js',
+        'line-number': 1,
+        'column-number': 1
+    }
+};
+
+class CspLint {
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl;
+        this.failures = [];
+        this.scripts = new Set();
+    }
+
+    fail(where, reason) {
+        this.failures.push(`${where}: ${reason}`);
+    }
+
+    parsePolicy(header) {
+        const directives = {};
+        header.split(';').forEach(part => {
+            const [name, ...sources] = part.trim().split(/\s+/);
+            if (name) directives[name.toLowerCase()] = sources;
+        });
+        return directives;
+    }
+
+    async checkPage(pathname) {
+        const response = await fetch(this.baseUrl + pathname);
+        const html = await response.text();
+        const header = response.headers.get('content-security-policy');
+
+        if (response.status !== 200 || !(response.headers.get('content-type') || '').startsWith('text/html')) {
+            return this.fail(pathname, `expected an HTML page, got ${response.status}`);
+        }
+        if (!header) {
+            return this.fail(pathname, 'no Content-Security-Policy header');
+        }
+
+        const policy = this.parsePolicy(header);
+        Object.entries(policy).forEach(([name, sources]) => {
+            sources
+                .filter(source => ["'unsafe-inline'", "'unsafe-eval'", '*'].includes(source))
+                .forEach(source => this.fail(pathname, `${name} allows ${source}`));
+        });
+        ['default-src', 'script-src', 'style-src', 'object-src', 'report-uri'].forEach(name => {
+            if (!policy[name]) this.fail(pathname, `policy has no ${name}`);
+        });
+
+        const hashes = new ContentSecurityPolicy().hashInlineBlocks(html);
+        hashes.scripts
+            .filter(hash => !(policy['script-src'] || []).includes(hash))
+            .forEach(hash => this.fail(pathname, `inline script ${hash} is not allowed by script-src`));
+        hashes.styles
+            .filter(hash => !(policy['style-src'] || []).includes(hash))
+            .forEach(hash => this.fail(pathname, `inline style ${hash} is not allowed by style-src`));
+
+        MARKUP_RULES
+            .filter(rule => rule.pattern.test(html))
+            .forEach(rule => this.fail(pathname, rule.reason));
+
+        const resources = [
+            ...Array.from(html.matchAll(/<script\b[^>]*\bsrc="([^"]+)"/gi), match => match[1]),
+            ...Array.from(html.matchAll(/<link\b[^>]*\brel="stylesheet"[^>]*\bhref="([^"]+)"/gi), match => match[1])
+        ];
+        for (const resource of resources) {
+            await this.checkResource(pathname, resource);
+        }
+    }
+
+    async checkResource(pathname, resource) {
+        // The page sets <base href="/">, so relative paths load from the site root
+        const url = new URL(resource, this.baseUrl + '/');
+        if (url.origin !== new URL(this.baseUrl).origin) {
+            return this.fail(pathname, `${resource} is not same-origin, so 'self' does not cover it`);
+        }
+
+        const response = await fetch(url);
+        const text = await response.text();
+        if (response.status !== 200) {
+            return this.fail(pathname, `${resource} returned ${response.status}`);
+        }
+
+        if (url.pathname.endsWith('.js') && !this.scripts.has(url.pathname)) {
+            this.scripts.add(url.pathname);
+            this.checkScript(url.pathname, text);
+        }
+    }
+
+    checkScript(pathname, source) {
+        source.split('\n').forEach((line, index) => {
+            // Comments may describe what the code avoids
+            if (/^\s*(\/\/|\*|\/\*)/.test(line)) return;
+
+            SCRIPT_RULES
+                .filter(rule => rule.pattern.test(line))
+                .forEach(rule => this.fail(`${pathname}:${index + 1}`, rule.reason));
+        });
+    }
+
+    async checkReportEndpoint(reportUri) {
+        const response = await fetch(this.baseUrl + reportUri, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/csp-report' },
+            body: JSON.stringify(SAMPLE_REPORT)
+        });
+        if (response.status !== 204) {
+            this.fail(reportUri, `a sample violation report got ${response.status} instead of 204`);
+        }
+    }
+
+    async run(reportUri) {
+        for (const pathname of PAGES) {
+            await this.checkPage(pathname);
+        }
+        await this.checkReportEndpoint(reportUri);
+    }
+}
+
+async function main() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'elyra-csp-'));
+    const server = new ElyraServer({ port: 0, dataDir });
+    const originalWarn = console.warn;
+    const originalLog = console.log;
+
+    // The sample report is logged like a real one; keep the output to the results
+    console.warn = () => {};
+    console.log = () => {};
+    await server.listen();
+    console.log = originalLog;
+
+    const lint = new CspLint(`http://localhost:${server.server.address().port}`);
+    try {
+        await lint.run(server.csp.reportUri);
+    } finally {
+        console.warn = originalWarn;
+        await server.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+
+    if (lint.failures.length > 0) {
+        console.error(`Strict CSP lint failed (${lint.failures.length}):`);
+        lint.failures.forEach(failure => console.error(`  ${failure}`));
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(`Strict CSP lint passed: ${PAGES.length} pages, ${lint.scripts.size} scripts`);
+}
+
+main().catch(error => {
+    console.error('Strict CSP lint could not run:', error);
+    process.exitCode = 1;
+});
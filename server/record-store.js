@@ -0,0 +1,125 @@
+/**
+ * Record Store
+ * Appends records (contact inquiries, bookings) to a newline-delimited JSON file, one record per line
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class RecordStore {
+    /**
+     * @param {string} filePath - NDJSON file the records are appended to
+     * @param {string} idPrefix - Prefix for generated ids, e.g. "INQ"
+     */
+    constructor(filePath, idPrefix) {
+        this.filePath = filePath;
+        this.idPrefix = idPrefix;
+        // Appends are chained so concurrent requests never interleave lines
+        this.writing = Promise.resolve();
+        // Idempotency key -> promise of the stored record
+        this.keyIndex = null;
+    }
+
+    generateId(date = new Date()) {
+        const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+        return `${this.idPrefix}-${day}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    }
+
+    /**
+     * Every stored record, oldest first.
+     */
+    async readAll() {
+        let contents;
+        try {
+            contents = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const records = [];
+        contents.split('\n').forEach(line => {
+            if (!line.trim()) return;
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                // A torn last line from a crash should not stop the server
+            }
+        });
+        return records;
+    }
+
+    /**
+     * Build the idempotency key index from the records already on disk.
+     */
+    loadKeyIndex() {
+        if (!this.keyIndex) {
+            this.keyIndex = this.readAll()
+                .then(records => {
+                    const index = new Map();
+                    records
+                        .filter(record => record.idempotencyKey)
+                        .forEach(record => index.set(record.idempotencyKey, Promise.resolve(record)));
+                    return index;
+                })
+                .catch(error => {
+                    // Not kept, so the next lookup reads the file again
+                    this.keyIndex = null;
+                    throw error;
+                });
+        }
+
+        return this.keyIndex;
+    }
+
+    async findByIdempotencyKey(idempotencyKey) {
+        const index = await this.loadKeyIndex();
+        return index.has(idempotencyKey) ? index.get(idempotencyKey) : null;
+    }
+
+    /**
+     * Store a record. A repeated idempotency key returns the record stored the
+     * first time instead of adding another one.
+     * @param {Object} data - Validated fields
+     * @param {Object} [meta] - Request details kept alongside the record
+     * @param {string|null} [idempotencyKey]
+     * @returns {Promise<{record: Object, duplicate: boolean}>}
+     */
+    async add(data, meta = {}, idempotencyKey = null) {
+        const index = await this.loadKeyIndex();
+
+        if (idempotencyKey && index.has(idempotencyKey)) {
+            return { record: await index.get(idempotencyKey), duplicate: true };
+        }
+
+        const record = {
+            id: this.generateId(),
+            receivedAt: new Date().toISOString(),
+            idempotencyKey,
+            ...data,
+            meta
+        };
+
+        const write = this.writing.then(async () => {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.appendFile(this.filePath, JSON.stringify(record) + '\n', { mode: 0o600 });
+        });
+
+        // Keep the chain alive after a failed write; the caller still sees the error
+        this.writing = write.catch(() => {});
+
+        if (idempotencyKey) {
+            // Registered before the write finishes so a concurrent retry waits for this one
+            index.set(idempotencyKey, write.then(() => record));
+            write.catch(() => index.delete(idempotencyKey));
+        }
+
+        await write;
+        return { record, duplicate: false };
+    }
+}
+
+module.exports = { RecordStore };
@@ -0,0 +1,141 @@
+/**
+ * Elyra Premium Seaters - Web Server
+ * Serves the site and its API using only Node's standard library.
+ *
+ * Usage: node server/server.js
+ *   PORT      - port to listen on (default 8080)
+ *   DATA_DIR  - where inquiries, bookings, CSP reports and analytics events are stored (default server/data)
+ *   CSRF_SECRET - key for signing CSRF tokens (default: random, so tokens end with the process)
+ */
+
+'use strict';
+
+const http = require('http');
+const path = require('path');
+const { StaticFiles } = require('./static-files');
+const { RecordStore } = require('./record-store');
+const { ContactHandler } = require('./contact');
+const { AvailabilityService } = require('./availability');
+const { BookingHandler } = require('./bookings');
+const { CsrfTokens } = require('./csrf');
+const { ContentSecurityPolicy, CspReportHandler } = require('./csp');
+const { DailyLog } = require('./daily-log');
+const { EventCollector } = require('./events');
+const { RateLimiter } = require("../J's/rate-limiter.js");
+const { sendJson } = require('./http-utils');
+
+class ElyraServer {
+    constructor(options = {}) {
+        // Port 0 picks any free port
+        this.port = options.port === undefined || options.port === '' ? 8080 : Number(options.port);
+        this.rootDir = path.join(__dirname, '..');
+        this.dataDir = options.dataDir || path.join(__dirname, 'data');
+        this.csp = new ContentSecurityPolicy();
+        this.staticFiles = new StaticFiles(this.rootDir, {
+            getPageHeaders: (filePath, stats) => this.csp.getPageHeaders(filePath, stats)
+        });
+        this.csrf = new CsrfTokens({ secret: options.csrfSecret });
+        this.routes = new Map();
+        this.registerRoutes();
+    }
+
+    registerRoutes() {
+        this.route('GET', '/api/csrf', (req, res) => this.csrf.handle(req, res));
+
+        // A few inquiries per visitor are plenty; retries of an inquiry already stored are not counted
+        const limiter = new RateLimiter({
+            contact: { strategy: 'sliding-window', limit: 5, windowMs: 10 * 60 * 1000 }
+        });
+        const contact = new ContactHandler(new RecordStore(path.join(this.dataDir, 'inquiries.ndjson'), 'INQ'), limiter);
+        this.route('POST', '/api/contact', this.csrf.protect((req, res) => contact.handle(req, res)));
+
+        const bookingStore = new RecordStore(path.join(this.dataDir, 'bookings.ndjson'), 'BKG');
+        const availability = new AvailabilityService(path.join(this.rootDir, 'data', 'availability.json'), bookingStore);
+        // Each booking holds seats, so one visitor cannot take a whole feed's worth by looping
+        const bookingLimiter = new RateLimiter({
+            booking: { strategy: 'sliding-window', limit: 5, windowMs: 10 * 60 * 1000 }
+        });
+        const bookings = new BookingHandler(bookingStore, availability,
+            path.join(this.rootDir, 'data', 'vehicle-classes.json'), bookingLimiter);
+        this.route('GET', '/api/availability', (req, res) => availability.handle(req, res));
+        this.route('POST', '/api/bookings', this.csrf.protect((req, res) => bookings.handle(req, res)));
+
+        // Browsers send reports without cookies or custom headers, so this route cannot ask for a CSRF token
+        const reportLimiter = new RateLimiter({
+            cspReport: { strategy: 'token-bucket', capacity: 20, refillPerSecond: 0.2 }
+        });
+        const cspReports = new CspReportHandler(new RecordStore(path.join(this.dataDir, 'csp-reports.ndjson'), 'CSP'), reportLimiter);
+        this.route('POST', this.csp.reportUri, (req, res) => cspReports.handle(req, res));
+
+        // Beacons go out as the page is hidden, too late to fetch a CSRF token, and only add anonymous events
+        const eventLimiter = new RateLimiter({
+            events: { strategy: 'token-bucket', capacity: 30, refillPerSecond: 0.5 }
+        });
+        const events = new EventCollector(new DailyLog(path.join(this.dataDir, 'events'), 'events'), eventLimiter);
+        this.route('POST', '/api/events', (req, res) => events.handle(req, res));
+    }
+
+    route(method, pathname, handler) {
+        this.routes.set(`${method} ${pathname}`, handler);
+    }
+
+    setSecurityHeaders(res) {
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('X-Frame-Options', 'DENY');
+        res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        this.setSecurityHeaders(res);
+
+        try {
+            const handler = this.routes.get(`${req.method} ${url.pathname}`);
+            if (handler) {
+                return await handler(req, res, url);
+            }
+
+            if (url.pathname.startsWith('/api/')) {
+                const known = Array.from(this.routes.keys()).some(key => key.endsWith(` ${url.pathname}`));
+                return sendJson(res, known ? 405 : 404, {
+                    success: false,
+                    error: known ? 'Method not allowed' : 'Not found'
+                });
+            }
+
+            if (req.method !== 'GET' && req.method !== 'HEAD') {
+                res.writeHead(405, { 'Allow': 'GET, HEAD' });
+                return res.end();
+            }
+
+            await this.staticFiles.serve(req, res, url.pathname);
+        } catch (error) {
+            console.error(`${req.method} ${url.pathname} failed:`, error);
+            if (!res.headersSent) {
+                sendJson(res, 500, { success: false, error: 'Internal server error' });
+            } else {
+                res.destroy();
+            }
+        }
+    }
+
+    listen() {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        return new Promise(resolve => {
+            this.server.listen(this.port, () => {
+                console.log(`Elyra Premium Seaters running at http://localhost:${this.server.address().port}`);
+                resolve(this.server);
+            });
+        });
+    }
+
+    close() {
+        return new Promise(resolve => this.server.close(resolve));
+    }
+}
+
+if (require.main === module) {
+    new ElyraServer({ port: process.env.PORT, dataDir: process.env.DATA_DIR, csrfSecret: process.env.CSRF_SECRET }).listen();
+}
+
+module.exports = { ElyraServer };
@@ -0,0 +1,116 @@
+/**
+ * Static File Server
+ * Serves the public site files. Only the directories listed in publicDirs are
+ * reachable, so server code and stored inquiries are never exposed.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+class StaticFiles {
+    /**
+     * @param {string} rootDir
+     * @param {Object} [options]
+     * @param {Function} [options.getPageHeaders] - (filePath, stats) => extra headers for the page, e.g. its CSP
+     */
+    constructor(rootDir, options = {}) {
+        this.rootDir = rootDir;
+        this.getPageHeaders = options.getPageHeaders || (() => ({}));
+        // URL prefix -> directory on disk (the page loads scripts from /js/)
+        this.publicDirs = {
+            '/js/': "J's",
+            '/styles/': 'styles',
+            '/data/': 'data'
+        };
+        this.indexFile = path.join(rootDir, 'index.html');
+        this.mimeTypes = {
+            '.html': 'text/html; charset=utf-8',
+            '.js': 'text/javascript; charset=utf-8',
+            '.css': 'text/css; charset=utf-8',
+            '.json': 'application/json; charset=utf-8',
+            '.svg': 'image/svg+xml',
+            '.png': 'image/png',
+            '.jpg': 'image/jpeg',
+            '.ico': 'image/x-icon',
+            '.woff2': 'font/woff2'
+        };
+    }
+
+    /**
+     * Map a URL path to a file on disk.
+     * @returns {string|null} Absolute file path, or null when the path is not public
+     */
+    resolve(pathname) {
+        let decoded;
+        try {
+            decoded = decodeURIComponent(pathname);
+        } catch (error) {
+            return null;
+        }
+
+        const prefix = Object.keys(this.publicDirs).find(candidate => decoded.startsWith(candidate));
+        if (!prefix) return null;
+
+        const baseDir = path.join(this.rootDir, this.publicDirs[prefix]);
+        const filePath = path.join(baseDir, decoded.slice(prefix.length));
+
+        // Reject traversal out of the public directory and hidden files
+        if (!filePath.startsWith(baseDir + path.sep) || /(^|[\\/])\./.test(path.relative(baseDir, filePath))) {
+            return null;
+        }
+
+        return filePath;
+    }
+
+    isPageRoute(pathname) {
+        // Client-side routes such as /calculator have no file extension
+        return !path.extname(pathname);
+    }
+
+    async serve(req, res, pathname) {
+        let filePath = this.resolve(pathname);
+
+        if (!filePath && this.isPageRoute(pathname)) {
+            // The client router renders the page, including its own 404
+            filePath = this.indexFile;
+        }
+
+        if (!filePath) {
+            return this.sendNotFound(res);
+        }
+
+        let stats;
+        try {
+            stats = await fs.promises.stat(filePath);
+        } catch (error) {
+            return this.sendNotFound(res);
+        }
+
+        if (!stats.isFile()) {
+            return this.sendNotFound(res);
+        }
+
+        const isPage = filePath === this.indexFile;
+        res.writeHead(200, {
+            'Content-Type': this.mimeTypes[path.extname(filePath)] || 'application/octet-stream',
+            'Content-Length': stats.size,
+            'Cache-Control': isPage ? 'no-cache' : 'public, max-age=300',
+            ...(isPage ? await this.getPageHeaders(filePath, stats) : {})
+        });
+
+        if (req.method === 'HEAD') {
+            return res.end();
+        }
+
+        fs.createReadStream(filePath).pipe(res);
+    }
+
+    sendNotFound(res) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not found');
+    }
+}
+
+module.exports = { StaticFiles };